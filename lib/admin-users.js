@@ -0,0 +1,183 @@
+// lib/admin-users.js
+//
+// Admin accounts and their roles. Roles are ordered, each one including the
+// permissions of the ones before it:
+//   viewer  - read donations, receipts and the dashboard
+//   finance - also refund, cancel monthly donations, export and handle webhooks
+//   owner   - also manage admin accounts
+// There is always at least one enabled owner: changes that would remove the
+// last one are refused.
+
+const bcrypt = require('bcrypt');
+const { dbAll, dbGet, dbRun } = require('./db');
+const { getSetting } = require('./settings');
+
+const ROLES = ['viewer', 'finance', 'owner'];
+
+class AdminUserError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'AdminUserError';
+    this.statusCode = statusCode;
+  }
+}
+
+function hasRole(user, role) {
+  return Boolean(user) && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+// Columns that are safe to send to the admin panel
+const PUBLIC_COLUMNS = 'id, username, role, disabled, totp_enabled, created_at';
+
+function listAdminUsers() {
+  return dbAll(`SELECT ${PUBLIC_COLUMNS} FROM admin_users ORDER BY username COLLATE NOCASE`);
+}
+
+function findAdminUser(id) {
+  return dbGet(`SELECT ${PUBLIC_COLUMNS} FROM admin_users WHERE id = ?`, [id]);
+}
+
+function validateRole(role) {
+  if (!ROLES.includes(role)) {
+    throw new AdminUserError(`Invalid role, use one of: ${ROLES.join(', ')}.`);
+  }
+}
+
+function validatePassword(password) {
+  if (!password || String(password).length < 8) {
+    throw new AdminUserError('Password must be at least 8 characters.');
+  }
+}
+
+async function createAdminUser({ username, password, role = 'viewer' }) {
+  if (!username || !password) {
+    throw new AdminUserError('Username and password are required.');
+  }
+  validateRole(role);
+  validatePassword(password);
+  const existing = await dbGet(`SELECT id FROM admin_users WHERE username = ?`, [username]);
+  if (existing) {
+    throw new AdminUserError('That username is already taken.', 409);
+  }
+  const hash = await bcrypt.hash(password, 10);
+  const result = await dbRun(
+    `INSERT INTO admin_users (username, password, role, created_at) VALUES (?, ?, ?, CURRENT_TIMESTAMP)`,
+    [username, hash, role]
+  );
+  return findAdminUser(result.lastID);
+}
+
+// SQL condition that is true unless the row is the last enabled owner.
+// Used in the WHERE of every update that can take owner rights away, so the
+// check and the change happen atomically.
+const NOT_LAST_OWNER = `(role != 'owner' OR disabled = 1 OR
+  (SELECT COUNT(*) FROM admin_users other
+   WHERE other.role = 'owner' AND other.disabled = 0 AND other.id != admin_users.id) > 0)`;
+
+// Run an UPDATE/DELETE of one account. With `guard`, the change is only
+// made if the account is not the last enabled owner.
+async function changeAdminUser(id, sql, params, { guard = true } = {}) {
+  const user = await findAdminUser(id);
+  if (!user) {
+    throw new AdminUserError('User not found.', 404);
+  }
+  const result = await dbRun(guard ? `${sql} AND ${NOT_LAST_OWNER}` : sql, params);
+  if (result.changes === 0) {
+    throw new AdminUserError('The last owner cannot be removed, disabled or demoted.', 409);
+  }
+}
+
+// Change the role and/or disabled flag of an account. Disabling signs the
+// user out everywhere.
+async function updateAdminUser(id, { role, disabled }) {
+  if (role !== undefined) {
+    validateRole(role);
+    await changeAdminUser(id, `UPDATE admin_users SET role = ? WHERE id = ?`, [role, id], {
+      guard: role !== 'owner',
+    });
+  }
+  if (disabled !== undefined) {
+    await changeAdminUser(
+      id,
+      `UPDATE admin_users SET disabled = ?, session_version = session_version + ? WHERE id = ?`,
+      [disabled ? 1 : 0, disabled ? 1 : 0, id],
+      { guard: Boolean(disabled) }
+    );
+  }
+  return findAdminUser(id);
+}
+
+// Set a new password and sign the user out of existing sessions.
+async function resetAdminPassword(id, password) {
+  validatePassword(password);
+  const hash = await bcrypt.hash(password, 10);
+  const result = await dbRun(
+    `UPDATE admin_users SET password = ?, session_version = session_version + 1 WHERE id = ?`,
+    [hash, id]
+  );
+  if (result.changes === 0) {
+    throw new AdminUserError('User not found.', 404);
+  }
+}
+
+async function deleteAdminUser(id) {
+  await changeAdminUser(id, `DELETE FROM admin_users WHERE id = ?`, [id]);
+}
+
+// Check a username and password. Resolves to the user row, or throws
+// AdminUserError for wrong credentials and disabled accounts.
+async function verifyCredentials(username, password) {
+  const user = await dbGet(`SELECT * FROM admin_users WHERE username = ?`, [username]);
+  if (!user || !(await bcrypt.compare(password, user.password))) {
+    throw new AdminUserError('Invalid credentials.', 401);
+  }
+  if (user.disabled) {
+    throw new AdminUserError('This account is disabled.', 403);
+  }
+  return user;
+}
+
+// What we keep in the session for a logged-in user.
+function sessionUser(user) {
+  return {
+    id: user.id,
+    username: user.username,
+    role: user.role,
+    sessionVersion: user.session_version,
+  };
+}
+
+// Reload the account behind a session, so role changes, disabling,
+// password resets and the 2FA requirement apply to sessions that are
+// already open. Resolves to the
+// fresh session user, or null if the session is no longer valid.
+async function refreshSessionUser(user) {
+  if (!user) {
+    return null;
+  }
+  const row = await dbGet(`SELECT * FROM admin_users WHERE id = ?`, [user.id]);
+  if (!row || row.disabled || row.session_version !== user.sessionVersion) {
+    return null;
+  }
+  // Once owners require 2FA, sessions without it end; the next login asks
+  // the user to set it up.
+  if (!row.totp_enabled && (await getSetting('requireTwoFactor'))) {
+    return null;
+  }
+  return sessionUser(row);
+}
+
+module.exports = {
+  ROLES,
+  AdminUserError,
+  hasRole,
+  listAdminUsers,
+  findAdminUser,
+  createAdminUser,
+  updateAdminUser,
+  resetAdminPassword,
+  deleteAdminUser,
+  verifyCredentials,
+  sessionUser,
+  refreshSessionUser,
+};
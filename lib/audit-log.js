@@ -0,0 +1,117 @@
+// lib/audit-log.js
+//
+// Append-only record of what admins did: logins (successful and failed),
+// logouts, account changes, donation views and exports, refunds and every
+// other state-changing admin action. Triggers on the `audit_log` table
+// refuse UPDATE and DELETE, so entries can't be changed from the app.
+//
+// Actions are dotted names, e.g. "login.success", "donation.refund",
+// "user.update". Targets are a type and id, e.g. ("donation", 42).
+
+const { dbAll, dbGet, dbRun } = require('./db');
+const { QueryError, escapeLike } = require('./donation-query');
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// Record an action done through `req`. The actor is the logged-in admin
+// unless `actor` ({ id, username }) is given; failed logins pass only the
+// username that was tried, so they have no actor id.
+// Never throws: a failure to write the log is reported on the console.
+async function recordAudit(req, action, { targetType = null, targetId = null, details = null, actor } = {}) {
+  const user = actor || (req.session && req.session.user) || {};
+  try {
+    await dbRun(
+      `INSERT INTO audit_log
+        (actor_id, actor_username, action, target_type, target_id, details, ip, user_agent)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        user.id || null,
+        user.username || null,
+        action,
+        targetType,
+        targetId === null || targetId === undefined ? null : String(targetId),
+        details ? JSON.stringify(details) : null,
+        req.ip || null,
+        (req.get('user-agent') || '').slice(0, 500) || null,
+      ]
+    );
+  } catch (err) {
+    console.error(`Error writing audit log entry ${action}:`, err);
+  }
+}
+
+// Page through the log, newest first.
+// Filters: actor (username), action (exact, or a prefix ending in "." such
+// as "user."), targetType, targetId, from, to (YYYY-MM-DD).
+// Resolves to { entries, total, page, pageSize, totalPages }.
+async function listAuditLog(query = {}) {
+  const conditions = [];
+  const params = [];
+  if (query.actor) {
+    conditions.push('actor_username = ?');
+    params.push(query.actor);
+  }
+  if (query.action) {
+    if (query.action.endsWith('.')) {
+      conditions.push("action LIKE ? ESCAPE '\\'");
+      params.push(`${escapeLike(query.action)}%`);
+    } else {
+      conditions.push('action = ?');
+      params.push(query.action);
+    }
+  }
+  if (query.targetType) {
+    conditions.push('target_type = ?');
+    params.push(query.targetType);
+  }
+  if (query.targetId) {
+    conditions.push('target_id = ?');
+    params.push(String(query.targetId));
+  }
+  if (query.from) {
+    if (!DATE_RE.test(query.from)) {
+      throw new QueryError('Invalid from date, expected YYYY-MM-DD.');
+    }
+    conditions.push('created_at >= ?');
+    params.push(`${query.from} 00:00:00`);
+  }
+  if (query.to) {
+    if (!DATE_RE.test(query.to)) {
+      throw new QueryError('Invalid to date, expected YYYY-MM-DD.');
+    }
+    conditions.push("created_at < datetime(?, '+1 day')");
+    params.push(query.to);
+  }
+
+  const pageSize = query.pageSize === undefined ? DEFAULT_PAGE_SIZE : Number(query.pageSize);
+  if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+    throw new QueryError(`Invalid pageSize, use 1 to ${MAX_PAGE_SIZE}.`);
+  }
+  const page = query.page === undefined ? 1 : Number(query.page);
+  if (!Number.isInteger(page) || page < 1) {
+    throw new QueryError('Invalid page.');
+  }
+
+  const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+  const [rows, countRow] = await Promise.all([
+    dbAll(
+      `SELECT * FROM audit_log ${where} ORDER BY id DESC LIMIT ? OFFSET ?`,
+      [...params, pageSize, (page - 1) * pageSize]
+    ),
+    dbGet(`SELECT COUNT(*) AS count FROM audit_log ${where}`, params),
+  ]);
+  return {
+    entries: rows.map((row) => ({ ...row, details: row.details ? JSON.parse(row.details) : null })),
+    total: countRow.count,
+    page,
+    pageSize,
+    totalPages: Math.ceil(countRow.count / pageSize),
+  };
+}
+
+module.exports = {
+  recordAudit,
+  listAuditLog,
+};
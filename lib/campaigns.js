@@ -0,0 +1,234 @@
+// lib/campaigns.js
+//
+// Fundraising campaigns (appeals). Donations are tagged with a campaign
+// when the donor gives through its page (`campaign` in the body of
+// /create-payment-intent), and GET /campaigns/:slug reports the progress
+// towards the goal.
+//
+// Donations to a campaign are taken in its currency. A campaign can also
+// set the amounts and limits of the donation form (see lib/donation-form.js).
+// Amounts are stored in minor units like everywhere else (see
+// lib/currency.js); the admin API takes them in currency units.
+
+const { dbAll, dbGet, dbRun } = require('./db');
+const { DEFAULT_CURRENCY, normalizeCurrency, toMinorUnits } = require('./currency');
+
+const SLUG_RE = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+// Money counted as raised: paid and not (yet) taken back. Refunds are
+// subtracted; disputed gifts count until the dispute is lost.
+const RAISED_STATUSES = ['succeeded', 'partially_refunded', 'disputed'];
+
+class CampaignError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'CampaignError';
+    this.statusCode = statusCode;
+  }
+}
+
+function toAmount(value, currency, name) {
+  const amount = toMinorUnits(value, currency);
+  if (isNaN(amount) || amount < 0) {
+    throw new CampaignError(`Invalid ${name}.`);
+  }
+  return amount;
+}
+
+function parseRow(row) {
+  return row ? { ...row, suggested_amounts: JSON.parse(row.suggested_amounts || '[]') } : null;
+}
+
+// Validate the fields of a new campaign or of a change to one, and map them
+// to columns. Only the fields present in `fields` are returned; amounts are
+// read in the new currency, or else in `currency`.
+function campaignColumns(fields, currency) {
+  const columns = {};
+  if (fields.slug !== undefined) {
+    const slug = String(fields.slug).trim().toLowerCase();
+    if (!SLUG_RE.test(slug) || slug.length > 64) {
+      throw new CampaignError('The slug may only contain letters, digits and dashes.');
+    }
+    columns.slug = slug;
+  }
+  if (fields.title !== undefined) {
+    const title = String(fields.title).trim();
+    if (!title) {
+      throw new CampaignError('A title is required.');
+    }
+    columns.title = title;
+  }
+  if (fields.description !== undefined) {
+    columns.description = fields.description ? String(fields.description) : null;
+  }
+  if (fields.currency !== undefined) {
+    columns.currency = normalizeCurrency(fields.currency);
+    if (!columns.currency) {
+      throw new CampaignError('Donations in this currency are not accepted.');
+    }
+  }
+  const amountCurrency = columns.currency || currency;
+  if (fields.goal !== undefined) {
+    columns.goal_amount = fields.goal === null ? null : toAmount(fields.goal, amountCurrency, 'goal');
+  }
+  ['startsAt', 'endsAt'].forEach((name) => {
+    if (fields[name] !== undefined) {
+      if (fields[name] && !DATE_RE.test(fields[name])) {
+        throw new CampaignError(`Invalid ${name}, expected YYYY-MM-DD.`);
+      }
+      columns[name === 'startsAt' ? 'starts_at' : 'ends_at'] = fields[name] || null;
+    }
+  });
+  if (fields.suggestedAmounts !== undefined) {
+    if (!Array.isArray(fields.suggestedAmounts)) {
+      throw new CampaignError('suggestedAmounts must be a list of amounts.');
+    }
+    const amounts = fields.suggestedAmounts.map((amount) =>
+      toAmount(amount, amountCurrency, 'suggested amount')
+    );
+    if (amounts.some((amount) => amount === 0)) {
+      throw new CampaignError('Invalid suggested amount.');
+    }
+    columns.suggested_amounts = JSON.stringify(amounts);
+  }
+  // Form settings; null falls back to the global setting
+  [
+    ['defaultAmount', 'default_amount', 'default amount'],
+    ['minAmount', 'min_amount', 'minimum amount'],
+    ['maxAmount', 'max_amount', 'maximum amount'],
+  ].forEach(([name, column, label]) => {
+    if (fields[name] !== undefined) {
+      columns[column] =
+        fields[name] === null || fields[name] === '' ? null : toAmount(fields[name], amountCurrency, label);
+    }
+  });
+  return columns;
+}
+
+function checkCampaign(campaign) {
+  if (campaign.starts_at && campaign.ends_at && campaign.ends_at < campaign.starts_at) {
+    throw new CampaignError('The campaign cannot end before it starts.');
+  }
+  const { min_amount: min, max_amount: max, default_amount: defaultAmount } = campaign;
+  if (min != null && max != null && max < min) {
+    throw new CampaignError('The maximum amount cannot be below the minimum amount.');
+  }
+  if (
+    defaultAmount != null &&
+    ((min != null && defaultAmount < min) || (max != null && defaultAmount > max))
+  ) {
+    throw new CampaignError('The default amount must be within the limits.');
+  }
+}
+
+async function saveCampaign(sql, params) {
+  try {
+    return await dbRun(sql, params);
+  } catch (err) {
+    if (err.code === 'SQLITE_CONSTRAINT' && /slug/.test(err.message)) {
+      throw new CampaignError('Another campaign already uses that slug.', 409);
+    }
+    throw err;
+  }
+}
+
+async function listCampaigns() {
+  const rows = await dbAll(`SELECT * FROM campaigns ORDER BY created_at DESC, id DESC`);
+  return rows.map(parseRow);
+}
+
+async function findCampaign(id) {
+  return parseRow(await dbGet(`SELECT * FROM campaigns WHERE id = ?`, [id]));
+}
+
+async function findCampaignBySlug(slug) {
+  return parseRow(
+    await dbGet(`SELECT * FROM campaigns WHERE slug = ?`, [String(slug).toLowerCase()])
+  );
+}
+
+// Body: { slug, title, description, goal, currency, startsAt, endsAt,
+// suggestedAmounts, defaultAmount, minAmount, maxAmount }
+async function createCampaign(fields) {
+  if (!fields.slug || !fields.title) {
+    throw new CampaignError('A slug and a title are required.');
+  }
+  const columns = { currency: DEFAULT_CURRENCY, ...campaignColumns(fields, DEFAULT_CURRENCY) };
+  checkCampaign(columns);
+  const names = Object.keys(columns);
+  const result = await saveCampaign(
+    `INSERT INTO campaigns (${names.join(', ')}) VALUES (${names.map(() => '?').join(', ')})`,
+    names.map((name) => columns[name])
+  );
+  return findCampaign(result.lastID);
+}
+
+// Change some fields of a campaign. Resolves to the updated campaign.
+async function updateCampaign(id, fields) {
+  const campaign = await findCampaign(id);
+  if (!campaign) {
+    throw new CampaignError('Campaign not found.', 404);
+  }
+  const columns = campaignColumns(fields, campaign.currency);
+  checkCampaign({ ...campaign, ...columns });
+  // Its goal and progress would mix amounts in the two currencies
+  if (columns.currency && columns.currency !== campaign.currency) {
+    const donation = await dbGet(`SELECT id FROM donations WHERE campaign_id = ? LIMIT 1`, [campaign.id]);
+    if (donation) {
+      throw new CampaignError('The currency cannot be changed once the campaign has donations.', 409);
+    }
+  }
+  const names = Object.keys(columns);
+  if (names.length) {
+    await saveCampaign(
+      `UPDATE campaigns SET ${names.map((name) => `${name} = ?`).join(', ')},
+         updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [...names.map((name) => columns[name]), campaign.id]
+    );
+  }
+  return findCampaign(campaign.id);
+}
+
+// Whether donations are accepted today (UTC): after the start date and
+// up to and including the end date.
+function isCampaignOpen(campaign, today = new Date().toISOString().slice(0, 10)) {
+  return (
+    (!campaign.starts_at || campaign.starts_at <= today) &&
+    (!campaign.ends_at || campaign.ends_at >= today)
+  );
+}
+
+// Amount raised (in minor units, net of refunds), number of donors
+// (distinct emails) and number of gifts for a campaign, in its currency.
+async function campaignProgress(campaign) {
+  const placeholders = RAISED_STATUSES.map(() => '?').join(', ');
+  const row = await dbGet(
+    `SELECT COALESCE(SUM(donation_amount - COALESCE(refunded_amount, 0)), 0) AS raised,
+            COUNT(DISTINCT LOWER(email)) AS donors,
+            COUNT(*) AS donations
+     FROM donations
+     WHERE campaign_id = ? AND currency = ? AND payment_intent_status IN (${placeholders})`,
+    [campaign.id, campaign.currency, ...RAISED_STATUSES]
+  );
+  return {
+    raisedAmount: row.raised,
+    goalAmount: campaign.goal_amount,
+    percent: campaign.goal_amount ? Math.round((row.raised / campaign.goal_amount) * 1000) / 10 : null,
+    donorCount: row.donors,
+    donationCount: row.donations,
+  };
+}
+
+module.exports = {
+  RAISED_STATUSES,
+  CampaignError,
+  listCampaigns,
+  findCampaign,
+  findCampaignBySlug,
+  createCampaign,
+  updateCampaign,
+  isCampaignOpen,
+  campaignProgress,
+};
@@ -0,0 +1,245 @@
+// lib/checkout.js
+//
+// Starting the payment for a gift made on the donation form. The form
+// generates a checkout key once per page load and sends it with every
+// attempt, and all attempts with that key share one PaymentIntent and one
+// donation row. Double clicks, retries after a network error and retries
+// after a declined card therefore don't leave duplicate pending donations.
+//
+// A changed amount updates the PaymentIntent while it can still be paid.
+// Changes Stripe cannot apply to an open payment (switching between a
+// one-off and a monthly gift, or a different monthly amount) cancel the
+// previous attempt and start a new one. Requests to the payment provider
+// (see lib/payment-provider.js) carry idempotency keys made from the
+// checkout key and the attempt number.
+
+const { dbGet, dbRun } = require('./db');
+const { getPaymentProvider } = require('./payment-provider');
+const { transitionDonation } = require('./donation-status');
+const { generateReceiptToken } = require('./receipts');
+const { createMonthlyDonation, cancelRecurringDonation } = require('./recurring');
+
+const CHECKOUT_KEY_RE = /^[A-Za-z0-9_-]{16,100}$/;
+
+// How many attempt numbers to try when earlier ones were already used with
+// other parameters
+const MAX_IDEMPOTENCY_RETRIES = 5;
+
+// PaymentIntent statuses in which the donor can still pay, e.g. with
+// another card after a decline.
+const REUSABLE_INTENT_STATUSES = [
+  'requires_payment_method',
+  'requires_confirmation',
+  'requires_action',
+];
+
+class CheckoutError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'CheckoutError';
+    this.statusCode = statusCode;
+  }
+}
+
+// Requests being handled per checkout key. Requests with the same key run
+// one after the other, so a double click cannot create two payments.
+const inFlight = new Map();
+
+function withCheckoutLock(checkoutKey, fn) {
+  const previous = inFlight.get(checkoutKey) || Promise.resolve();
+  const current = previous.then(fn);
+  const settled = current.catch(() => {});
+  inFlight.set(checkoutKey, settled);
+  settled.then(() => {
+    if (inFlight.get(checkoutKey) === settled) {
+      inFlight.delete(checkoutKey);
+    }
+  });
+  return current;
+}
+
+async function createOneTimeDonation(donation, idempotencyKey) {
+  const paymentIntent = await getPaymentProvider().createPaymentIntent(
+    { amount: donation.amount, currency: donation.currency },
+    { idempotencyKey }
+  );
+
+  // Insert a donation record with status "pending"
+  const receiptToken = generateReceiptToken();
+  await dbRun(
+    `INSERT INTO donations (
+      donation_amount,
+      currency,
+      email,
+      first_name,
+      last_name,
+      card_name,
+      country,
+      postal_code,
+      payment_intent_id,
+      payment_intent_status,
+      receipt_token,
+      campaign_id,
+      checkout_key,
+      base_amount,
+      fee_amount
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      donation.amount,
+      donation.currency,
+      donation.email,
+      donation.firstName || null,
+      donation.lastName || null,
+      donation.cardName || null,
+      donation.country || null,
+      donation.postalCode || null,
+      paymentIntent.id,
+      'pending',
+      receiptToken,
+      donation.campaignId,
+      donation.checkoutKey || null,
+      donation.amount - donation.feeAmount,
+      donation.feeAmount,
+    ]
+  );
+  return { clientSecret: paymentIntent.client_secret, receiptToken };
+}
+
+function createPayment(frequency, donation, idempotencyKey) {
+  // Monthly gifts go through a subscription instead of a one-off PaymentIntent
+  if (frequency === 'monthly') {
+    return createMonthlyDonation({ ...donation, idempotencyKey });
+  }
+  return createOneTimeDonation(donation, idempotencyKey);
+}
+
+// Whether `donation` can be paid through the payment of the `existing` row.
+function samePayment(existing, frequency, donation) {
+  if (Boolean(existing.recurring_donation_id) !== (frequency === 'monthly')) {
+    return false;
+  }
+  // The first invoice of a subscription is final, so only an identical
+  // monthly gift can reuse it.
+  return (
+    !existing.recurring_donation_id ||
+    (existing.donation_amount === donation.amount &&
+      existing.currency === donation.currency &&
+      existing.campaign_id === donation.campaignId)
+  );
+}
+
+// Continue the earlier attempt `existing` with the details of `donation`.
+// Resolves to { clientSecret, receiptToken }, or null after canceling the
+// earlier attempt when a new payment is needed.
+async function resumeCheckout(existing, frequency, donation) {
+  const provider = getPaymentProvider();
+  const paymentIntent = await provider.retrievePaymentIntent(existing.payment_intent_id);
+  if (paymentIntent.status === 'canceled') {
+    await transitionDonation(paymentIntent.id, 'canceled');
+    return null;
+  }
+  if (!REUSABLE_INTENT_STATUSES.includes(paymentIntent.status)) {
+    throw new CheckoutError(
+      'This donation has already been submitted. Reload the page to make another donation.',
+      409
+    );
+  }
+
+  if (!samePayment(existing, frequency, donation)) {
+    if (existing.recurring_donation_id) {
+      await cancelRecurringDonation(existing.recurring_donation_id);
+    } else {
+      await provider.cancelPaymentIntent(paymentIntent.id);
+    }
+    await transitionDonation(paymentIntent.id, 'canceled');
+    return null;
+  }
+
+  if (paymentIntent.amount !== donation.amount || paymentIntent.currency !== donation.currency) {
+    await provider.updatePaymentIntent(paymentIntent.id, {
+      amount: donation.amount,
+      currency: donation.currency,
+    });
+  }
+  await dbRun(
+    `UPDATE donations
+     SET donation_amount = ?, base_amount = ?, fee_amount = ?, currency = ?, email = ?,
+         first_name = ?, last_name = ?, card_name = ?, country = ?, postal_code = ?,
+         campaign_id = ?
+     WHERE id = ?`,
+    [
+      donation.amount,
+      donation.amount - donation.feeAmount,
+      donation.feeAmount,
+      donation.currency,
+      donation.email,
+      donation.firstName || null,
+      donation.lastName || null,
+      donation.cardName || null,
+      donation.country || null,
+      donation.postalCode || null,
+      donation.campaignId,
+      existing.id,
+    ]
+  );
+  return { clientSecret: paymentIntent.client_secret, receiptToken: existing.receipt_token };
+}
+
+// Start (or continue) the payment of a donation from the form.
+// `amount` is the amount to charge in minor units, including `feeAmount`
+// if the donor covers the processing fee. `checkoutKey` is optional for
+// older clients, which get a new payment on every request.
+// Resolves to { clientSecret, receiptToken }; throws CheckoutError.
+async function startCheckout({ checkoutKey, frequency = 'once', ...donation }) {
+  donation.campaignId = donation.campaignId || null;
+  donation.feeAmount = donation.feeAmount || 0;
+  if (checkoutKey && !CHECKOUT_KEY_RE.test(String(checkoutKey))) {
+    throw new CheckoutError('Invalid checkout key.');
+  }
+  if (!checkoutKey) {
+    return createPayment(frequency, donation, null);
+  }
+
+  return withCheckoutLock(checkoutKey, async () => {
+    const existing = await dbGet(
+      `SELECT * FROM donations
+       WHERE checkout_key = ? AND payment_intent_status != 'canceled'
+       ORDER BY id DESC LIMIT 1`,
+      [checkoutKey]
+    );
+    if (existing) {
+      const resumed = await resumeCheckout(existing, frequency, donation);
+      if (resumed) {
+        return resumed;
+      }
+    }
+    const { attempts } = await dbGet(
+      `SELECT COUNT(*) AS attempts FROM donations WHERE checkout_key = ?`,
+      [checkoutKey]
+    );
+    // An attempt whose request reached the provider but whose donation was
+    // never stored leaves its key behind; reusing it with another amount is
+    // refused, so move on to the next attempt number.
+    for (let attempt = attempts + 1; ; attempt++) {
+      try {
+        return await createPayment(
+          frequency,
+          { ...donation, checkoutKey },
+          `checkout-${checkoutKey}-${attempt}`
+        );
+      } catch (err) {
+        if (err.code !== 'idempotency_conflict') {
+          throw err;
+        }
+        if (attempt >= attempts + MAX_IDEMPOTENCY_RETRIES) {
+          throw new CheckoutError('This donation is already being processed. Please try again.', 409);
+        }
+      }
+    }
+  });
+}
+
+module.exports = {
+  CheckoutError,
+  startCheckout,
+};
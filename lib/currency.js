@@ -0,0 +1,92 @@
+// lib/currency.js
+//
+// Donation currencies and amounts in minor units. Amounts are stored and
+// sent to Stripe as integers in the currency's smallest unit: cents for
+// USD, whole yen for JPY (zero-decimal) and fils for KWD (three-decimal).
+// The admin API and the donation form use currency units (e.g. 12.50).
+//
+// DONATION_CURRENCIES lists the currencies donors can give in and
+// DEFAULT_CURRENCY is used when neither the campaign nor the donor picks
+// one and the donor's country has no currency of its own in that list.
+
+// Currencies without a minor unit, as Stripe treats them
+const ZERO_DECIMAL_CURRENCIES = [
+  'bif', 'clp', 'djf', 'gnf', 'jpy', 'kmf', 'krw', 'mga',
+  'pyg', 'rwf', 'ugx', 'vnd', 'vuv', 'xaf', 'xof', 'xpf',
+];
+// Currencies with three decimals. Stripe only accepts amounts in these
+// that are a multiple of 10 (e.g. 5.120 KWD), so they are rounded to that.
+const THREE_DECIMAL_CURRENCIES = ['bhd', 'jod', 'kwd', 'omr', 'tnd'];
+
+// Currency of each country on the donation form
+const COUNTRY_CURRENCIES = {
+  US: 'usd',
+  CA: 'cad',
+  MX: 'mxn',
+  GB: 'gbp',
+  ZA: 'zar',
+  AL: 'all',
+};
+
+const DONATION_CURRENCIES = (process.env.DONATION_CURRENCIES || 'usd,cad,mxn,gbp,zar,all,eur')
+  .split(',')
+  .map((currency) => currency.trim().toLowerCase())
+  .filter(Boolean);
+const DEFAULT_CURRENCY = (process.env.DEFAULT_CURRENCY || DONATION_CURRENCIES[0]).toLowerCase();
+
+// Number of decimals of a currency
+function minorUnits(currency) {
+  const code = String(currency).toLowerCase();
+  if (ZERO_DECIMAL_CURRENCIES.includes(code)) {
+    return 0;
+  }
+  return THREE_DECIMAL_CURRENCIES.includes(code) ? 3 : 2;
+}
+
+// Lower-case code of a currency donors can give in, or null.
+function normalizeCurrency(currency) {
+  const code = String(currency || '').trim().toLowerCase();
+  return DONATION_CURRENCIES.includes(code) ? code : null;
+}
+
+// Currency for a donor from `country` who didn't choose one.
+function currencyForCountry(country) {
+  return normalizeCurrency(COUNTRY_CURRENCIES[String(country || '').toUpperCase()]) || DEFAULT_CURRENCY;
+}
+
+// Currency units (a number or numeric string) to an integer amount in
+// minor units. Resolves to NaN for anything that isn't a number.
+function toMinorUnits(amount, currency) {
+  if (amount === null || amount === undefined || String(amount).trim() === '') {
+    return NaN;
+  }
+  const decimals = minorUnits(currency);
+  const minor = Math.round(Number(amount) * 10 ** decimals);
+  return decimals === 3 ? Math.round(minor / 10) * 10 : minor;
+}
+
+function fromMinorUnits(amount, currency) {
+  return (amount || 0) / 10 ** minorUnits(currency);
+}
+
+// e.g. formatMoney(1250, 'usd', 'en-US') -> "$12.50"
+function formatMoney(amount, currency, locale) {
+  return new Intl.NumberFormat(locale, {
+    style: 'currency',
+    currency: String(currency).toUpperCase(),
+    minimumFractionDigits: minorUnits(currency),
+    maximumFractionDigits: minorUnits(currency),
+  }).format(fromMinorUnits(amount, currency));
+}
+
+module.exports = {
+  DONATION_CURRENCIES,
+  DEFAULT_CURRENCY,
+  COUNTRY_CURRENCIES,
+  minorUnits,
+  normalizeCurrency,
+  currencyForCountry,
+  toMinorUnits,
+  fromMinorUnits,
+  formatMoney,
+};
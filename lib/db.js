@@ -0,0 +1,61 @@
+// lib/db.js
+
+const sqlite3 = require('sqlite3').verbose();
+const { promisify } = require('util');
+
+// Set up SQLite database
+const db = new sqlite3.Database('./database.sqlite', (err) => {
+  if (err) {
+    console.error('Error opening database:', err);
+    process.exit(1); // exit if we cannot connect to the database
+  } else {
+    console.log('Connected to SQLite database.');
+  }
+});
+
+// Promisify some of the db methods for convenience
+const dbAll = promisify(db.all).bind(db);
+const dbGet = promisify(db.get).bind(db);
+const dbRun = (...args) => {
+  return new Promise((resolve, reject) => {
+    db.run(...args, function (err) {
+      if (err) {
+        return reject(err);
+      }
+      resolve(this);
+    });
+  });
+};
+
+let transactionQueue = Promise.resolve();
+
+// Run `statements` ([sql, params] pairs) in one transaction, one after the
+// other. The first statement that fails rolls the transaction back and
+// rejects with its error. Transactions share the one connection, so they
+// run one at a time. Resolves to the result of each statement.
+function dbTransaction(statements) {
+  const run = transactionQueue.then(async () => {
+    await dbRun('BEGIN');
+    const results = [];
+    try {
+      for (const [sql, params = []] of statements) {
+        results.push(await dbRun(sql, params));
+      }
+      await dbRun('COMMIT');
+    } catch (err) {
+      await dbRun('ROLLBACK').catch(() => {});
+      throw err;
+    }
+    return results;
+  });
+  transactionQueue = run.catch(() => {});
+  return run;
+}
+
+module.exports = {
+  db,
+  dbAll,
+  dbGet,
+  dbRun,
+  dbTransaction,
+};
@@ -0,0 +1,117 @@
+// lib/donation-emails.js
+//
+// Emails sent when a donation succeeds: the donor's thank-you with the PDF
+// receipt attached, and a notification to the admins for large gifts
+// (sent to the comma-separated ADMIN_NOTIFY_EMAILS). A gift is large from
+// LARGE_GIFT_THRESHOLD in its currency's units, unless LARGE_GIFT_THRESHOLDS
+// sets another amount for the currency, e.g. "jpy:150000,mxn:20000".
+
+const { sendTemplatedEmail, wasEmailSent } = require('./mailer');
+const { findReceiptByDonationId, signReceiptPdfLink } = require('./receipts');
+const { loadReceiptTemplate, formatAmount, renderReceiptPdfBuffer } = require('./receipt-pdf');
+const { toMinorUnits } = require('./currency');
+
+const LARGE_GIFT_THRESHOLD = Number(process.env.LARGE_GIFT_THRESHOLD) || 1000;
+const LARGE_GIFT_THRESHOLDS = Object.fromEntries(
+  (process.env.LARGE_GIFT_THRESHOLDS || '')
+    .split(',')
+    .map((entry) => entry.split(':').map((part) => part.trim()))
+    .filter(([currency, amount]) => currency && Number(amount) > 0)
+    .map(([currency, amount]) => [currency.toLowerCase(), Number(amount)])
+);
+const ADMIN_NOTIFY_EMAILS = (process.env.ADMIN_NOTIFY_EMAILS || '')
+  .split(',')
+  .map((email) => email.trim())
+  .filter(Boolean);
+// Public base URL of this server, used for links in emails (include trailing slash).
+const PUBLIC_API_URL = process.env.PUBLIC_API_URL || '';
+
+// Donations whose emails are being sent right now, so that two events for
+// the same payment (e.g. invoice.paid and payment_intent.succeeded) don't
+// both send them.
+const inFlight = new Set();
+
+async function sendDonorReceipt(donation, found, template) {
+  if (await wasEmailSent('donation-receipt', donation.id, donation.email)) {
+    return;
+  }
+  const { receipt, recurring } = found;
+  const pdf = await renderReceiptPdfBuffer(receipt, { recurring });
+  await sendTemplatedEmail({
+    template: 'donation-receipt',
+    to: donation.email,
+    donationId: donation.id,
+    data: {
+      organization: template.organization || {},
+      receipt,
+      recurring,
+      amount: formatAmount(receipt.amount, receipt.currency, template.locale),
+      feeAmount: receipt.fee_amount
+        ? formatAmount(receipt.fee_amount, receipt.currency, template.locale)
+        : null,
+      firstName: donation.first_name || '',
+      pdfUrl: PUBLIC_API_URL ? PUBLIC_API_URL + signReceiptPdfLink(donation.receipt_token) : null,
+    },
+    attachments: [
+      {
+        filename: `receipt-${receipt.receipt_number}.pdf`,
+        content: pdf,
+        contentType: 'application/pdf',
+      },
+    ],
+  });
+}
+
+async function notifyAdminsOfLargeGift(donation, found, template) {
+  const threshold = LARGE_GIFT_THRESHOLDS[donation.currency] || LARGE_GIFT_THRESHOLD;
+  if (donation.donation_amount < toMinorUnits(threshold, donation.currency)) {
+    return;
+  }
+  for (const adminEmail of ADMIN_NOTIFY_EMAILS) {
+    if (await wasEmailSent('large-gift', donation.id, adminEmail)) {
+      continue;
+    }
+    await sendTemplatedEmail({
+      template: 'large-gift',
+      to: adminEmail,
+      donationId: donation.id,
+      data: {
+        organization: template.organization || {},
+        donation,
+        receipt: found.receipt,
+        recurring: found.recurring,
+        amount: formatAmount(found.receipt.amount, found.receipt.currency, template.locale),
+        feeAmount: found.receipt.fee_amount
+          ? formatAmount(found.receipt.fee_amount, found.receipt.currency, template.locale)
+          : null,
+      },
+    });
+  }
+}
+
+// Send the emails for a succeeded donation. Safe to call more than once;
+// messages that were already sent are skipped. Failures are logged in
+// sent_emails, not thrown.
+async function sendDonationEmails(donation) {
+  if (inFlight.has(donation.id)) {
+    return;
+  }
+  inFlight.add(donation.id);
+  try {
+    const found = await findReceiptByDonationId(donation.id);
+    if (!found) {
+      return;
+    }
+    const template = loadReceiptTemplate();
+    if (donation.email) {
+      await sendDonorReceipt(donation, found, template);
+    }
+    await notifyAdminsOfLargeGift(donation, found, template);
+  } finally {
+    inFlight.delete(donation.id);
+  }
+}
+
+module.exports = {
+  sendDonationEmails,
+};
@@ -0,0 +1,203 @@
+// lib/donation-export.js
+//
+// CSV and XLSX exports of donations for the finance team. Exports take the
+// same filter and sort parameters as /admin-api/donations (see
+// lib/donation-query.js) and are read from the database in chunks and
+// streamed to the response, so large exports don't have to fit in memory.
+//
+// Amounts are exported in currency units, not minor units: CSV cells hold
+// plain decimals (e.g. 12.50) next to a Currency column, so spreadsheets can
+// sum them, and XLSX cells are numbers formatted with the currency's number
+// of decimals (see lib/currency.js).
+
+const ExcelJS = require('exceljs');
+const { dbAll } = require('./db');
+const {
+  MAX_PAGE_SIZE,
+  QueryError,
+  buildDonationPageQuery,
+  nextCursorFor,
+} = require('./donation-query');
+const { minorUnits, fromMinorUnits } = require('./currency');
+
+const EXPORT_FORMATS = ['csv', 'xlsx'];
+const EXPORT_CHUNK_SIZE = MAX_PAGE_SIZE;
+
+const toUnits = (amount, row) => fromMinorUnits(amount, row.currency);
+
+// Excel number format for amounts in a currency
+function amountFormat(currency) {
+  const decimals = minorUnits(currency);
+  return decimals ? `#,##0.${'0'.repeat(decimals)}` : '#,##0';
+}
+
+// Exportable columns, in their default order.
+const EXPORT_COLUMNS = {
+  id: { header: 'ID', value: (row) => row.id },
+  created_at: { header: 'Date (UTC)', type: 'date', value: (row) => row.created_at },
+  receipt_number: { header: 'Receipt', value: (row) => row.receipt_number },
+  email: { header: 'Email', value: (row) => row.email },
+  first_name: { header: 'First Name', value: (row) => row.first_name },
+  last_name: { header: 'Last Name', value: (row) => row.last_name },
+  card_name: { header: 'Card Name', value: (row) => row.card_name },
+  country: { header: 'Country', value: (row) => row.country },
+  postal_code: { header: 'Postal Code', value: (row) => row.postal_code },
+  amount: { header: 'Amount', type: 'amount', value: (row) => toUnits(row.donation_amount, row) },
+  base_amount: {
+    header: 'Gift Amount',
+    type: 'amount',
+    value: (row) => toUnits(row.donation_amount - (row.fee_amount || 0), row),
+  },
+  fee_amount: { header: 'Fee Covered', type: 'amount', value: (row) => toUnits(row.fee_amount || 0, row) },
+  refunded_amount: { header: 'Refunded', type: 'amount', value: (row) => toUnits(row.refunded_amount, row) },
+  net_amount: {
+    header: 'Net Amount',
+    type: 'amount',
+    value: (row) => toUnits(row.donation_amount - (row.refunded_amount || 0), row),
+  },
+  currency: { header: 'Currency', value: (row) => (row.currency || 'usd').toUpperCase() },
+  status: { header: 'Status', value: (row) => row.payment_intent_status },
+  frequency: { header: 'Frequency', value: (row) => (row.recurring_donation_id ? 'monthly' : 'once') },
+  campaign: { header: 'Campaign', value: (row) => row.campaign_slug },
+  payment_intent_id: { header: 'PaymentIntent', value: (row) => row.payment_intent_id },
+};
+
+// Parse the export format and the comma-separated `columns` parameter.
+function parseExportOptions(query = {}) {
+  const format = String(query.format || 'csv').toLowerCase();
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw new QueryError(`Invalid format, use one of: ${EXPORT_FORMATS.join(', ')}.`);
+  }
+  const columns = query.columns
+    ? String(query.columns).split(',').map((column) => column.trim()).filter(Boolean)
+    : Object.keys(EXPORT_COLUMNS);
+  const unknown = columns.filter((column) => !EXPORT_COLUMNS[column]);
+  if (unknown.length || columns.length === 0) {
+    throw new QueryError(
+      `Invalid columns${unknown.length ? ` (${unknown.join(', ')})` : ''}. Use any of: ${Object.keys(EXPORT_COLUMNS).join(', ')}.`
+    );
+  }
+  // Check the filters now; once the export streams it's too late for a 400.
+  buildDonationPageQuery(exportQuery(query), '');
+  return { format, columns };
+}
+
+// The filters and sort of `query`, with our own chunked paging.
+function exportQuery(query, cursor) {
+  return { ...query, page: undefined, pageSize: EXPORT_CHUNK_SIZE, cursor };
+}
+
+// Yield the donations matching `query` a chunk at a time, following the
+// keyset cursor so every chunk is a cheap indexed query.
+async function* donationChunks(query) {
+  let cursor;
+  do {
+    const page = buildDonationPageQuery(
+      exportQuery(query, cursor),
+      `SELECT donations.*, receipts.receipt_number, campaigns.slug AS campaign_slug
+       FROM donations
+       LEFT JOIN receipts ON receipts.donation_id = donations.id
+       LEFT JOIN campaigns ON campaigns.id = donations.campaign_id`
+    );
+    const rows = await dbAll(page.sql, page.params);
+    if (rows.length) {
+      yield rows;
+    }
+    cursor = nextCursorFor(rows, page.paging);
+  } while (cursor);
+}
+
+// Quote a CSV field. Values starting with a formula character are prefixed
+// with an apostrophe so spreadsheets don't evaluate them.
+function csvField(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  let text = String(value);
+  if (/^[=+\-@\t\r]/.test(text) && typeof value !== 'number') {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function write(stream, chunk) {
+  return new Promise((resolve, reject) => {
+    if (stream.destroyed) {
+      return reject(new Error('Export stream closed.'));
+    }
+    if (stream.write(chunk)) {
+      return resolve();
+    }
+    stream.once('drain', resolve);
+    stream.once('close', () => reject(new Error('Export stream closed.')));
+  });
+}
+
+async function writeCsv(query, columns, stream) {
+  const specs = columns.map((column) => EXPORT_COLUMNS[column]);
+  // The byte order mark makes Excel read the file as UTF-8.
+  await write(stream, '\uFEFF' + specs.map((spec) => csvField(spec.header)).join(',') + '\r\n');
+  for await (const rows of donationChunks(query)) {
+    const lines = rows.map((row) =>
+      specs
+        .map((spec) => {
+          const value = spec.value(row);
+          return csvField(spec.type === 'amount' ? value.toFixed(minorUnits(row.currency)) : value);
+        })
+        .join(',')
+    );
+    await write(stream, lines.join('\r\n') + '\r\n');
+  }
+  stream.end();
+}
+
+async function writeXlsx(query, columns, stream) {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: true });
+  const sheet = workbook.addWorksheet('Donations');
+  sheet.columns = columns.map((column) => {
+    const spec = EXPORT_COLUMNS[column];
+    const style = {};
+    if (spec.type === 'date') {
+      style.numFmt = 'yyyy-mm-dd hh:mm:ss';
+    }
+    return { header: spec.header, key: column, width: spec.type ? 18 : 20, style };
+  });
+  sheet.getRow(1).font = { bold: true };
+  sheet.getRow(1).commit();
+  for await (const rows of donationChunks(query)) {
+    rows.forEach((row) => {
+      const values = {};
+      columns.forEach((column) => {
+        const spec = EXPORT_COLUMNS[column];
+        const value = spec.value(row);
+        values[column] =
+          spec.type === 'date' && value ? new Date(`${value.replace(' ', 'T')}Z`) : value;
+      });
+      const sheetRow = sheet.addRow(values);
+      columns.forEach((column) => {
+        if (EXPORT_COLUMNS[column].type === 'amount') {
+          sheetRow.getCell(column).numFmt = amountFormat(row.currency);
+        }
+      });
+      sheetRow.commit();
+    });
+  }
+  sheet.commit();
+  await workbook.commit();
+}
+
+// Stream the export for `query` to `stream` (e.g. an Express response).
+// Call parseExportOptions first so bad parameters can still get a 400.
+async function writeDonationExport(query, { format, columns }, stream) {
+  if (format === 'xlsx') {
+    return writeXlsx(query, columns, stream);
+  }
+  return writeCsv(query, columns, stream);
+}
+
+module.exports = {
+  EXPORT_COLUMNS,
+  EXPORT_FORMATS,
+  parseExportOptions,
+  writeDonationExport,
+};
@@ -0,0 +1,128 @@
+// lib/donation-form.js
+//
+// What the donation form offers: the currency, the suggested amounts, the
+// amount selected by default and the smallest and largest gift accepted.
+// GET /donation-config hands these to the form and /create-payment-intent
+// enforces the same limits.
+//
+// A campaign can set its own amounts and limits (see lib/campaigns.js).
+// Otherwise SUGGESTED_AMOUNTS, DEFAULT_DONATION_AMOUNT, MIN_DONATION_AMOUNT
+// and MAX_DONATION_AMOUNT apply, in units of whichever currency the donor
+// gives in. All amounts returned are in minor units (see lib/currency.js).
+
+const {
+  normalizeCurrency,
+  currencyForCountry,
+  minorUnits,
+  toMinorUnits,
+  formatMoney,
+} = require('./currency');
+const { feeRateFor } = require('./processing-fees');
+
+function amountList(value) {
+  return String(value)
+    .split(',')
+    .map((amount) => Number(amount.trim()))
+    .filter((amount) => amount > 0);
+}
+
+const SUGGESTED_AMOUNTS = amountList(
+  process.env.SUGGESTED_AMOUNTS || '25,50,100,300,500,750,1000,1500,2000'
+);
+const DEFAULT_DONATION_AMOUNT = Number(process.env.DEFAULT_DONATION_AMOUNT) || 100;
+const MIN_DONATION_AMOUNT = Number(process.env.MIN_DONATION_AMOUNT) || 1;
+const MAX_DONATION_AMOUNT = Number(process.env.MAX_DONATION_AMOUNT) || 100000;
+
+// `field` is the field of the /create-payment-intent body at fault.
+class DonationFormError extends Error {
+  constructor(message, field = null, statusCode = 400) {
+    super(message);
+    this.name = 'DonationFormError';
+    this.field = field;
+    this.statusCode = statusCode;
+  }
+}
+
+// Currency of a donation: the campaign's; otherwise `currency` if the donor
+// picked one, or else the currency of their country.
+// Throws DonationFormError for a currency that isn't accepted.
+function resolveDonationCurrency({ campaign = null, currency: requested, country } = {}) {
+  let currency = null;
+  if (requested) {
+    currency = normalizeCurrency(requested);
+    if (!currency) {
+      throw new DonationFormError('Donations in this currency are not accepted.', 'currency');
+    }
+  }
+  if (campaign) {
+    if (currency && currency !== campaign.currency) {
+      throw new DonationFormError(
+        `This campaign takes donations in ${campaign.currency.toUpperCase()}.`,
+        'currency'
+      );
+    }
+    return campaign.currency;
+  }
+  return currency || currencyForCountry(country);
+}
+
+// Suggested amounts, default amount and limits for a gift in `currency`,
+// to `campaign` if there is one, and the processing fee rate so the form
+// can show what covering the fee adds.
+function donationFormConfig(currency, campaign = null) {
+  // The campaign's setting (already in minor units), or else the global one
+  const setting = (column, value) =>
+    campaign && campaign[column] !== null && campaign[column] !== undefined
+      ? campaign[column]
+      : toMinorUnits(value, currency);
+
+  const minAmount = setting('min_amount', MIN_DONATION_AMOUNT);
+  const maxAmount = setting('max_amount', MAX_DONATION_AMOUNT);
+  const suggestedAmounts = (
+    campaign && campaign.suggested_amounts.length
+      ? campaign.suggested_amounts
+      : SUGGESTED_AMOUNTS.map((amount) => toMinorUnits(amount, currency))
+  ).filter((amount) => amount >= minAmount && amount <= maxAmount);
+  // The default must be one of the buttons; fall back to the first one
+  let defaultAmount = setting('default_amount', DEFAULT_DONATION_AMOUNT);
+  if (!suggestedAmounts.includes(defaultAmount)) {
+    defaultAmount = suggestedAmounts.length ? suggestedAmounts[0] : null;
+  }
+
+  return {
+    currency,
+    currencyDecimals: minorUnits(currency),
+    suggestedAmounts,
+    defaultAmount,
+    minAmount,
+    maxAmount,
+    processingFee: feeRateFor(currency),
+  };
+}
+
+// Throw DonationFormError unless `amount` (in minor units) is within the
+// limits of `config`.
+function checkDonationAmount(amount, config) {
+  if (!Number.isInteger(amount) || amount <= 0) {
+    throw new DonationFormError('Invalid donation amount.', 'donationAmount');
+  }
+  if (amount < config.minAmount) {
+    throw new DonationFormError(
+      `The smallest donation we can accept is ${formatMoney(config.minAmount, config.currency, 'en-US')}.`,
+      'donationAmount'
+    );
+  }
+  if (amount > config.maxAmount) {
+    throw new DonationFormError(
+      `The largest donation we can accept online is ${formatMoney(config.maxAmount, config.currency, 'en-US')}.`,
+      'donationAmount'
+    );
+  }
+}
+
+module.exports = {
+  DonationFormError,
+  resolveDonationCurrency,
+  donationFormConfig,
+  checkDonationAmount,
+};
@@ -0,0 +1,250 @@
+// lib/donation-query.js
+//
+// Turns the query string of /admin-api/donations into SQL. The same filters
+// are meant to be reused by anything else that works on a filtered set of
+// donations, so the WHERE clause is built separately from sorting and
+// pagination.
+//
+// Filters:  from, to (YYYY-MM-DD, inclusive), status, country, currency
+//           (comma-separated lists), minAmount, maxAmount (in currency units;
+//           in the minor units of the filtered currency when it is a single
+//           one, otherwise assuming two decimals), q (search in email and
+//           names), campaign (comma-separated campaign ids; "none" for
+//           untagged donations)
+// Sorting:  sort (see SORT_COLUMNS), order (asc | desc)
+// Paging:   page + pageSize, or cursor (the nextCursor of the previous page)
+
+const { toMinorUnits } = require('./currency');
+
+const DEFAULT_PAGE_SIZE = 30;
+const MAX_PAGE_SIZE = 200;
+
+// Sortable columns -> SQL expression. Text columns are COALESCEd so that the
+// cursor comparison also works for rows where they are NULL.
+const SORT_COLUMNS = {
+  id: 'donations.id',
+  created_at: 'donations.created_at',
+  donation_amount: 'donations.donation_amount',
+  email: "COALESCE(donations.email, '')",
+  last_name: "COALESCE(donations.last_name, '')",
+  country: "COALESCE(donations.country, '')",
+  status: "COALESCE(donations.payment_intent_status, '')",
+};
+
+class QueryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'QueryError';
+    this.statusCode = 400;
+  }
+}
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+// `text` with the LIKE wildcards escaped, for a pattern used with
+// ESCAPE '\', so it matches literally.
+function escapeLike(text) {
+  return String(text).replace(/[\\%_]/g, (ch) => `\\${ch}`);
+}
+
+function list(value) {
+  if (value === undefined || value === null || value === '') {
+    return [];
+  }
+  return String(value)
+    .split(',')
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+function amountInMinorUnits(value, currency, name) {
+  const amount = toMinorUnits(value, currency);
+  if (isNaN(amount) || amount < 0) {
+    throw new QueryError(`Invalid ${name}.`);
+  }
+  return amount;
+}
+
+// Build the WHERE clause for the filter parameters in `query`.
+// Resolves to { where, params } where `where` is '' when nothing is filtered.
+function buildDonationFilters(query = {}) {
+  const conditions = [];
+  const params = [];
+
+  if (query.from) {
+    if (!DATE_RE.test(query.from)) {
+      throw new QueryError('Invalid from date, expected YYYY-MM-DD.');
+    }
+    conditions.push('donations.created_at >= ?');
+    params.push(`${query.from} 00:00:00`);
+  }
+  if (query.to) {
+    if (!DATE_RE.test(query.to)) {
+      throw new QueryError('Invalid to date, expected YYYY-MM-DD.');
+    }
+    conditions.push("donations.created_at < datetime(?, '+1 day')");
+    params.push(query.to);
+  }
+
+  const statuses = list(query.status);
+  if (statuses.length) {
+    conditions.push(`donations.payment_intent_status IN (${statuses.map(() => '?').join(', ')})`);
+    params.push(...statuses);
+  }
+
+  const countries = list(query.country).map((country) => country.toUpperCase());
+  if (countries.length) {
+    conditions.push(`UPPER(donations.country) IN (${countries.map(() => '?').join(', ')})`);
+    params.push(...countries);
+  }
+
+  const currencies = list(query.currency).map((currency) => currency.toLowerCase());
+  if (currencies.some((currency) => !/^[a-z]{3}$/.test(currency))) {
+    throw new QueryError('Invalid currency.');
+  }
+  if (currencies.length) {
+    conditions.push(`donations.currency IN (${currencies.map(() => '?').join(', ')})`);
+    params.push(...currencies);
+  }
+  const amountCurrency = currencies.length === 1 ? currencies[0] : 'usd';
+
+  const campaigns = list(query.campaign);
+  if (campaigns.length) {
+    const ids = campaigns.filter((campaign) => campaign !== 'none');
+    if (ids.some((id) => !/^\d+$/.test(id))) {
+      throw new QueryError('Invalid campaign.');
+    }
+    const options = ids.length ? [`donations.campaign_id IN (${ids.map(() => '?').join(', ')})`] : [];
+    if (ids.length < campaigns.length) {
+      options.push('donations.campaign_id IS NULL');
+    }
+    conditions.push(`(${options.join(' OR ')})`);
+    params.push(...ids.map(Number));
+  }
+
+  if (query.minAmount !== undefined && query.minAmount !== '') {
+    conditions.push('donations.donation_amount >= ?');
+    params.push(amountInMinorUnits(query.minAmount, amountCurrency, 'minAmount'));
+  }
+  if (query.maxAmount !== undefined && query.maxAmount !== '') {
+    conditions.push('donations.donation_amount <= ?');
+    params.push(amountInMinorUnits(query.maxAmount, amountCurrency, 'maxAmount'));
+  }
+
+  if (query.q && String(query.q).trim()) {
+    const term = `%${escapeLike(String(query.q).trim())}%`;
+    const fields = [
+      'donations.email',
+      'donations.first_name',
+      'donations.last_name',
+      'donations.card_name',
+      "COALESCE(donations.first_name, '') || ' ' || COALESCE(donations.last_name, '')",
+    ];
+    conditions.push(`(${fields.map((field) => `${field} LIKE ? ESCAPE '\\'`).join(' OR ')})`);
+    fields.forEach(() => params.push(term));
+  }
+
+  return {
+    where: conditions.length ? `WHERE ${conditions.join(' AND ')}` : '',
+    params,
+  };
+}
+
+function encodeCursor(value, id) {
+  return Buffer.from(JSON.stringify([value, id])).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (Array.isArray(decoded) && decoded.length === 2 && Number.isInteger(decoded[1])) {
+      return decoded;
+    }
+  } catch (err) {
+    // fall through
+  }
+  throw new QueryError('Invalid cursor.');
+}
+
+// Parse sorting and paging parameters.
+function parsePaging(query = {}) {
+  const sort = query.sort || 'created_at';
+  if (!SORT_COLUMNS[sort]) {
+    throw new QueryError(`Invalid sort column. Use one of: ${Object.keys(SORT_COLUMNS).join(', ')}.`);
+  }
+  const order = String(query.order || 'desc').toLowerCase();
+  if (order !== 'asc' && order !== 'desc') {
+    throw new QueryError('Invalid order, use asc or desc.');
+  }
+  const pageSize = query.pageSize === undefined ? DEFAULT_PAGE_SIZE : Number(query.pageSize);
+  if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+    throw new QueryError(`Invalid pageSize, use 1 to ${MAX_PAGE_SIZE}.`);
+  }
+  const page = query.page === undefined ? 1 : Number(query.page);
+  if (!Number.isInteger(page) || page < 1) {
+    throw new QueryError('Invalid page.');
+  }
+  const cursor = query.cursor ? decodeCursor(query.cursor) : null;
+  return { sort, order, pageSize, page, cursor };
+}
+
+// Build the full page query: `select` is the column list / FROM clause that
+// the filters and ordering are appended to.
+// Returns { sql, params, countSql, countParams, paging }.
+function buildDonationPageQuery(query, select) {
+  const { where, params } = buildDonationFilters(query);
+  const paging = parsePaging(query);
+  const sortExpr = SORT_COLUMNS[paging.sort];
+  const direction = paging.order.toUpperCase();
+  const comparison = paging.order === 'asc' ? '>' : '<';
+
+  const pageConditions = [];
+  const pageParams = [...params];
+  if (paging.cursor) {
+    // Keyset pagination: rows strictly after the last row of the previous page
+    pageConditions.push(
+      `(${sortExpr} ${comparison} ? OR (${sortExpr} = ? AND donations.id ${comparison} ?))`
+    );
+    pageParams.push(paging.cursor[0], paging.cursor[0], paging.cursor[1]);
+  }
+  const fullWhere = [where.replace(/^WHERE /, ''), ...pageConditions].filter(Boolean).join(' AND ');
+
+  let sql = `${select} ${fullWhere ? `WHERE ${fullWhere}` : ''}
+    ORDER BY ${sortExpr} ${direction}, donations.id ${direction}
+    LIMIT ?`;
+  pageParams.push(paging.pageSize);
+  if (!paging.cursor) {
+    sql += ' OFFSET ?';
+    pageParams.push((paging.page - 1) * paging.pageSize);
+  }
+
+  return {
+    sql,
+    params: pageParams,
+    countSql: `SELECT COUNT(*) AS count FROM donations ${where}`,
+    countParams: params,
+    paging,
+  };
+}
+
+// Cursor pointing after the last row of a full page, or null on the last page.
+function nextCursorFor(rows, paging) {
+  if (rows.length < paging.pageSize) {
+    return null;
+  }
+  const last = rows[rows.length - 1];
+  const key = paging.sort === 'status' ? 'payment_intent_status' : paging.sort;
+  const value = last[key] === null || last[key] === undefined ? '' : last[key];
+  return encodeCursor(value, last.id);
+}
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  SORT_COLUMNS,
+  QueryError,
+  escapeLike,
+  buildDonationFilters,
+  buildDonationPageQuery,
+  nextCursorFor,
+};
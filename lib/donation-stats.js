@@ -0,0 +1,253 @@
+// lib/donation-stats.js
+//
+// Figures for the admin dashboard (/admin-api/stats). Everything is computed
+// in SQLite over the donations created in the requested date range (`from`
+// and `to`, YYYY-MM-DD, both optional, as in lib/donation-query.js),
+// optionally only for some campaigns (`campaign`, also as there).
+//
+// Amounts are in minor units (see lib/currency.js). Amounts in different
+// currencies are never added up: the figures are for one currency at a time
+// (`currency`, by default the one with the most paid donations), and
+// `currencies` has the totals of each. "Paid" donations are the ones where
+// the money came in, including those refunded or disputed later; the totals
+// report refunds separately.
+
+const { dbAll, dbGet } = require('./db');
+const { QueryError, buildDonationFilters } = require('./donation-query');
+const { DEFAULT_CURRENCY, fromMinorUnits } = require('./currency');
+const { donationFormConfig } = require('./donation-form');
+const { findCampaign } = require('./campaigns');
+
+const PAID_STATUSES = ['succeeded', 'partially_refunded', 'refunded', 'disputed', 'dispute_lost'];
+// Attempts that ended without a payment; together with the paid ones they
+// give the conversion rate. Donations still in progress are left out.
+const UNPAID_STATUSES = ['failed', 'abandoned', 'canceled'];
+
+const placeholders = (values) => values.map(() => '?').join(', ');
+
+// WHERE clause for the date range plus `condition`.
+function rangeWhere(query, condition, conditionParams = []) {
+  const { where, params } = buildDonationFilters({
+    from: query.from,
+    to: query.to,
+    campaign: query.campaign,
+    currency: query.currency,
+  });
+  return {
+    where: `${where ? `${where} AND` : 'WHERE'} ${condition}`,
+    params: [...params, ...conditionParams],
+  };
+}
+
+function paidWhere(query) {
+  return rangeWhere(query, `donations.payment_intent_status IN (${placeholders(PAID_STATUSES)})`, PAID_STATUSES);
+}
+
+async function getTotals(query) {
+  const { where, params } = paidWhere(query);
+  const totals = await dbGet(
+    `SELECT COUNT(*) AS count,
+            COALESCE(SUM(donation_amount), 0) AS gross,
+            COALESCE(SUM(refunded_amount), 0) AS refunded,
+            COALESCE(SUM(fee_amount), 0) AS fees_covered
+     FROM donations ${where}`,
+    params
+  );
+  let median = 0;
+  if (totals.count > 0) {
+    // Middle row, or the mean of the two middle rows for an even count
+    const middle = await dbAll(
+      `SELECT donation_amount FROM donations ${where}
+       ORDER BY donation_amount LIMIT ? OFFSET ?`,
+      [...params, totals.count % 2 === 0 ? 2 : 1, Math.floor((totals.count - 1) / 2)]
+    );
+    median = Math.round(middle.reduce((sum, row) => sum + row.donation_amount, 0) / middle.length);
+  }
+  return {
+    count: totals.count,
+    gross: totals.gross,
+    refunded: totals.refunded,
+    net: totals.gross - totals.refunded,
+    // Processing fees donors chose to cover, part of gross
+    feesCovered: totals.fees_covered,
+    average: totals.count ? Math.round(totals.gross / totals.count) : 0,
+    median,
+  };
+}
+
+// Paid totals of each currency, the most used first
+async function getCurrencyTotals(query) {
+  const { where, params } = paidWhere({ ...query, currency: undefined });
+  const rows = await dbAll(
+    `SELECT currency, COUNT(*) AS count,
+            COALESCE(SUM(donation_amount), 0) AS gross,
+            COALESCE(SUM(refunded_amount), 0) AS refunded
+     FROM donations ${where}
+     GROUP BY currency ORDER BY count DESC, currency`,
+    params
+  );
+  return rows.map((row) => ({ ...row, net: row.gross - row.refunded }));
+}
+
+// Counts only, so this covers every currency.
+async function getConversion(query) {
+  const statuses = [...PAID_STATUSES, ...UNPAID_STATUSES];
+  const { where, params } = rangeWhere(
+    query,
+    `donations.payment_intent_status IN (${placeholders(statuses)})`,
+    statuses
+  );
+  const rows = await dbAll(
+    `SELECT payment_intent_status AS status, COUNT(*) AS count
+     FROM donations ${where} GROUP BY payment_intent_status`,
+    params
+  );
+  const byStatus = Object.fromEntries(rows.map((row) => [row.status, row.count]));
+  const sum = (list) => list.reduce((total, status) => total + (byStatus[status] || 0), 0);
+  const paid = sum(PAID_STATUSES);
+  const failed = byStatus.failed || 0;
+  const abandoned = (byStatus.abandoned || 0) + (byStatus.canceled || 0);
+  return {
+    paid,
+    failed,
+    abandoned,
+    rate: paid + failed + abandoned ? paid / (paid + failed + abandoned) : null,
+  };
+}
+
+// Start of the day or week (Monday) of a YYYY-MM-DD date, as YYYY-MM-DD.
+function periodStart(date, interval) {
+  const day = new Date(`${date}T00:00:00Z`);
+  if (interval === 'week') {
+    day.setUTCDate(day.getUTCDate() - ((day.getUTCDay() + 6) % 7));
+  }
+  return day.toISOString().slice(0, 10);
+}
+
+// Paid count and amount per day, or per week starting on Monday. Periods
+// without donations are included with zeros so the series has no gaps.
+async function getSeries(query, interval) {
+  const period =
+    interval === 'week'
+      ? "date(donations.created_at, 'weekday 0', '-6 days')"
+      : 'date(donations.created_at)';
+  const { where, params } = paidWhere(query);
+  const rows = await dbAll(
+    `SELECT ${period} AS period, COUNT(*) AS count, SUM(donation_amount) AS amount
+     FROM donations ${where}
+     GROUP BY period ORDER BY period`,
+    params
+  );
+  const first = query.from || (rows.length && rows[0].period);
+  const last = query.to || (rows.length && rows[rows.length - 1].period);
+  if (!first || !last) {
+    return rows;
+  }
+  const byPeriod = Object.fromEntries(rows.map((row) => [row.period, row]));
+  const series = [];
+  const step = interval === 'week' ? 7 : 1;
+  const end = periodStart(last, interval);
+  for (let day = new Date(`${periodStart(first, interval)}T00:00:00Z`); ; day.setUTCDate(day.getUTCDate() + step)) {
+    const key = day.toISOString().slice(0, 10);
+    if (key > end) {
+      break;
+    }
+    series.push(byPeriod[key] || { period: key, count: 0, amount: 0 });
+  }
+  return series;
+}
+
+function getCountries(query) {
+  const { where, params } = paidWhere(query);
+  return dbAll(
+    `SELECT COALESCE(NULLIF(UPPER(country), ''), 'Unknown') AS country,
+            COUNT(*) AS count, SUM(donation_amount) AS amount
+     FROM donations ${where}
+     GROUP BY 1 ORDER BY amount DESC`,
+    params
+  );
+}
+
+// The suggested amounts the donation form offers in the query's currency
+// (see lib/donation-form.js): the campaign's when the query is for a single
+// campaign in that currency, otherwise the global ones.
+async function presetAmountsFor(query) {
+  const ids = String(query.campaign || '')
+    .split(',')
+    .map((id) => id.trim())
+    .filter(Boolean);
+  const campaign = ids.length === 1 && ids[0] !== 'none' ? await findCampaign(ids[0]) : null;
+  const config = donationFormConfig(
+    query.currency,
+    campaign && campaign.currency === query.currency ? campaign : null
+  );
+  return config.suggestedAmounts;
+}
+
+// How many paid gifts used each suggested amount, and how many were custom.
+// Gifts are bucketed on the amount picked, before any processing fee the
+// donor added (see lib/processing-fees.js).
+async function getAmountHistogram(query) {
+  const { where, params } = paidWhere(query);
+  const presetAmounts = await presetAmountsFor(query);
+  const rows = await dbAll(
+    `SELECT CASE WHEN COALESCE(base_amount, donation_amount) IN (${placeholders(presetAmounts)})
+                 THEN COALESCE(base_amount, donation_amount) ELSE 'custom' END AS bucket,
+            COUNT(*) AS count, SUM(donation_amount) AS amount
+     FROM donations ${where}
+     GROUP BY bucket`,
+    [...presetAmounts, ...params]
+  );
+  const byBucket = Object.fromEntries(rows.map((row) => [String(row.bucket), row]));
+  const bucket = (key, label) => ({
+    label,
+    count: byBucket[key] ? byBucket[key].count : 0,
+    amount: byBucket[key] ? byBucket[key].amount : 0,
+  });
+  return [
+    ...presetAmounts.map((amount) =>
+      bucket(String(amount), String(fromMinorUnits(amount, query.currency)))
+    ),
+    bucket('custom', 'custom'),
+  ];
+}
+
+// All dashboard figures for the date range (and campaigns) in `query`.
+// Throws QueryError (see lib/donation-query.js) for invalid filters.
+async function getDonationStats(query = {}) {
+  if (query.currency && !/^[a-z]{3}$/i.test(query.currency)) {
+    throw new QueryError('Invalid currency.');
+  }
+  const currencies = await getCurrencyTotals(query);
+  const currency = query.currency
+    ? query.currency.toLowerCase()
+    : currencies.length
+      ? currencies[0].currency
+      : DEFAULT_CURRENCY;
+  const scoped = { ...query, currency };
+  const [totals, conversion, daily, weekly, countries, amounts] = await Promise.all([
+    getTotals(scoped),
+    getConversion({ ...query, currency: undefined }),
+    getSeries(scoped, 'day'),
+    getSeries(scoped, 'week'),
+    getCountries(scoped),
+    getAmountHistogram(scoped),
+  ]);
+  return {
+    from: query.from || null,
+    to: query.to || null,
+    campaign: query.campaign || null,
+    currency,
+    currencies,
+    totals,
+    conversion,
+    series: { daily, weekly },
+    countries,
+    amounts,
+  };
+}
+
+module.exports = {
+  PAID_STATUSES,
+  getDonationStats,
+};
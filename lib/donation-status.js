@@ -0,0 +1,120 @@
+// lib/donation-status.js
+//
+// State machine for `donations.payment_intent_status`. Every status change
+// (webhooks, admin actions) goes through transitionDonation so that
+// redelivered, out-of-order or nonsensical updates are ignored instead of
+// overwriting a newer state. Changes other systems care about are queued
+// as outbound webhooks (see lib/outbound-webhooks.js).
+
+const { dbGet, dbRun } = require('./db');
+const { queueDonationStatusEvent } = require('./outbound-webhooks');
+const { linkDonation } = require('./donors');
+
+// Statuses a donation can have before the payment settles. "pending" is our
+// own initial status; the rest mirror Stripe PaymentIntent statuses.
+const PENDING_STATUSES = [
+  'pending',
+  'requires_payment_method',
+  'requires_confirmation',
+  'requires_action',
+  'requires_capture',
+];
+
+// Statuses that can still change without anything happening on our side.
+const UNSETTLED_STATUSES = [...PENDING_STATUSES, 'processing', 'failed'];
+
+// Allowed next statuses for each status. Statuses missing from this map are final.
+const DONATION_TRANSITIONS = {
+  ...Object.fromEntries(
+    PENDING_STATUSES.map((status) => [status, UNSETTLED_STATUSES.concat('succeeded', 'canceled', 'abandoned')])
+  ),
+  processing: UNSETTLED_STATUSES.concat('succeeded', 'canceled'),
+  // A declined card leaves the PaymentIntent open, so the donor can retry.
+  failed: UNSETTLED_STATUSES.concat('succeeded', 'canceled', 'abandoned'),
+  // Set by the reconciliation job (lib/reconcile.js) for intents nobody
+  // completed. The PaymentIntent itself stays open, so a late payment still
+  // counts.
+  abandoned: UNSETTLED_STATUSES.concat('succeeded', 'canceled'),
+  succeeded: ['partially_refunded', 'refunded', 'disputed'],
+  partially_refunded: ['partially_refunded', 'refunded', 'disputed'],
+  disputed: ['succeeded', 'partially_refunded', 'refunded', 'dispute_lost'],
+};
+
+function canTransition(from, to) {
+  if (from === to) {
+    return true;
+  }
+  const allowed = DONATION_TRANSITIONS[from || 'pending'];
+  return Boolean(allowed && allowed.includes(to));
+}
+
+// Move the donation with the given PaymentIntent id to `nextStatus`.
+// `occurredAt` (unix seconds, e.g. a Stripe event's `created`) lets us drop
+// updates that are older than the one already applied. With
+// `keepStatusUpdatedAt` the change leaves status_updated_at as it is, for
+// callers that don't know when the status changed.
+// Resolves to { donation, changed, previousStatus }; donation is null when
+// no donation matches the PaymentIntent.
+async function transitionDonation(
+  paymentIntentId,
+  nextStatus,
+  { occurredAt, keepStatusUpdatedAt = false } = {}
+) {
+  const donation = await dbGet(
+    `SELECT * FROM donations WHERE payment_intent_id = ?`,
+    [paymentIntentId]
+  );
+  if (!donation) {
+    return { donation: null, changed: false, previousStatus: null };
+  }
+
+  const previousStatus = donation.payment_intent_status;
+  if (previousStatus === nextStatus) {
+    return { donation, changed: false, previousStatus };
+  }
+  if (occurredAt && donation.status_updated_at && occurredAt < donation.status_updated_at) {
+    console.log(
+      `Ignoring stale status ${nextStatus} for PaymentIntent ${paymentIntentId} (currently ${previousStatus})`
+    );
+    return { donation, changed: false, previousStatus };
+  }
+  if (!canTransition(previousStatus, nextStatus)) {
+    console.warn(
+      `Ignoring invalid status change ${previousStatus} -> ${nextStatus} for PaymentIntent ${paymentIntentId}`
+    );
+    return { donation, changed: false, previousStatus };
+  }
+
+  // A paid gift is linked to its donor first, so a failure here leaves the
+  // status unchanged and the webhook retry links it again.
+  if (nextStatus === 'succeeded') {
+    donation.donor_id = await linkDonation(donation);
+  }
+
+  const updatedAt = keepStatusUpdatedAt
+    ? donation.status_updated_at
+    : occurredAt || Math.floor(Date.now() / 1000);
+  // The WHERE on the old status makes the update a compare-and-set, so two
+  // concurrent updates cannot both apply.
+  const result = await dbRun(
+    `UPDATE donations SET payment_intent_status = ?, status_updated_at = ?
+     WHERE id = ? AND payment_intent_status IS ?`,
+    [nextStatus, updatedAt, donation.id, previousStatus]
+  );
+  if (result.changes === 0) {
+    return transitionDonation(paymentIntentId, nextStatus, { occurredAt, keepStatusUpdatedAt });
+  }
+
+  donation.payment_intent_status = nextStatus;
+  donation.status_updated_at = updatedAt;
+  await queueDonationStatusEvent(donation, previousStatus);
+  return { donation, changed: true, previousStatus };
+}
+
+module.exports = {
+  PENDING_STATUSES,
+  UNSETTLED_STATUSES,
+  DONATION_TRANSITIONS,
+  canTransition,
+  transitionDonation,
+};
@@ -0,0 +1,166 @@
+// lib/donation-validation.js
+//
+// Validation of the body of /create-payment-intent, so nothing malformed
+// reaches SQLite or Stripe. Every invalid field is reported at once, keyed
+// by its name in the body, e.g.
+//   { error: 'Please correct the highlighted fields.',
+//     fields: { email: 'Invalid email address.', postalCode: '...' } }
+// which js/payment.js shows next to the matching fields of the form.
+// Currency and amount limits come from lib/donation-form.js; a gift whose
+// donor covers the processing fee (lib/processing-fees.js) must be within
+// the maximum with the fee added.
+
+const {
+  DonationFormError,
+  resolveDonationCurrency,
+  donationFormConfig,
+  checkDonationAmount,
+} = require('./donation-form');
+const { toMinorUnits, formatMoney } = require('./currency');
+const { coverFeeAmount } = require('./processing-fees');
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const EMAIL_MAX_LENGTH = 254;
+const NAME_MAX_LENGTH = 100;
+
+// Postal code formats of the countries on the donation form (the options of
+// #location-country). `format` normalizes a valid code for storage.
+const POSTAL_CODE_RULES = {
+  US: { pattern: /^\d{5}(-\d{4})?$/, example: '12345 or 12345-6789' },
+  CA: {
+    pattern: /^[ABCEGHJ-NPRSTVXY]\d[ABCEGHJ-NPRSTV-Z] ?\d[ABCEGHJ-NPRSTV-Z]\d$/,
+    example: 'K1A 0B1',
+    format: (code) => `${code.replace(' ', '').slice(0, 3)} ${code.replace(' ', '').slice(3)}`,
+  },
+  MX: { pattern: /^\d{5}$/, example: '06600' },
+  GB: {
+    pattern: /^(GIR ?0AA|[A-Z]{1,2}\d[A-Z\d]? ?\d[A-Z]{2})$/,
+    example: 'SW1A 1AA',
+    format: (code) => `${code.replace(' ', '').slice(0, -3)} ${code.replace(' ', '').slice(-3)}`,
+  },
+  ZA: { pattern: /^\d{4}$/, example: '2001' },
+  AL: { pattern: /^\d{4}$/, example: '1001' },
+};
+
+const DONATION_COUNTRIES = Object.keys(POSTAL_CODE_RULES);
+
+const FREQUENCIES = ['once', 'monthly'];
+
+class ValidationError extends Error {
+  constructor(fields) {
+    super('Please correct the highlighted fields.');
+    this.name = 'ValidationError';
+    this.statusCode = 400;
+    this.fields = fields;
+  }
+}
+
+function text(value) {
+  return value === undefined || value === null ? '' : String(value).trim().replace(/\s+/g, ' ');
+}
+
+function checkName(errors, field, value, { label, required }) {
+  if (!value) {
+    if (required) {
+      errors[field] = `Please enter your ${label}.`;
+    }
+  } else if (value.length > NAME_MAX_LENGTH) {
+    errors[field] = `The ${label} can be at most ${NAME_MAX_LENGTH} characters.`;
+  }
+}
+
+// Validate the body of /create-payment-intent for a gift to `campaign`
+// (null for none). Resolves to the normalized donation: { frequency,
+// amount (minor units, without the fee), currency, coverFee, feeAmount
+// (minor units, 0 unless coverFee), email, firstName, lastName, cardName,
+// country, postalCode }. Throws ValidationError with every invalid field.
+function validateDonation(body = {}, { campaign = null } = {}) {
+  const errors = {};
+
+  const frequency = body.frequency === undefined ? 'once' : body.frequency;
+  if (!FREQUENCIES.includes(frequency)) {
+    errors.frequency = 'Invalid donation frequency.';
+  }
+
+  const email = text(body.email);
+  if (!email) {
+    errors.email = 'Please enter your email address.';
+  } else if (email.length > EMAIL_MAX_LENGTH || !EMAIL_RE.test(email)) {
+    errors.email = 'Invalid email address.';
+  }
+
+  const firstName = text(body.firstName);
+  const lastName = text(body.lastName);
+  const cardName = text(body.cardName);
+  checkName(errors, 'firstName', firstName, { label: 'first name', required: true });
+  checkName(errors, 'lastName', lastName, { label: 'last name', required: true });
+  checkName(errors, 'cardName', cardName, { label: 'name on the card', required: false });
+
+  const country = text(body.country).toUpperCase();
+  let postalCode = text(body.postalCode).toUpperCase();
+  if (!country) {
+    errors.country = 'Please select a country.';
+  } else if (!DONATION_COUNTRIES.includes(country)) {
+    errors.country = 'We cannot accept donations from this country online.';
+  }
+  if (!postalCode) {
+    errors.postalCode = 'Please enter your postal code.';
+  } else if (POSTAL_CODE_RULES[country]) {
+    const rule = POSTAL_CODE_RULES[country];
+    if (!rule.pattern.test(postalCode)) {
+      errors.postalCode = `Invalid postal code, e.g. ${rule.example}.`;
+    } else if (rule.format) {
+      postalCode = rule.format(postalCode);
+    }
+  }
+
+  const coverFee = body.coverFee === true || body.coverFee === 'true';
+  let currency = null;
+  let amount = null;
+  let feeAmount = 0;
+  try {
+    currency = resolveDonationCurrency({ campaign, currency: body.currency, country });
+    if (text(body.donationAmount) === '') {
+      errors.donationAmount = 'Please select or enter a donation amount.';
+    } else {
+      amount = toMinorUnits(body.donationAmount, currency);
+      const config = donationFormConfig(currency, campaign);
+      checkDonationAmount(amount, config);
+      feeAmount = coverFee ? coverFeeAmount(amount, currency) : 0;
+      if (amount + feeAmount > config.maxAmount) {
+        errors.donationAmount =
+          `With the processing fee, the largest donation we can accept online is ` +
+          `${formatMoney(config.maxAmount, currency, 'en-US')} in total.`;
+      }
+    }
+  } catch (err) {
+    if (!(err instanceof DonationFormError)) {
+      throw err;
+    }
+    errors[err.field] = err.message;
+  }
+
+  if (Object.keys(errors).length) {
+    throw new ValidationError(errors);
+  }
+  return {
+    frequency,
+    amount,
+    currency,
+    coverFee,
+    feeAmount,
+    email,
+    firstName,
+    lastName,
+    cardName: cardName || `${firstName} ${lastName}`,
+    country,
+    postalCode,
+  };
+}
+
+module.exports = {
+  DONATION_COUNTRIES,
+  POSTAL_CODE_RULES,
+  ValidationError,
+  validateDonation,
+};
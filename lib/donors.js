@@ -0,0 +1,302 @@
+// lib/donors.js
+//
+// Donor records. Every donation and monthly gift is linked (donor_id) to
+// the donor with the same normalized email, created on the donor's first
+// gift. The donor keeps the name and address of their latest gift; the
+// donation rows keep what was entered for that gift. Donations are linked
+// when their payment succeeds (see lib/donation-status.js), so checkouts
+// that are abandoned or declined neither create donors nor change them.
+//
+// Duplicates (e.g. the same person giving with a work and a private email)
+// are merged: the gifts of one donor move to the other, and the merged
+// donor's row stays behind with merged_into_id set, so that later gifts
+// from its email are linked to the donor it was merged into.
+//
+// Lifetime giving counts the same gifts as campaign progress (see
+// RAISED_STATUSES in lib/campaigns.js), net of refunds, per currency.
+
+const { dbAll, dbGet, dbRun, dbTransaction } = require('./db');
+const { RAISED_STATUSES } = require('./campaigns');
+const { QueryError, escapeLike } = require('./donation-query');
+
+const DEFAULT_PAGE_SIZE = 30;
+const MAX_PAGE_SIZE = 200;
+
+// Sortable columns of the donor list -> SQL expression
+const SORT_COLUMNS = {
+  last_gift_at: 'last_gift_at',
+  first_gift_at: 'first_gift_at',
+  gift_count: 'gift_count',
+  email: 'donors.email',
+  last_name: "COALESCE(donors.last_name, '')",
+  created_at: 'donors.created_at',
+};
+
+class DonorError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'DonorError';
+    this.statusCode = statusCode;
+  }
+}
+
+const placeholders = (list) => list.map(() => '?').join(', ');
+
+// The email donors are matched on: trimmed and lowercase.
+function normalizeEmail(email) {
+  return String(email || '').trim().toLowerCase();
+}
+
+// Id of the donor for a gift from `email`, creating the donor on their
+// first gift. The donor's details are updated to the ones given.
+async function findOrCreateDonor({ email, firstName, lastName, country, postalCode }) {
+  const normalized = normalizeEmail(email);
+  if (!normalized) {
+    return null;
+  }
+  await dbRun(`INSERT INTO donors (email) VALUES (?) ON CONFLICT (email) DO NOTHING`, [normalized]);
+  const row = await dbGet(`SELECT id, merged_into_id FROM donors WHERE email = ?`, [normalized]);
+  const donorId = row.merged_into_id || row.id;
+  await dbRun(
+    `UPDATE donors
+     SET first_name = COALESCE(?, first_name), last_name = COALESCE(?, last_name),
+         country = COALESCE(?, country), postal_code = COALESCE(?, postal_code),
+         updated_at = CURRENT_TIMESTAMP
+     WHERE id = ?`,
+    [firstName || null, lastName || null, country || null, postalCode || null, donorId]
+  );
+  return donorId;
+}
+
+// Link a donation row whose payment succeeded, and its monthly gift if the
+// gift has no donor yet, to the donor with its email. Resolves to the donor
+// id (null without an email).
+async function linkDonation(donation) {
+  const donorId = await findOrCreateDonor({
+    email: donation.email,
+    firstName: donation.first_name,
+    lastName: donation.last_name,
+    country: donation.country,
+    postalCode: donation.postal_code,
+  });
+  if (donorId) {
+    await dbRun(`UPDATE donations SET donor_id = ? WHERE id = ?`, [donorId, donation.id]);
+    if (donation.recurring_donation_id) {
+      await dbRun(
+        `UPDATE recurring_donations SET donor_id = ? WHERE id = ? AND donor_id IS NULL`,
+        [donorId, donation.recurring_donation_id]
+      );
+    }
+  }
+  return donorId;
+}
+
+// Lifetime totals of the donors in `donorIds`, as a Map of donor id to
+// [{ currency, amount }] (minor units, the largest first).
+async function lifetimeTotals(donorIds) {
+  const totals = new Map(donorIds.map((id) => [id, []]));
+  if (!donorIds.length) {
+    return totals;
+  }
+  const rows = await dbAll(
+    `SELECT donor_id, currency,
+            SUM(donation_amount - COALESCE(refunded_amount, 0)) AS amount
+     FROM donations
+     WHERE donor_id IN (${placeholders(donorIds)})
+       AND payment_intent_status IN (${placeholders(RAISED_STATUSES)})
+     GROUP BY donor_id, currency
+     ORDER BY amount DESC`,
+    [...donorIds, ...RAISED_STATUSES]
+  );
+  rows.forEach((row) => totals.get(row.donor_id).push({ currency: row.currency, amount: row.amount }));
+  return totals;
+}
+
+const GIVING_SELECT = `SELECT donors.*,
+         COUNT(gifts.id) AS gift_count,
+         MIN(gifts.created_at) AS first_gift_at,
+         MAX(gifts.created_at) AS last_gift_at
+  FROM donors
+  LEFT JOIN donations gifts ON gifts.donor_id = donors.id
+    AND gifts.payment_intent_status IN (${placeholders(RAISED_STATUSES)})`;
+
+// Donor rows with their giving summary: { ...donor, giving: { giftCount,
+// firstGiftAt, lastGiftAt, lifetimeTotals } }
+async function withGiving(rows) {
+  const totals = await lifetimeTotals(rows.map((row) => row.id));
+  return rows.map(({ gift_count, first_gift_at, last_gift_at, ...donor }) => ({
+    ...donor,
+    giving: {
+      giftCount: gift_count,
+      firstGiftAt: first_gift_at,
+      lastGiftAt: last_gift_at,
+      lifetimeTotals: totals.get(donor.id),
+    },
+  }));
+}
+
+// Page through the donors (merged ones left out).
+// Query: q (search in email and names), sort (see SORT_COLUMNS, default
+// last_gift_at), order (asc | desc, default desc), page, pageSize.
+// Resolves to { donors, total, page, pageSize, totalPages }.
+async function listDonors(query = {}) {
+  const conditions = ['donors.merged_into_id IS NULL'];
+  const params = [];
+  if (query.q) {
+    const like = `%${escapeLike(String(query.q).trim())}%`;
+    const fields = [
+      'donors.email',
+      'donors.first_name',
+      'donors.last_name',
+      "COALESCE(donors.first_name, '') || ' ' || COALESCE(donors.last_name, '')",
+    ];
+    conditions.push(`(${fields.map((field) => `${field} LIKE ? ESCAPE '\\'`).join(' OR ')})`);
+    fields.forEach(() => params.push(like));
+  }
+
+  const sort = query.sort === undefined ? 'last_gift_at' : query.sort;
+  if (!SORT_COLUMNS[sort]) {
+    throw new QueryError(`Invalid sort, use one of: ${Object.keys(SORT_COLUMNS).join(', ')}.`);
+  }
+  const order = String(query.order || 'desc').toLowerCase();
+  if (!['asc', 'desc'].includes(order)) {
+    throw new QueryError('Invalid order, use asc or desc.');
+  }
+  const pageSize = query.pageSize === undefined ? DEFAULT_PAGE_SIZE : Number(query.pageSize);
+  if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+    throw new QueryError(`Invalid pageSize, use 1 to ${MAX_PAGE_SIZE}.`);
+  }
+  const page = query.page === undefined ? 1 : Number(query.page);
+  if (!Number.isInteger(page) || page < 1) {
+    throw new QueryError('Invalid page.');
+  }
+
+  const where = `WHERE ${conditions.join(' AND ')}`;
+  const [rows, countRow] = await Promise.all([
+    dbAll(
+      `${GIVING_SELECT}
+       ${where}
+       GROUP BY donors.id
+       ORDER BY ${SORT_COLUMNS[sort]} ${order}, donors.id ${order}
+       LIMIT ? OFFSET ?`,
+      [...RAISED_STATUSES, ...params, pageSize, (page - 1) * pageSize]
+    ),
+    dbGet(`SELECT COUNT(*) AS count FROM donors ${where}`, params),
+  ]);
+  return {
+    donors: await withGiving(rows),
+    total: countRow.count,
+    page,
+    pageSize,
+    totalPages: Math.ceil(countRow.count / pageSize),
+  };
+}
+
+async function findDonor(id) {
+  return dbGet(`SELECT * FROM donors WHERE id = ?`, [id]);
+}
+
+// A donor with their giving summary and history: every donation (any
+// status, newest first), their monthly gifts, the donors merged into them
+// and other donors with the same name, which may be duplicates.
+// Resolves to null for an unknown id. A merged donor is returned as it is,
+// with merged_into_id pointing to the donor to look at instead.
+async function getDonorDetail(id) {
+  const donor = await findDonor(id);
+  if (!donor || donor.merged_into_id) {
+    return donor || null;
+  }
+  const [row] = await withGiving([
+    await dbGet(`${GIVING_SELECT} WHERE donors.id = ? GROUP BY donors.id`, [...RAISED_STATUSES, donor.id]),
+  ]);
+  const [donations, recurringDonations, mergedDonors, possibleDuplicates] = await Promise.all([
+    dbAll(
+      `SELECT donations.*, receipts.receipt_number, campaigns.slug AS campaign_slug
+       FROM donations
+       LEFT JOIN receipts ON receipts.donation_id = donations.id
+       LEFT JOIN campaigns ON campaigns.id = donations.campaign_id
+       WHERE donations.donor_id = ?
+       ORDER BY donations.created_at DESC, donations.id DESC`,
+      [donor.id]
+    ),
+    dbAll(`SELECT * FROM recurring_donations WHERE donor_id = ? ORDER BY created_at DESC`, [donor.id]),
+    dbAll(`SELECT id, email, updated_at FROM donors WHERE merged_into_id = ? ORDER BY email`, [donor.id]),
+    donor.first_name && donor.last_name
+      ? dbAll(
+          `SELECT id, email, first_name, last_name, country, postal_code FROM donors
+           WHERE merged_into_id IS NULL AND id != ?
+             AND LOWER(first_name) = LOWER(?) AND LOWER(last_name) = LOWER(?)
+           ORDER BY id`,
+          [donor.id, donor.first_name, donor.last_name]
+        )
+      : [],
+  ]);
+  return { ...row, donations, recurringDonations, mergedDonors, possibleDuplicates };
+}
+
+// Merge the donor `duplicateId` into `donorId`: its donations, monthly
+// gifts and earlier merges move over, and details the kept donor lacks are
+// copied from it. Resolves to the kept donor.
+//
+// The merge is one transaction, and every statement in it only applies
+// while neither donor has been merged, so a concurrent merge of either
+// donor makes it change nothing.
+async function mergeDonors(donorId, duplicateId) {
+  if (!duplicateId) {
+    throw new DonorError('Choose the donor to merge.');
+  }
+  if (String(donorId) === String(duplicateId)) {
+    throw new DonorError('A donor cannot be merged into itself.');
+  }
+  const [donor, duplicate] = await Promise.all([findDonor(donorId), findDonor(duplicateId)]);
+  if (!donor || !duplicate) {
+    throw new DonorError('Donor not found.', 404);
+  }
+  if (donor.merged_into_id || duplicate.merged_into_id) {
+    throw new DonorError('That donor has already been merged into another one.', 409);
+  }
+
+  const unmerged = `NOT EXISTS (SELECT 1 FROM donors merged
+                                 WHERE merged.id IN (?, ?) AND merged.merged_into_id IS NOT NULL)`;
+  const ids = [donor.id, duplicate.id];
+  const results = await dbTransaction([
+    [`UPDATE donations SET donor_id = ? WHERE donor_id = ? AND ${unmerged}`, [...ids, ...ids]],
+    [`UPDATE recurring_donations SET donor_id = ? WHERE donor_id = ? AND ${unmerged}`, [...ids, ...ids]],
+    [`UPDATE donors SET merged_into_id = ? WHERE merged_into_id = ? AND ${unmerged}`, [...ids, ...ids]],
+    [
+      `UPDATE donors
+       SET first_name = COALESCE(first_name, ?), last_name = COALESCE(last_name, ?),
+           country = COALESCE(country, ?), postal_code = COALESCE(postal_code, ?),
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = ? AND ${unmerged}`,
+      [
+        duplicate.first_name,
+        duplicate.last_name,
+        duplicate.country,
+        duplicate.postal_code,
+        donor.id,
+        ...ids,
+      ],
+    ],
+    // Last, since it changes what the check above sees
+    [
+      `UPDATE donors SET merged_into_id = ?, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ? AND merged_into_id IS NULL AND ${unmerged}`,
+      [...ids, ...ids],
+    ],
+  ]);
+  if (results[results.length - 1].changes === 0) {
+    throw new DonorError('That donor has already been merged into another one.', 409);
+  }
+  return findDonor(donor.id);
+}
+
+module.exports = {
+  DonorError,
+  normalizeEmail,
+  findOrCreateDonor,
+  linkDonation,
+  listDonors,
+  getDonorDetail,
+  mergeDonors,
+};
@@ -0,0 +1,227 @@
+// lib/login-throttle.js
+//
+// Brute-force protection for admin authentication. Failed attempts are
+// counted per client IP and per username in the `login_attempts` table, so
+// the counters survive restarts:
+//   - after a few failures each further attempt has to wait, doubling each
+//     time (1s, 2s, 4s, ... up to LOGIN_MAX_DELAY_SECONDS);
+//   - LOGIN_MAX_FAILURES failures for a username (LOGIN_MAX_IP_FAILURES for
+//     an IP, which may be shared) lock it for LOGIN_LOCKOUT_MINUTES.
+// Counters start over after LOGIN_FAILURE_WINDOW_MINUTES without failures,
+// and a username's counter is cleared by a successful login. Owners can
+// list and clear locks from the admin panel.
+//
+// An attempt is counted as a failure when it starts, in the same statement
+// that checks whether it is allowed, so parallel requests can't all get in
+// before the first failure is recorded. A successful login takes its
+// attempt back.
+//
+// Behind a reverse proxy set TRUST_PROXY (see server.js) so that req.ip is
+// the client's address and not the proxy's.
+
+const { dbAll, dbGet, dbRun } = require('./db');
+
+function numberSetting(name, fallback) {
+  const value = Number(process.env[name]);
+  return value > 0 ? value : fallback;
+}
+
+const LOGIN_MAX_FAILURES = numberSetting('LOGIN_MAX_FAILURES', 5);
+const LOGIN_MAX_IP_FAILURES = numberSetting('LOGIN_MAX_IP_FAILURES', 20);
+const LOGIN_LOCKOUT_MINUTES = numberSetting('LOGIN_LOCKOUT_MINUTES', 15);
+const LOGIN_FAILURE_WINDOW_MINUTES = numberSetting('LOGIN_FAILURE_WINDOW_MINUTES', 15);
+const LOGIN_MAX_DELAY_SECONDS = numberSetting('LOGIN_MAX_DELAY_SECONDS', 30);
+// Failures allowed before attempts start being delayed
+const FREE_ATTEMPTS = 2;
+
+const now = () => Math.floor(Date.now() / 1000);
+
+// The throttled keys for an attempt: [scope, key] pairs.
+function attemptKeys({ ip, username }) {
+  const keys = [];
+  if (ip) {
+    keys.push(['ip', String(ip)]);
+  }
+  if (username) {
+    keys.push(['username', String(username).trim().toLowerCase()]);
+  }
+  return keys;
+}
+
+const maxFailuresFor = (scope) => (scope === 'ip' ? LOGIN_MAX_IP_FAILURES : LOGIN_MAX_FAILURES);
+
+// Seconds until a row allows the next attempt (0 when it does). The same
+// rules as the WHERE clause in countLoginAttempt().
+function waitFor(row, maxFailures, time) {
+  if (!row) {
+    return 0;
+  }
+  if (row.locked_until && row.locked_until > time) {
+    return row.locked_until - time;
+  }
+  const windowEnd = row.last_failure_at + LOGIN_FAILURE_WINDOW_MINUTES * 60;
+  if (windowEnd <= time) {
+    return 0;
+  }
+  // The maximum was reached by attempts that haven't finished yet; the
+  // lock follows if they fail.
+  if (!row.locked_until && row.failures >= maxFailures) {
+    return windowEnd - time;
+  }
+  const delayed = row.failures - FREE_ATTEMPTS;
+  if (delayed <= 0) {
+    return 0;
+  }
+  const delay = Math.min(2 ** (delayed - 1), LOGIN_MAX_DELAY_SECONDS);
+  return Math.max(row.last_failure_at + delay - time, 0);
+}
+
+// Take a counted attempt back off a counter.
+function uncountAttempt(scope, key) {
+  return dbRun(
+    `UPDATE login_attempts SET failures = MAX(failures - 1, 0) WHERE scope = ? AND key = ?`,
+    [scope, key]
+  );
+}
+
+// Count an attempt as a failure for each of its keys, if they all allow it.
+// Resolves to 0 when the attempt may go ahead, or to the number of seconds
+// the caller has to wait (the attempt is not counted then).
+async function countLoginAttempt(attempt) {
+  const time = now();
+  const windowStart = time - LOGIN_FAILURE_WINDOW_MINUTES * 60;
+  const counted = [];
+  for (const [scope, key] of attemptKeys(attempt)) {
+    // Start over when the last failure is outside the window (and any lock
+    // has ended). Otherwise the counter only grows while it is not locked,
+    // not at the maximum without a lock yet, and past the current delay.
+    const result = await dbRun(
+      `INSERT INTO login_attempts (scope, key, failures, first_failure_at, last_failure_at)
+       VALUES (?, ?, 1, ?, ?)
+       ON CONFLICT(scope, key) DO UPDATE SET
+         failures = CASE WHEN last_failure_at <= ? AND COALESCE(locked_until, 0) <= ?
+                         THEN 1 ELSE failures + 1 END,
+         first_failure_at = CASE WHEN last_failure_at <= ? AND COALESCE(locked_until, 0) <= ?
+                                 THEN excluded.first_failure_at ELSE first_failure_at END,
+         last_failure_at = excluded.last_failure_at
+       WHERE (last_failure_at <= ? AND COALESCE(locked_until, 0) <= ?)
+          OR (COALESCE(locked_until, 0) <= ?
+              AND (locked_until IS NOT NULL OR failures < ?)
+              AND (failures <= ? OR last_failure_at + MIN(1 << (failures - ? - 1), ?) <= ?))`,
+      [
+        scope,
+        key,
+        time,
+        time,
+        windowStart,
+        time,
+        windowStart,
+        time,
+        windowStart,
+        time,
+        time,
+        maxFailuresFor(scope),
+        FREE_ATTEMPTS,
+        FREE_ATTEMPTS,
+        LOGIN_MAX_DELAY_SECONDS,
+        time,
+      ]
+    );
+    if (result.changes === 0) {
+      for (const [countedScope, countedKey] of counted) {
+        await uncountAttempt(countedScope, countedKey);
+      }
+      const row = await dbGet(`SELECT * FROM login_attempts WHERE scope = ? AND key = ?`, [scope, key]);
+      return Math.max(waitFor(row, maxFailuresFor(scope), time), 1);
+    }
+    counted.push([scope, key]);
+  }
+  return 0;
+}
+
+// The attempt (already counted by throttleLogin) failed: lock the keys whose
+// count reached the maximum.
+async function recordLoginFailure(attempt) {
+  const time = now();
+  for (const [scope, key] of attemptKeys(attempt)) {
+    await dbRun(
+      `UPDATE login_attempts SET locked_until = ?
+       WHERE scope = ? AND key = ? AND failures >= ? AND COALESCE(locked_until, 0) <= ?`,
+      [time + LOGIN_LOCKOUT_MINUTES * 60, scope, key, maxFailuresFor(scope), time]
+    );
+  }
+}
+
+// A successful login clears the username's counter. The IP's counter only
+// gets the attempt back and is otherwise left to expire, so one valid
+// account can't be used to reset it.
+async function recordLoginSuccess({ ip, username }) {
+  if (username) {
+    await dbRun(`DELETE FROM login_attempts WHERE scope = 'username' AND key = ?`, [
+      String(username).trim().toLowerCase(),
+    ]);
+  }
+  if (ip) {
+    await uncountAttempt('ip', String(ip));
+  }
+}
+
+// An attempt that turned out not to be a failure without completing a login
+// (a right password with a second step still to come or for a disabled
+// account, a right code for an admin who is already logged in, a request
+// that checked no credentials) is taken back.
+async function releaseLoginAttempt(attempt) {
+  for (const [scope, key] of attemptKeys(attempt)) {
+    await uncountAttempt(scope, key);
+  }
+}
+
+// Counters with recent failures or an active lock, for the admin panel.
+function listLoginLocks() {
+  const time = now();
+  return dbAll(
+    `SELECT id, scope, key, failures, first_failure_at, last_failure_at, locked_until,
+            COALESCE(locked_until, 0) > ? AS locked
+     FROM login_attempts
+     WHERE COALESCE(locked_until, 0) > ? OR last_failure_at > ?
+     ORDER BY locked DESC, last_failure_at DESC`,
+    [time, time, time - LOGIN_FAILURE_WINDOW_MINUTES * 60]
+  );
+}
+
+// Remove a counter (and its lock). Resolves to false if there was none.
+async function clearLoginLock(id) {
+  const result = await dbRun(`DELETE FROM login_attempts WHERE id = ?`, [id]);
+  return result.changes > 0;
+}
+
+// Express middleware factory: count the attempt for the client IP (and the
+// username from `getUsername(req)`, if any), or refuse the request with 429
+// while they have to wait.
+function throttleLogin(getUsername = () => null) {
+  return async (req, res, next) => {
+    try {
+      const retryAfter = await countLoginAttempt({ ip: req.ip, username: await getUsername(req) });
+      if (retryAfter > 0) {
+        res.set('Retry-After', String(retryAfter));
+        return res.status(429).json({
+          error: `Too many failed attempts. Try again in ${retryAfter} second${retryAfter === 1 ? '' : 's'}.`,
+          retryAfter,
+        });
+      }
+      next();
+    } catch (err) {
+      next(err);
+    }
+  };
+}
+
+module.exports = {
+  countLoginAttempt,
+  recordLoginFailure,
+  recordLoginSuccess,
+  releaseLoginAttempt,
+  listLoginLocks,
+  clearLoginLock,
+  throttleLogin,
+};
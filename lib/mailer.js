@@ -0,0 +1,115 @@
+// lib/mailer.js
+//
+// Outgoing email. The transport is picked with MAIL_TRANSPORT:
+//   smtp    - send through SMTP_HOST / SMTP_PORT / SMTP_USER / SMTP_PASS
+//   file    - write each message as an .eml file into MAIL_OUTBOX_DIR
+//   console - print each message to the server log (default)
+// Messages are rendered from EJS templates in templates/emails/<name>/
+// (subject.ejs, text.ejs and optionally html.ejs), and every attempt is
+// recorded in the `sent_emails` table.
+
+const fs = require('fs');
+const path = require('path');
+const ejs = require('ejs');
+const nodemailer = require('nodemailer');
+const { dbGet, dbRun } = require('./db');
+
+const MAIL_TRANSPORT = process.env.MAIL_TRANSPORT || 'console';
+const MAIL_FROM = process.env.MAIL_FROM || 'donations@example.org';
+const MAIL_OUTBOX_DIR = process.env.MAIL_OUTBOX_DIR || path.join(process.cwd(), 'outbox');
+const EMAIL_TEMPLATES_DIR =
+  process.env.EMAIL_TEMPLATES_DIR || path.join(__dirname, '..', 'templates', 'emails');
+
+function createTransport() {
+  if (MAIL_TRANSPORT === 'smtp') {
+    return nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined,
+    });
+  }
+  if (MAIL_TRANSPORT === 'file' || MAIL_TRANSPORT === 'console') {
+    // Build the raw message without sending it anywhere.
+    return nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+  }
+  throw new Error(`Unknown MAIL_TRANSPORT "${MAIL_TRANSPORT}" (use smtp, file or console).`);
+}
+
+let transport = null;
+
+async function deliver(message) {
+  if (!transport) {
+    transport = createTransport();
+  }
+  const info = await transport.sendMail(message);
+  if (MAIL_TRANSPORT === 'file') {
+    await fs.promises.mkdir(MAIL_OUTBOX_DIR, { recursive: true });
+    const fileName = `${Date.now()}-${info.messageId.replace(/[^\w.-]/g, '')}.eml`;
+    await fs.promises.writeFile(path.join(MAIL_OUTBOX_DIR, fileName), info.message);
+  } else if (MAIL_TRANSPORT === 'console') {
+    console.log(`Email to ${message.to}:\n${info.message.toString()}`);
+  }
+  return info;
+}
+
+// Render templates/emails/<name>/{subject,text,html}.ejs with `data`.
+async function renderEmail(name, data) {
+  const dir = path.join(EMAIL_TEMPLATES_DIR, name);
+  const render = (file) => ejs.renderFile(path.join(dir, file), data);
+  const subject = (await render('subject.ejs')).trim();
+  const text = await render('text.ejs');
+  const html = fs.existsSync(path.join(dir, 'html.ejs')) ? await render('html.ejs') : undefined;
+  return { subject, text, html };
+}
+
+// Render and send a templated email, logging the attempt in sent_emails.
+// Never throws: resolves to { sent, error }.
+async function sendTemplatedEmail({ template, to, data, donationId = null, attachments }) {
+  let subject = null;
+  try {
+    const rendered = await renderEmail(template, data);
+    subject = rendered.subject;
+    const info = await deliver({
+      from: MAIL_FROM,
+      to,
+      subject: rendered.subject,
+      text: rendered.text,
+      html: rendered.html,
+      attachments,
+    });
+    await dbRun(
+      `INSERT INTO sent_emails (template, recipient, subject, donation_id, status, message_id, transport)
+       VALUES (?, ?, ?, ?, 'sent', ?, ?)`,
+      [template, to, subject, donationId, info.messageId, MAIL_TRANSPORT]
+    );
+    return { sent: true };
+  } catch (err) {
+    console.error(`Error sending ${template} email to ${to}:`, err);
+    await dbRun(
+      `INSERT INTO sent_emails (template, recipient, subject, donation_id, status, error, transport)
+       VALUES (?, ?, ?, ?, 'failed', ?, ?)`,
+      [template, to, subject, donationId, err.message, MAIL_TRANSPORT]
+    ).catch((logErr) => console.error('Error logging failed email:', logErr));
+    return { sent: false, error: err.message };
+  }
+}
+
+// Whether a template was already sent successfully for a donation.
+async function wasEmailSent(template, donationId, recipient) {
+  const row = await dbGet(
+    `SELECT id FROM sent_emails
+     WHERE template = ? AND donation_id = ? AND recipient = ? AND status = 'sent'`,
+    [template, donationId, recipient]
+  );
+  return Boolean(row);
+}
+
+module.exports = {
+  MAIL_TRANSPORT,
+  renderEmail,
+  sendTemplatedEmail,
+  wasEmailSent,
+};
@@ -0,0 +1,164 @@
+// lib/migrations.js
+//
+// Versioned schema migrations. Each file in migrations/ is one step, named
+// <version>_<name>.js or <version>_<name>.sql, e.g. 002_campaigns.sql, and
+// they run in version order. Applied versions are recorded in the
+// `schema_migrations` table, so every step runs once per database.
+//
+// A .sql file is run as-is. A .js file exports `async up(db)`, where `db`
+// has promise-based run / get / all / exec and addColumnIfMissing for
+// changes that depend on what is already there.
+//
+// Each migration runs in its own transaction together with its
+// schema_migrations row: it is applied completely or not at all. In a dry
+// run the pending migrations are executed and then rolled back, which
+// checks that they would apply without changing anything.
+//
+// The server applies pending migrations on startup unless AUTO_MIGRATE is
+// "false"; they can also be applied with `npm run migrate` (see
+// scripts/migrate.js).
+
+const fs = require('fs');
+const path = require('path');
+const { db, dbAll, dbGet, dbRun } = require('./db');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const FILE_RE = /^(\d+)_([\w-]+)\.(js|sql)$/;
+
+const dbExec = (sql) =>
+  new Promise((resolve, reject) => {
+    db.exec(sql, (err) => (err ? reject(err) : resolve()));
+  });
+
+// Add a column to a table unless it is already there.
+async function addColumnIfMissing(table, column, definition) {
+  const columns = await dbAll(`PRAGMA table_info(${table})`);
+  if (!columns.some((col) => col.name === column)) {
+    await dbRun(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+}
+
+const migrationDb = {
+  run: dbRun,
+  get: dbGet,
+  all: dbAll,
+  exec: dbExec,
+  addColumnIfMissing,
+};
+
+// Migration files on disk, ordered by version.
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const migrations = fs
+    .readdirSync(dir)
+    .map((file) => {
+      const match = FILE_RE.exec(file);
+      return match
+        ? { version: Number(match[1]), name: match[2], type: match[3], file: path.join(dir, file) }
+        : null;
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.version - b.version);
+  migrations.forEach((migration, i) => {
+    if (i > 0 && migrations[i - 1].version === migration.version) {
+      throw new Error(`Two migrations have version ${migration.version}.`);
+    }
+  });
+  return migrations;
+}
+
+// e.g. "002_campaigns", as the file is named
+function migrationLabel(migration) {
+  return `${String(migration.version).padStart(3, '0')}_${migration.name}`;
+}
+
+async function ensureMigrationsTable() {
+  await dbRun(`CREATE TABLE IF NOT EXISTS schema_migrations (
+    version INTEGER PRIMARY KEY,
+    name TEXT NOT NULL,
+    applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`);
+}
+
+// Every migration with whether (and when) it was applied.
+// Versions recorded in the database without a file are listed as missing.
+async function migrationStatus() {
+  await ensureMigrationsTable();
+  const applied = await dbAll(`SELECT * FROM schema_migrations ORDER BY version`);
+  const appliedByVersion = new Map(applied.map((row) => [row.version, row]));
+  const migrations = loadMigrations().map((migration) => ({
+    version: migration.version,
+    name: migration.name,
+    appliedAt: appliedByVersion.has(migration.version)
+      ? appliedByVersion.get(migration.version).applied_at
+      : null,
+  }));
+  const known = new Set(migrations.map((migration) => migration.version));
+  const missing = applied
+    .filter((row) => !known.has(row.version))
+    .map((row) => ({ version: row.version, name: row.name, appliedAt: row.applied_at, missing: true }));
+  return [...migrations, ...missing].sort((a, b) => a.version - b.version);
+}
+
+// Run one migration and record it. The caller handles the transaction.
+async function runMigration(migration) {
+  try {
+    if (migration.type === 'sql') {
+      await dbExec(fs.readFileSync(migration.file, 'utf8'));
+    } else {
+      await require(migration.file).up(migrationDb);
+    }
+    await dbRun(`INSERT INTO schema_migrations (version, name) VALUES (?, ?)`, [
+      migration.version,
+      migration.name,
+    ]);
+  } catch (err) {
+    err.message = `Migration ${migrationLabel(migration)} failed: ${err.message}`;
+    throw err;
+  }
+}
+
+// Apply all pending migrations in order, stopping at the first failure.
+// Resolves to the list of migrations applied (or, with dryRun, the ones
+// that would be).
+async function migrate({ dryRun = false, log = console.log } = {}) {
+  await ensureMigrationsTable();
+  const applied = new Set(
+    (await dbAll(`SELECT version FROM schema_migrations`)).map((row) => row.version)
+  );
+  const pending = loadMigrations().filter((migration) => !applied.has(migration.version));
+
+  if (dryRun) {
+    // One transaction for all of them, since later migrations may depend
+    // on earlier ones.
+    await dbRun('BEGIN');
+    try {
+      for (const migration of pending) {
+        await runMigration(migration);
+        log(`Would apply migration ${migrationLabel(migration)}`);
+      }
+    } finally {
+      await dbRun('ROLLBACK');
+    }
+  } else {
+    for (const migration of pending) {
+      await dbRun('BEGIN');
+      try {
+        await runMigration(migration);
+        await dbRun('COMMIT');
+      } catch (err) {
+        await dbRun('ROLLBACK').catch(() => {});
+        throw err;
+      }
+      log(`Applied migration ${migrationLabel(migration)}`);
+    }
+  }
+  return pending.map(({ version, name }) => ({ version, name }));
+}
+
+module.exports = {
+  MIGRATIONS_DIR,
+  loadMigrations,
+  migrationLabel,
+  migrationStatus,
+  migrate,
+};
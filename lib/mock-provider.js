@@ -0,0 +1,331 @@
+// lib/mock-provider.js
+//
+// Offline stand-in for Stripe (PAYMENT_PROVIDER=mock, see
+// lib/payment-provider.js), so the donation flow runs in development and
+// automated tests without Stripe keys or a network connection.
+//
+// The donation form confirms payments with POST /mock-payments/confirm
+// instead of Stripe.js, using one of Stripe's test payment methods:
+//   pm_card_visa                    succeeds
+//   pm_card_chargeDeclined          is declined
+//   pm_card_authenticationRequired  needs a 3D Secure check, which the donor
+//                                   passes or fails with POST
+//                                   /mock-payments/authenticate
+// The webhooks Stripe would send (payment_intent.*, invoice.* for monthly
+// gifts, charge.refunded, customer.subscription.*) are POSTed to
+// MOCK_WEBHOOK_URL MOCK_WEBHOOK_DELAY_SECONDS later, one after the other,
+// signed like Stripe's with MOCK_WEBHOOK_SECRET in the Mock-Signature
+// header. Undelivered webhooks are logged, not retried.
+//
+// Payments are kept in memory and are gone after a restart.
+
+const crypto = require('crypto');
+const { PaymentProviderError } = require('./payment-provider');
+
+function numberSetting(name, fallback) {
+  const value = Number(process.env[name]);
+  return process.env[name] !== undefined && process.env[name] !== '' && !isNaN(value) ? value : fallback;
+}
+
+const MOCK_WEBHOOK_URL = process.env.MOCK_WEBHOOK_URL || `http://localhost:${process.env.PORT || 3000}/webhook`;
+const MOCK_WEBHOOK_DELAY_SECONDS = numberSetting('MOCK_WEBHOOK_DELAY_SECONDS', 2);
+// Random per process unless set, e.g. for tests that send their own events
+const MOCK_WEBHOOK_SECRET = process.env.MOCK_WEBHOOK_SECRET || crypto.randomBytes(24).toString('hex');
+const SIGNATURE_TOLERANCE_SECONDS = 300;
+
+const TEST_PAYMENT_METHODS = ['pm_card_visa', 'pm_card_chargeDeclined', 'pm_card_authenticationRequired'];
+
+// Statuses in which a PaymentIntent can still be changed and paid
+const OPEN_STATUSES = ['requires_payment_method', 'requires_confirmation', 'requires_action'];
+
+const paymentIntents = new Map();
+const subscriptions = new Map();
+const invoices = new Map();
+// Parameters and results of requests with an idempotency key, by key
+const idempotentResults = new Map();
+
+const now = () => Math.floor(Date.now() / 1000);
+const mockId = (prefix) => `${prefix}_mock_${crypto.randomBytes(10).toString('hex')}`;
+const copy = (object) => JSON.parse(JSON.stringify(object));
+
+// Like Stripe, a key reused with other parameters is refused rather than
+// answered with the first result.
+function idempotent(idempotencyKey, params, fn) {
+  if (!idempotencyKey) {
+    return fn();
+  }
+  const previous = idempotentResults.get(idempotencyKey);
+  if (previous) {
+    if (previous.params !== JSON.stringify(params)) {
+      throw new PaymentProviderError(
+        'Keys for idempotent requests can only be used with the same parameters they were first used with.',
+        'idempotency_conflict',
+        409
+      );
+    }
+    return previous.result;
+  }
+  const result = fn();
+  idempotentResults.set(idempotencyKey, { params: JSON.stringify(params), result });
+  return result;
+}
+
+function sign(body, timestamp) {
+  const signature = crypto.createHmac('sha256', MOCK_WEBHOOK_SECRET).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+}
+
+let webhookQueue = Promise.resolve();
+
+async function deliverWebhook(event) {
+  const body = JSON.stringify(event);
+  try {
+    const response = await fetch(MOCK_WEBHOOK_URL, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Mock-Signature': sign(body, now()) },
+      body,
+      signal: AbortSignal.timeout(10000),
+    });
+    if (!response.ok) {
+      console.warn(`Mock webhook ${event.type} (${event.id}) got HTTP ${response.status}`);
+    }
+  } catch (err) {
+    console.warn(`Mock webhook ${event.type} (${event.id}) could not be delivered:`, err.message);
+  }
+}
+
+// Send the webhook Stripe would send for `object`, after the delay.
+function sendWebhook(type, object) {
+  const event = { id: mockId('evt'), object: 'event', type, created: now(), data: { object: copy(object) } };
+  const timer = setTimeout(() => {
+    webhookQueue = webhookQueue.then(() => deliverWebhook(event));
+  }, MOCK_WEBHOOK_DELAY_SECONDS * 1000);
+  timer.unref();
+}
+
+function findPaymentIntent(id) {
+  const paymentIntent = paymentIntents.get(id);
+  if (!paymentIntent) {
+    throw new PaymentProviderError(`No such payment_intent: '${id}'`, 'resource_missing');
+  }
+  return paymentIntent;
+}
+
+// The PaymentIntent of a client secret, as sent by the donation form
+function findByClientSecret(clientSecret) {
+  const paymentIntent = paymentIntents.get(String(clientSecret || '').split('_secret_')[0]);
+  if (!paymentIntent || paymentIntent.client_secret !== clientSecret) {
+    throw new PaymentProviderError('Invalid client secret.');
+  }
+  return paymentIntent;
+}
+
+function newPaymentIntent({ amount, currency }) {
+  const id = mockId('pi');
+  const paymentIntent = {
+    id,
+    object: 'payment_intent',
+    amount,
+    currency,
+    status: 'requires_payment_method',
+    client_secret: `${id}_secret_${crypto.randomBytes(12).toString('hex')}`,
+    last_payment_error: null,
+    invoice: null,
+    amount_refunded: 0,
+    created: now(),
+  };
+  paymentIntents.set(id, paymentIntent);
+  return paymentIntent;
+}
+
+async function createPaymentIntent({ amount, currency }, { idempotencyKey } = {}) {
+  return copy(await idempotent(idempotencyKey, { amount, currency }, () =>
+    newPaymentIntent({ amount, currency })
+  ));
+}
+
+async function retrievePaymentIntent(id) {
+  return copy(findPaymentIntent(id));
+}
+
+async function updatePaymentIntent(id, { amount, currency }) {
+  const paymentIntent = findPaymentIntent(id);
+  if (!OPEN_STATUSES.includes(paymentIntent.status)) {
+    throw new PaymentProviderError(`This PaymentIntent can no longer be updated (it is ${paymentIntent.status}).`);
+  }
+  Object.assign(paymentIntent, { amount, currency });
+  return copy(paymentIntent);
+}
+
+async function cancelPaymentIntent(id) {
+  const paymentIntent = findPaymentIntent(id);
+  if (!OPEN_STATUSES.includes(paymentIntent.status)) {
+    throw new PaymentProviderError(`This PaymentIntent can no longer be canceled (it is ${paymentIntent.status}).`);
+  }
+  paymentIntent.status = 'canceled';
+  sendWebhook('payment_intent.canceled', paymentIntent);
+  return copy(paymentIntent);
+}
+
+// An incomplete subscription whose first invoice is paid like a one-off gift
+async function createSubscription({ amount, currency }, { idempotencyKey } = {}) {
+  const result = await idempotent(idempotencyKey, { amount, currency }, () => {
+    const customerId = mockId('cus');
+    const subscription = { id: mockId('sub'), object: 'subscription', customer: customerId, status: 'incomplete' };
+    const paymentIntent = newPaymentIntent({ amount, currency });
+    const invoice = {
+      id: mockId('in'),
+      object: 'invoice',
+      subscription: subscription.id,
+      payment_intent: paymentIntent.id,
+      amount_due: amount,
+      currency,
+    };
+    paymentIntent.invoice = invoice.id;
+    subscriptions.set(subscription.id, subscription);
+    invoices.set(invoice.id, invoice);
+    return { customerId, subscription, invoice, paymentIntent };
+  });
+  return {
+    customerId: result.customerId,
+    subscription: copy(result.subscription),
+    invoice: copy(result.invoice),
+    paymentIntent: copy(result.paymentIntent),
+  };
+}
+
+async function cancelSubscription(id) {
+  const subscription = subscriptions.get(id);
+  if (!subscription) {
+    throw new PaymentProviderError(`No such subscription: '${id}'`, 'resource_missing');
+  }
+  subscription.status = 'canceled';
+  sendWebhook('customer.subscription.deleted', subscription);
+  return copy(subscription);
+}
+
+async function createRefund({ paymentIntentId, amount }) {
+  const paymentIntent = findPaymentIntent(paymentIntentId);
+  if (paymentIntent.status !== 'succeeded') {
+    throw new PaymentProviderError('Only succeeded payments can be refunded.');
+  }
+  if (amount > paymentIntent.amount - paymentIntent.amount_refunded) {
+    throw new PaymentProviderError('The refund amount is greater than the unrefunded amount of the payment.');
+  }
+  paymentIntent.amount_refunded += amount;
+  const refund = {
+    id: mockId('re'),
+    object: 'refund',
+    amount,
+    payment_intent: paymentIntent.id,
+    status: 'succeeded',
+    created: now(),
+  };
+  sendWebhook('charge.refunded', {
+    id: `ch_${paymentIntent.id.slice(3)}`,
+    object: 'charge',
+    payment_intent: paymentIntent.id,
+    amount: paymentIntent.amount,
+    amount_refunded: paymentIntent.amount_refunded,
+  });
+  return refund;
+}
+
+function constructWebhookEvent(rawBody, headers) {
+  const header = String(headers['mock-signature'] || '');
+  const parts = Object.fromEntries(header.split(',').map((part) => part.split('=')));
+  const body = Buffer.isBuffer(rawBody) ? rawBody.toString('utf8') : String(rawBody);
+  const expected = parts.t && parts.v1 ? sign(body, parts.t) : '';
+  if (
+    !expected ||
+    expected.length !== header.length ||
+    !crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(header))
+  ) {
+    throw new Error('No signatures found matching the expected signature for payload');
+  }
+  if (Math.abs(now() - Number(parts.t)) > SIGNATURE_TOLERANCE_SECONDS) {
+    throw new Error('Timestamp outside the tolerance zone');
+  }
+  return JSON.parse(body);
+}
+
+// Webhooks of the first invoice of a subscription
+function sendInvoiceWebhooks(paymentIntent, paid) {
+  const invoice = paymentIntent.invoice && invoices.get(paymentIntent.invoice);
+  if (!invoice) {
+    return;
+  }
+  sendWebhook(paid ? 'invoice.paid' : 'invoice.payment_failed', invoice);
+  const subscription = subscriptions.get(invoice.subscription);
+  if (paid && subscription.status === 'incomplete') {
+    subscription.status = 'active';
+    sendWebhook('customer.subscription.updated', subscription);
+  }
+}
+
+function succeed(paymentIntent) {
+  Object.assign(paymentIntent, { status: 'succeeded', last_payment_error: null });
+  sendWebhook('payment_intent.succeeded', paymentIntent);
+  sendInvoiceWebhooks(paymentIntent, true);
+}
+
+function decline(paymentIntent, code, message) {
+  Object.assign(paymentIntent, { status: 'requires_payment_method', last_payment_error: { code, message } });
+  sendWebhook('payment_intent.payment_failed', paymentIntent);
+  sendInvoiceWebhooks(paymentIntent, false);
+}
+
+// Pay the PaymentIntent of `clientSecret` with a test payment method.
+// Resolves to the PaymentIntent: succeeded, requires_payment_method with a
+// last_payment_error, or requires_action for a 3D Secure check.
+async function confirmPayment(clientSecret, paymentMethod) {
+  const paymentIntent = findByClientSecret(clientSecret);
+  if (!TEST_PAYMENT_METHODS.includes(paymentMethod)) {
+    throw new PaymentProviderError(`Use one of the test payment methods: ${TEST_PAYMENT_METHODS.join(', ')}.`);
+  }
+  if (!['requires_payment_method', 'requires_confirmation'].includes(paymentIntent.status)) {
+    throw new PaymentProviderError(`This PaymentIntent cannot be confirmed (it is ${paymentIntent.status}).`);
+  }
+  if (paymentMethod === 'pm_card_visa') {
+    succeed(paymentIntent);
+  } else if (paymentMethod === 'pm_card_chargeDeclined') {
+    decline(paymentIntent, 'card_declined', 'Your card was declined.');
+  } else {
+    Object.assign(paymentIntent, { status: 'requires_action', last_payment_error: null });
+    sendWebhook('payment_intent.requires_action', paymentIntent);
+  }
+  return copy(paymentIntent);
+}
+
+// Complete the 3D Secure check of a PaymentIntent in requires_action.
+async function authenticatePayment(clientSecret, approve) {
+  const paymentIntent = findByClientSecret(clientSecret);
+  if (paymentIntent.status !== 'requires_action') {
+    throw new PaymentProviderError(`This PaymentIntent needs no authentication (it is ${paymentIntent.status}).`);
+  }
+  if (approve) {
+    succeed(paymentIntent);
+  } else {
+    decline(
+      paymentIntent,
+      'payment_intent_authentication_failure',
+      'We are unable to authenticate your payment method. Please choose a different payment method and try again.'
+    );
+  }
+  return copy(paymentIntent);
+}
+
+module.exports = {
+  name: 'mock',
+  TEST_PAYMENT_METHODS,
+  createPaymentIntent,
+  retrievePaymentIntent,
+  updatePaymentIntent,
+  cancelPaymentIntent,
+  createSubscription,
+  cancelSubscription,
+  createRefund,
+  constructWebhookEvent,
+  confirmPayment,
+  authenticatePayment,
+};
@@ -0,0 +1,445 @@
+// lib/outbound-webhooks.js
+//
+// Webhooks we send to other systems (a CRM, chat tools, ...) when a
+// donation succeeds, fails or is refunded. Admins register endpoint URLs
+// and pick the event types each one receives. Any HTTP(S) receiver works,
+// including a test server on localhost.
+//
+// Every event is queued in `webhook_deliveries`, one row per endpoint, and
+// sent by a background worker: right away, then with exponential backoff
+// (OUTBOUND_WEBHOOK_RETRY_SECONDS doubled on every failed attempt, at most
+// OUTBOUND_WEBHOOK_MAX_DELAY_SECONDS) until OUTBOUND_WEBHOOK_MAX_ATTEMPTS
+// attempts have failed. Any 2xx response counts as delivered. The queue is
+// in the database, so pending deliveries survive a restart; deliveries to
+// a deactivated endpoint wait until it is active again. Admins can
+// resend any delivery; the copy keeps the event id, so receivers can
+// recognise repeats.
+//
+// The body is JSON: { id, type, created, data }. Each endpoint has its own
+// secret, and every request carries
+//   Webhook-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">
+// which receivers check with the secret (and reject old timestamps).
+
+const crypto = require('crypto');
+const { dbAll, dbGet, dbRun } = require('./db');
+
+function numberSetting(name, fallback) {
+  const value = Number(process.env[name]);
+  return process.env[name] !== undefined && process.env[name] !== '' && !isNaN(value) ? value : fallback;
+}
+
+const OUTBOUND_WEBHOOK_MAX_ATTEMPTS = numberSetting('OUTBOUND_WEBHOOK_MAX_ATTEMPTS', 8);
+const OUTBOUND_WEBHOOK_RETRY_SECONDS = numberSetting('OUTBOUND_WEBHOOK_RETRY_SECONDS', 30);
+const OUTBOUND_WEBHOOK_MAX_DELAY_SECONDS = numberSetting('OUTBOUND_WEBHOOK_MAX_DELAY_SECONDS', 6 * 60 * 60);
+const OUTBOUND_WEBHOOK_TIMEOUT_SECONDS = numberSetting('OUTBOUND_WEBHOOK_TIMEOUT_SECONDS', 10);
+const OUTBOUND_WEBHOOK_POLL_SECONDS = numberSetting('OUTBOUND_WEBHOOK_POLL_SECONDS', 15);
+const BATCH_SIZE = 20;
+// Bytes of a receiver's response read for the delivery log; the rest is
+// discarded unread.
+const MAX_RESPONSE_BYTES = 4096;
+
+// Event types endpoints can subscribe to. "ping" is only sent by the test
+// button of the admin panel.
+const OUTBOUND_EVENT_TYPES = ['donation.succeeded', 'donation.failed', 'donation.refunded'];
+
+class WebhookEndpointError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'WebhookEndpointError';
+    this.statusCode = statusCode;
+  }
+}
+
+const now = () => Math.floor(Date.now() / 1000);
+
+function generateSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+// Value of the Webhook-Signature header for `body` sent at `timestamp`.
+function signPayload(secret, body, timestamp) {
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+}
+
+function parseEndpoint(row) {
+  return row ? { ...row, event_types: JSON.parse(row.event_types), active: Boolean(row.active) } : null;
+}
+
+// Validate the fields of a new endpoint or a change to one and map them to
+// columns. Only the fields present in `fields` are returned.
+function endpointColumns(fields) {
+  const columns = {};
+  if (fields.url !== undefined) {
+    let url;
+    try {
+      url = new URL(String(fields.url).trim());
+    } catch (err) {
+      url = null;
+    }
+    if (!url || !['http:', 'https:'].includes(url.protocol)) {
+      throw new WebhookEndpointError('Enter an http:// or https:// URL.');
+    }
+    columns.url = url.toString();
+  }
+  if (fields.description !== undefined) {
+    columns.description = fields.description ? String(fields.description).trim().slice(0, 200) : null;
+  }
+  if (fields.eventTypes !== undefined) {
+    const eventTypes = Array.isArray(fields.eventTypes) ? [...new Set(fields.eventTypes)] : [];
+    const unknown = eventTypes.filter((type) => !OUTBOUND_EVENT_TYPES.includes(type));
+    if (!eventTypes.length || unknown.length) {
+      throw new WebhookEndpointError(
+        `Choose one or more event types: ${OUTBOUND_EVENT_TYPES.join(', ')}.`
+      );
+    }
+    columns.event_types = JSON.stringify(eventTypes);
+  }
+  if (fields.active !== undefined) {
+    columns.active = fields.active ? 1 : 0;
+  }
+  return columns;
+}
+
+async function listWebhookEndpoints() {
+  const rows = await dbAll(`SELECT * FROM webhook_endpoints ORDER BY id`);
+  return rows.map(parseEndpoint);
+}
+
+async function findWebhookEndpoint(id) {
+  return parseEndpoint(await dbGet(`SELECT * FROM webhook_endpoints WHERE id = ?`, [id]));
+}
+
+// Body: { url, description, eventTypes, active }
+async function createWebhookEndpoint(fields) {
+  if (!fields.url || !fields.eventTypes) {
+    throw new WebhookEndpointError('A URL and the event types are required.');
+  }
+  const columns = { ...endpointColumns(fields), secret: generateSecret() };
+  const names = Object.keys(columns);
+  const result = await dbRun(
+    `INSERT INTO webhook_endpoints (${names.join(', ')}) VALUES (${names.map(() => '?').join(', ')})`,
+    names.map((name) => columns[name])
+  );
+  return findWebhookEndpoint(result.lastID);
+}
+
+// Change some fields of an endpoint; `rotateSecret: true` gives it a new
+// secret. Resolves to the updated endpoint.
+async function updateWebhookEndpoint(id, fields) {
+  const endpoint = await findWebhookEndpoint(id);
+  if (!endpoint) {
+    throw new WebhookEndpointError('Webhook endpoint not found.', 404);
+  }
+  const columns = endpointColumns(fields);
+  if (fields.rotateSecret) {
+    columns.secret = generateSecret();
+  }
+  const names = Object.keys(columns);
+  if (names.length) {
+    await dbRun(
+      `UPDATE webhook_endpoints SET ${names.map((name) => `${name} = ?`).join(', ')},
+         updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [...names.map((name) => columns[name]), endpoint.id]
+    );
+  }
+  return findWebhookEndpoint(endpoint.id);
+}
+
+// Delete an endpoint together with its delivery log.
+async function deleteWebhookEndpoint(id) {
+  const endpoint = await findWebhookEndpoint(id);
+  if (!endpoint) {
+    throw new WebhookEndpointError('Webhook endpoint not found.', 404);
+  }
+  await dbRun(`DELETE FROM webhook_deliveries WHERE endpoint_id = ?`, [endpoint.id]);
+  await dbRun(`DELETE FROM webhook_endpoints WHERE id = ?`, [endpoint.id]);
+  return endpoint;
+}
+
+// What receivers get to know about a donation. Amounts are in minor units
+// of `currency` (see lib/currency.js).
+function donationPayload(donation) {
+  return {
+    id: donation.id,
+    status: donation.payment_intent_status,
+    amount: donation.donation_amount,
+    feeAmount: donation.fee_amount || 0,
+    refundedAmount: donation.refunded_amount || 0,
+    currency: donation.currency,
+    frequency: donation.recurring_donation_id ? 'monthly' : 'once',
+    email: donation.email,
+    firstName: donation.first_name,
+    lastName: donation.last_name,
+    country: donation.country,
+    postalCode: donation.postal_code,
+    donorId: donation.donor_id || null,
+    campaignId: donation.campaign_id || null,
+    createdAt: donation.created_at,
+  };
+}
+
+// Queue event `type` for the active endpoints subscribed to it (or for
+// `endpointIds` only). Resolves to the event id. Never throws: webhooks
+// must not break the donation flow, so failures are only logged.
+async function queueEvent(type, data, { endpointIds } = {}) {
+  const event = {
+    id: `evt_${crypto.randomBytes(12).toString('hex')}`,
+    type,
+    created: now(),
+    data,
+  };
+  try {
+    const endpoints = (await listWebhookEndpoints()).filter((endpoint) =>
+      endpointIds ? endpointIds.includes(endpoint.id) : endpoint.active && endpoint.event_types.includes(type)
+    );
+    for (const endpoint of endpoints) {
+      await dbRun(
+        `INSERT INTO webhook_deliveries (endpoint_id, event_id, event_type, payload, next_attempt_at)
+         VALUES (?, ?, ?, ?, ?)`,
+        [endpoint.id, event.id, type, JSON.stringify(event), event.created]
+      );
+    }
+    if (endpoints.length) {
+      setImmediate(() => processDueDeliveries().catch((err) => console.error('Error sending webhooks:', err)));
+    }
+  } catch (err) {
+    console.error(`Error queueing webhook event ${type}:`, err);
+  }
+  return event.id;
+}
+
+// Queue the event for a donation's status change, if there is one.
+function queueDonationStatusEvent(donation, previousStatus) {
+  if (donation.payment_intent_status === 'failed') {
+    return queueEvent('donation.failed', { donation: donationPayload(donation) });
+  }
+  // A won dispute moves the donation back to succeeded; that's no new gift.
+  if (donation.payment_intent_status === 'succeeded' && previousStatus !== 'disputed') {
+    return queueEvent('donation.succeeded', { donation: donationPayload(donation) });
+  }
+  return null;
+}
+
+// Queue donation.refunded for a refund of `amount` (minor units).
+function queueDonationRefundEvent(donation, amount) {
+  return queueEvent('donation.refunded', { donation: donationPayload(donation), refund: { amount } });
+}
+
+// Queue a "ping" event for one endpoint, to test the receiver.
+async function sendTestEvent(id) {
+  const endpoint = await findWebhookEndpoint(id);
+  if (!endpoint) {
+    throw new WebhookEndpointError('Webhook endpoint not found.', 404);
+  }
+  return queueEvent('ping', { endpointId: endpoint.id }, { endpointIds: [endpoint.id] });
+}
+
+// Seconds to wait after `attempts` failed attempts
+function retryDelay(attempts) {
+  return Math.min(OUTBOUND_WEBHOOK_RETRY_SECONDS * 2 ** (attempts - 1), OUTBOUND_WEBHOOK_MAX_DELAY_SECONDS);
+}
+
+// The start of a response body, at most MAX_RESPONSE_BYTES of it. The
+// rest of the body is canceled, so a huge or endless response can't hold
+// up the worker.
+async function readResponseStart(response) {
+  if (!response.body) {
+    return '';
+  }
+  const reader = response.body.getReader();
+  const chunks = [];
+  let length = 0;
+  try {
+    while (length < MAX_RESPONSE_BYTES) {
+      const { done, value } = await reader.read();
+      if (done) {
+        break;
+      }
+      chunks.push(value);
+      length += value.length;
+    }
+  } catch (err) {
+    // Keep what arrived before the error
+  } finally {
+    reader.cancel().catch(() => {});
+  }
+  return Buffer.concat(chunks).subarray(0, MAX_RESPONSE_BYTES).toString('utf8');
+}
+
+// POST one claimed delivery and record the outcome.
+async function attemptDelivery(delivery) {
+  const endpoint = await findWebhookEndpoint(delivery.endpoint_id);
+  if (!endpoint) {
+    // Deleted since the delivery was claimed; there's nowhere to send it
+    await dbRun(
+      `UPDATE webhook_deliveries
+       SET status = 'failed', next_attempt_at = NULL, error = 'Endpoint deleted'
+       WHERE id = ?`,
+      [delivery.id]
+    );
+    return 'failed';
+  }
+  const attempts = delivery.attempts + 1;
+  const attemptedAt = now();
+  let responseStatus = null;
+  let responseBody = null;
+  let error = null;
+  try {
+    const response = await fetch(endpoint.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'donation-webhooks/1.0',
+        'Webhook-Id': delivery.event_id,
+        'Webhook-Event': delivery.event_type,
+        'Webhook-Signature': signPayload(endpoint.secret, delivery.payload, attemptedAt),
+      },
+      body: delivery.payload,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(OUTBOUND_WEBHOOK_TIMEOUT_SECONDS * 1000),
+    });
+    responseStatus = response.status;
+    responseBody = (await readResponseStart(response)).slice(0, 1000);
+    if (!response.ok) {
+      error = `HTTP ${response.status}`;
+    }
+  } catch (err) {
+    // fetch reports network errors as "fetch failed", with the reason as the cause
+    error = err.name === 'TimeoutError'
+      ? `No response within ${OUTBOUND_WEBHOOK_TIMEOUT_SECONDS}s`
+      : (err.cause && err.cause.message) || err.message;
+  }
+
+  let status = 'delivered';
+  let nextAttemptAt = null;
+  if (error) {
+    status = attempts >= OUTBOUND_WEBHOOK_MAX_ATTEMPTS ? 'failed' : 'pending';
+    nextAttemptAt = status === 'pending' ? attemptedAt + retryDelay(attempts) : null;
+  }
+  await dbRun(
+    `UPDATE webhook_deliveries
+     SET status = ?, attempts = ?, next_attempt_at = ?, last_attempt_at = ?,
+         response_status = ?, response_body = ?, error = ?
+     WHERE id = ?`,
+    [status, attempts, nextAttemptAt, attemptedAt, responseStatus, responseBody, error, delivery.id]
+  );
+  return status;
+}
+
+let running = false;
+
+// Send every delivery that is due, in batches. Resolves to { sent, failed },
+// or null when a run is already in progress.
+async function processDueDeliveries() {
+  if (running) {
+    return null;
+  }
+  running = true;
+  const summary = { sent: 0, failed: 0 };
+  try {
+    for (;;) {
+      const batch = await dbAll(
+        `SELECT * FROM webhook_deliveries
+         WHERE status = 'pending' AND next_attempt_at <= ?
+           AND endpoint_id IN (SELECT id FROM webhook_endpoints WHERE active = 1)
+         ORDER BY next_attempt_at, id LIMIT ?`,
+        [now(), BATCH_SIZE]
+      );
+      if (!batch.length) {
+        return summary;
+      }
+      for (const delivery of batch) {
+        // Claim the row, so a delivery is never sent twice at once
+        const claimed = await dbRun(
+          `UPDATE webhook_deliveries SET status = 'sending' WHERE id = ? AND status = 'pending'`,
+          [delivery.id]
+        );
+        if (claimed.changes !== 1) {
+          continue;
+        }
+        const status = await attemptDelivery(delivery);
+        summary[status === 'delivered' ? 'sent' : 'failed']++;
+      }
+    }
+  } finally {
+    running = false;
+  }
+}
+
+// Deliveries, newest first. Filters: endpoint (id), status, eventId.
+async function listWebhookDeliveries({ endpoint, status, eventId } = {}) {
+  const conditions = [];
+  const params = [];
+  if (endpoint) {
+    conditions.push('webhook_deliveries.endpoint_id = ?');
+    params.push(endpoint);
+  }
+  if (status) {
+    conditions.push('webhook_deliveries.status = ?');
+    params.push(status);
+  }
+  if (eventId) {
+    conditions.push('webhook_deliveries.event_id = ?');
+    params.push(eventId);
+  }
+  return dbAll(
+    `SELECT webhook_deliveries.*, webhook_endpoints.url AS endpoint_url
+     FROM webhook_deliveries
+     JOIN webhook_endpoints ON webhook_endpoints.id = webhook_deliveries.endpoint_id
+     ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+     ORDER BY webhook_deliveries.id DESC LIMIT 200`,
+    params
+  );
+}
+
+// Queue a copy of a delivery (same event and payload) to be sent now.
+// Resolves to the new delivery, or null for an unknown id.
+async function resendWebhookDelivery(id) {
+  const delivery = await dbGet(`SELECT * FROM webhook_deliveries WHERE id = ?`, [id]);
+  if (!delivery) {
+    return null;
+  }
+  const result = await dbRun(
+    `INSERT INTO webhook_deliveries
+       (endpoint_id, event_id, event_type, payload, next_attempt_at, resent_from_id)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [delivery.endpoint_id, delivery.event_id, delivery.event_type, delivery.payload, now(), delivery.id]
+  );
+  setImmediate(() => processDueDeliveries().catch((err) => console.error('Error sending webhooks:', err)));
+  return dbGet(`SELECT * FROM webhook_deliveries WHERE id = ?`, [result.lastID]);
+}
+
+// Start sending queued deliveries every OUTBOUND_WEBHOOK_POLL_SECONDS.
+// Deliveries left "sending" by a stopped server are sent again. The timer
+// doesn't keep the process alive on its own.
+async function startOutboundWebhooks() {
+  await dbRun(`UPDATE webhook_deliveries SET status = 'pending' WHERE status = 'sending'`);
+  const schedule = () => {
+    const timer = setTimeout(() => {
+      processDueDeliveries()
+        .catch((err) => console.error('Error sending webhooks:', err))
+        .finally(schedule);
+    }, OUTBOUND_WEBHOOK_POLL_SECONDS * 1000);
+    timer.unref();
+  };
+  schedule();
+}
+
+module.exports = {
+  OUTBOUND_EVENT_TYPES,
+  WebhookEndpointError,
+  signPayload,
+  listWebhookEndpoints,
+  createWebhookEndpoint,
+  updateWebhookEndpoint,
+  deleteWebhookEndpoint,
+  queueDonationStatusEvent,
+  queueDonationRefundEvent,
+  sendTestEvent,
+  processDueDeliveries,
+  listWebhookDeliveries,
+  resendWebhookDelivery,
+  startOutboundWebhooks,
+};
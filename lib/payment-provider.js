@@ -0,0 +1,64 @@
+// lib/payment-provider.js
+//
+// The payment provider behind the donation form, chosen with
+// PAYMENT_PROVIDER:
+//   stripe (default)  Stripe, see lib/stripe-provider.js
+//   mock              an offline stand-in for development and automated
+//                     tests, see lib/mock-provider.js
+//
+// Every provider implements:
+//   name
+//   createPaymentIntent({ amount, currency }, { idempotencyKey })
+//   retrievePaymentIntent(id)
+//   updatePaymentIntent(id, { amount, currency })
+//   cancelPaymentIntent(id)
+//   createSubscription({ amount, currency, email, name, country, postalCode },
+//                      { idempotencyKey })
+//     -> { customerId, subscription, invoice, paymentIntent } for a monthly
+//        gift whose first payment is confirmed like a one-off one
+//   cancelSubscription(id) -> subscription
+//   createRefund({ paymentIntentId, amount, reason, metadata }) -> refund
+//   constructWebhookEvent(rawBody, headers) -> event, throws if the
+//     signature doesn't match
+//
+// Objects and events have Stripe's shapes (a PaymentIntent has id, status,
+// amount, currency, client_secret and last_payment_error; an event has id,
+// type, created and data.object), which is what the webhook handlers in
+// lib/webhooks.js and the rest of lib/ read. Requests the provider rejects
+// throw PaymentProviderError.
+
+const PAYMENT_PROVIDERS = ['stripe', 'mock'];
+const PAYMENT_PROVIDER = process.env.PAYMENT_PROVIDER || 'stripe';
+
+class PaymentProviderError extends Error {
+  // `code`: resource_missing, rate_limited, idempotency_conflict (an
+  // idempotency key reused with other parameters) or invalid_request
+  constructor(message, code = 'invalid_request', statusCode = 400) {
+    super(message);
+    this.name = 'PaymentProviderError';
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+let provider = null;
+
+// The configured provider. Loaded on first use, so the Stripe client is
+// never created when the mock provider runs without Stripe keys.
+function getPaymentProvider() {
+  if (!provider) {
+    if (!PAYMENT_PROVIDERS.includes(PAYMENT_PROVIDER)) {
+      throw new Error(
+        `Unknown PAYMENT_PROVIDER "${PAYMENT_PROVIDER}", use one of: ${PAYMENT_PROVIDERS.join(', ')}.`
+      );
+    }
+    provider = require(`./${PAYMENT_PROVIDER}-provider`);
+  }
+  return provider;
+}
+
+module.exports = {
+  PAYMENT_PROVIDER,
+  PaymentProviderError,
+  getPaymentProvider,
+};
@@ -0,0 +1,66 @@
+// lib/processing-fees.js
+//
+// Donors can choose to cover the card processing fee of their gift. The
+// fee is always worked out here from the fee schedule, never taken from the
+// browser. PROCESSING_FEES sets the schedule per currency as
+// "currency:percent%+fixed" entries, with "*" for every other currency,
+// e.g. "*:2.9%+0.30,gbp:1.5%+0.20,eur:1.5%+0.25" (fixed in currency units).
+// A fixed fee only means something in currencies of its scale (0.30 is no
+// amount of yen), so a donation currency the "*" fixed fee can't be charged
+// in needs an entry of its own, e.g. "jpy:3.6%".
+
+const { DONATION_CURRENCIES, toMinorUnits, fromMinorUnits, minorUnits } = require('./currency');
+
+const FEE_ENTRY_RE = /^([a-z]{3}|\*):(\d+(?:\.\d+)?)%(?:\+(\d+(?:\.\d+)?))?$/;
+
+const FEE_SCHEDULE = Object.fromEntries(
+  (process.env.PROCESSING_FEES || '*:2.9%+0.30')
+    .split(',')
+    .map((entry) => entry.replace(/\s+/g, '').toLowerCase())
+    .filter(Boolean)
+    .map((entry) => {
+      const match = FEE_ENTRY_RE.exec(entry);
+      if (!match || Number(match[2]) >= 100) {
+        throw new Error(`Invalid PROCESSING_FEES entry "${entry}", expected e.g. "usd:2.9%+0.30".`);
+      }
+      return [match[1], { percent: Number(match[2]), fixed: Number(match[3] || 0) }];
+    })
+);
+
+if (FEE_SCHEDULE['*']) {
+  const { fixed } = FEE_SCHEDULE['*'];
+  DONATION_CURRENCIES.filter((currency) => !FEE_SCHEDULE[currency]).forEach((currency) => {
+    if (fromMinorUnits(toMinorUnits(fixed, currency), currency) !== fixed) {
+      throw new Error(
+        `PROCESSING_FEES needs a "${currency}:" entry: the fixed fee ${fixed} of "*" ` +
+          `cannot be charged in ${currency.toUpperCase()}.`
+      );
+    }
+  });
+}
+
+// { percent, fixed } for a currency; fixed is in minor units.
+function feeRateFor(currency) {
+  const rate = FEE_SCHEDULE[currency] || FEE_SCHEDULE['*'] || { percent: 0, fixed: 0 };
+  return { percent: rate.percent, fixed: toMinorUnits(rate.fixed, currency) };
+}
+
+// Fee to add to a gift of `baseAmount` (minor units) so that what is left
+// after processing is the whole gift: the total T satisfies
+// T - (T * percent + fixed) >= baseAmount.
+function coverFeeAmount(baseAmount, currency) {
+  const { percent, fixed } = feeRateFor(currency);
+  const total = Math.ceil((baseAmount + fixed) / (1 - percent / 100));
+  let fee = total - baseAmount;
+  // Three-decimal currencies only take amounts in multiples of 10
+  if (minorUnits(currency) === 3) {
+    fee = Math.ceil(fee / 10) * 10;
+  }
+  return fee;
+}
+
+module.exports = {
+  FEE_SCHEDULE,
+  feeRateFor,
+  coverFeeAmount,
+};
@@ -0,0 +1,152 @@
+// lib/receipt-pdf.js
+//
+// Renders a receipt as a PDF. Organization details, colours, logo and the
+// tax-deductibility wording come from a JSON template (templates/receipt.json
+// by default, or the file named by RECEIPT_TEMPLATE_PATH), which is read on
+// every render so edits apply without a restart. The same template holds
+// the wording of year-end statements (see lib/tax-statements.js).
+
+const fs = require('fs');
+const path = require('path');
+const { PassThrough } = require('stream');
+const PDFDocument = require('pdfkit');
+const { formatMoney } = require('./currency');
+
+const RECEIPT_TEMPLATE_PATH =
+  process.env.RECEIPT_TEMPLATE_PATH || path.join(__dirname, '..', 'templates', 'receipt.json');
+
+function loadReceiptTemplate() {
+  return JSON.parse(fs.readFileSync(RECEIPT_TEMPLATE_PATH, 'utf8'));
+}
+
+// Replace {{dotted.path}} placeholders with values from the template.
+function fillPlaceholders(text, values) {
+  return String(text || '').replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, key) => {
+    const value = key.split('.').reduce((obj, part) => (obj == null ? obj : obj[part]), values);
+    return value == null ? '' : String(value);
+  });
+}
+
+// `amount` is in minor units of `currency` (see lib/currency.js)
+function formatAmount(amount, currency, locale) {
+  return formatMoney(amount, currency, locale);
+}
+
+// SQLite CURRENT_TIMESTAMP values are UTC without a zone designator.
+function formatDate(value, template) {
+  return new Intl.DateTimeFormat(template.locale, {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+    timeZone: template.timeZone || 'UTC',
+  }).format(new Date(`${value.replace(' ', 'T')}Z`));
+}
+
+// Write the PDF for a receipt row to `stream` (e.g. an Express response).
+// `recurring` adds a line saying the gift is part of a monthly donation.
+function renderReceiptPdf(receipt, { recurring = false } = {}, stream) {
+  const template = loadReceiptTemplate();
+  const organization = template.organization || {};
+  const colors = template.colors || {};
+  const doc = new PDFDocument({
+    size: 'LETTER',
+    margin: 56,
+    info: {
+      Title: `${template.title || 'Donation Receipt'} ${receipt.receipt_number}`,
+      Author: organization.name,
+    },
+  });
+  doc.pipe(stream);
+
+  const left = doc.page.margins.left;
+  const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+
+  // Header: logo and organization details
+  if (template.logo) {
+    const logoPath = path.resolve(path.dirname(RECEIPT_TEMPLATE_PATH), template.logo);
+    if (fs.existsSync(logoPath)) {
+      doc.image(logoPath, left, doc.y, { fit: [120, 60] });
+      doc.moveDown(4);
+    }
+  }
+  doc.fillColor(colors.text || '#222222').font('Helvetica-Bold').fontSize(16).text(organization.name || '');
+  doc.font('Helvetica').fontSize(10).fillColor(colors.muted || '#6b7280');
+  (organization.addressLines || []).forEach((line) => doc.text(line));
+  [organization.email, organization.website].filter(Boolean).forEach((line) => doc.text(line));
+  if (organization.taxId) {
+    doc.text(`Tax ID: ${organization.taxId}`);
+  }
+
+  // Title
+  doc.moveDown(2);
+  doc.fillColor(colors.accent || '#10b981').font('Helvetica-Bold').fontSize(22).text(template.title || 'Donation Receipt');
+  doc.moveTo(left, doc.y + 4).lineTo(left + width, doc.y + 4).strokeColor(colors.accent || '#10b981').stroke();
+  doc.moveDown(1.5);
+
+  // Receipt details
+  const rows = [
+    ['Receipt number', receipt.receipt_number],
+    ['Date', formatDate(receipt.issued_at, template)],
+    ['Donor', receipt.donor_name || ''],
+    ['Email', receipt.email || ''],
+  ];
+  if (recurring) {
+    rows.push(['Frequency', 'Monthly donation']);
+  }
+  doc.fontSize(11);
+  rows.forEach(([label, value]) => {
+    const y = doc.y;
+    doc.fillColor(colors.muted || '#6b7280').font('Helvetica').text(label, left, y, { width: 140 });
+    doc.fillColor(colors.text || '#222222').font('Helvetica-Bold').text(value, left + 150, y, { width: width - 150 });
+    doc.moveDown(0.4);
+  });
+
+  // Amount
+  doc.moveDown(1);
+  doc.fillColor(colors.muted || '#6b7280').font('Helvetica').fontSize(11).text('Amount received', left);
+  doc.fillColor(colors.text || '#222222').font('Helvetica-Bold').fontSize(26)
+    .text(formatAmount(receipt.amount, receipt.currency, template.locale), left);
+  if (receipt.fee_amount) {
+    const gift = formatAmount(receipt.amount - receipt.fee_amount, receipt.currency, template.locale);
+    const fee = formatAmount(receipt.fee_amount, receipt.currency, template.locale);
+    doc.fillColor(colors.muted || '#6b7280').font('Helvetica').fontSize(10)
+      .text(`Gift of ${gift} plus ${fee} to cover processing fees`, left);
+  }
+
+  // Tax-deductibility statement and footer
+  doc.moveDown(2);
+  doc.fillColor(colors.text || '#222222').font('Helvetica').fontSize(10)
+    .text(fillPlaceholders(template.taxStatement, template), left, doc.y, { width, align: 'justify' });
+  if (template.footer) {
+    doc.moveDown(2);
+    doc.fillColor(colors.muted || '#6b7280').fontSize(10)
+      .text(fillPlaceholders(template.footer, template), left, doc.y, { width, align: 'center' });
+  }
+
+  doc.end();
+}
+
+// Render the PDF into memory, e.g. to attach it to an email.
+function renderReceiptPdfBuffer(receipt, options) {
+  return new Promise((resolve, reject) => {
+    const stream = new PassThrough();
+    const chunks = [];
+    stream.on('data', (chunk) => chunks.push(chunk));
+    stream.on('end', () => resolve(Buffer.concat(chunks)));
+    stream.on('error', reject);
+    try {
+      renderReceiptPdf(receipt, options, stream);
+    } catch (err) {
+      reject(err);
+    }
+  });
+}
+
+module.exports = {
+  loadReceiptTemplate,
+  fillPlaceholders,
+  formatAmount,
+  formatDate,
+  renderReceiptPdf,
+  renderReceiptPdfBuffer,
+};
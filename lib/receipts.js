@@ -0,0 +1,147 @@
+// lib/receipts.js
+//
+// Donation receipts are issued by the server once Stripe confirms a payment.
+// Receipt numbers come from a gap-free sequence in the `receipts` table and
+// are never chosen by the browser. Donors look their receipt up with the
+// random `receipt_token` stored on the donation when it was created.
+
+const crypto = require('crypto');
+const { dbGet, dbRun } = require('./db');
+const { minorUnits } = require('./currency');
+
+const RECEIPT_NUMBER_PREFIX = process.env.RECEIPT_NUMBER_PREFIX || 'R-';
+// Key and lifetime of the signed PDF download links given to donors.
+const RECEIPT_LINK_SECRET =
+  process.env.RECEIPT_LINK_SECRET || process.env.SESSION_SECRET || 'somesecret';
+const RECEIPT_LINK_TTL_DAYS = Number(process.env.RECEIPT_LINK_TTL_DAYS) || 30;
+
+// Random, unguessable token handed to the browser when a donation is created.
+function generateReceiptToken() {
+  return crypto.randomBytes(24).toString('hex');
+}
+
+// Issue the receipt for a succeeded donation. Safe to call more than once:
+// a donation only ever gets one receipt. Resolves to the receipt row.
+async function issueReceipt(donation) {
+  const donorName = [donation.first_name, donation.last_name].filter(Boolean).join(' ');
+  // Picking the next sequence number and inserting happen in one statement,
+  // so two receipts can never get the same number.
+  await dbRun(
+    `INSERT OR IGNORE INTO receipts (
+      donation_id,
+      sequence,
+      receipt_number,
+      amount,
+      currency,
+      donor_name,
+      email,
+      fee_amount
+    )
+    SELECT ?, seq, ? || printf('%06d', seq), ?, ?, ?, ?, ?
+    FROM (SELECT COALESCE(MAX(sequence), 0) + 1 AS seq FROM receipts)`,
+    [
+      donation.id,
+      RECEIPT_NUMBER_PREFIX,
+      donation.donation_amount,
+      donation.currency,
+      donorName || donation.card_name || null,
+      donation.email,
+      donation.fee_amount || 0,
+    ]
+  );
+  return dbGet(`SELECT * FROM receipts WHERE donation_id = ?`, [donation.id]);
+}
+
+function linkSignature(token, expires) {
+  return crypto
+    .createHmac('sha256', RECEIPT_LINK_SECRET)
+    .update(`${token}.${expires}`)
+    .digest('hex');
+}
+
+// Relative URL of the PDF for a receipt token, valid for RECEIPT_LINK_TTL_DAYS.
+function signReceiptPdfLink(token) {
+  const expires = Math.floor(Date.now() / 1000) + RECEIPT_LINK_TTL_DAYS * 24 * 60 * 60;
+  return `receipts/${encodeURIComponent(token)}/pdf?expires=${expires}&signature=${linkSignature(token, expires)}`;
+}
+
+// Check the expiry and signature of a PDF link.
+function verifyReceiptPdfLink(token, expires, signature) {
+  if (!expires || !signature || Number(expires) < Date.now() / 1000) {
+    return false;
+  }
+  const expected = Buffer.from(linkSignature(token, expires));
+  const actual = Buffer.from(String(signature));
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+// Load a receipt row and whether it belongs to a monthly donation.
+// Resolves to null if the donation has no receipt (yet).
+async function loadReceipt(where, param) {
+  const row = await dbGet(
+    `SELECT receipts.*, donations.recurring_donation_id
+     FROM receipts JOIN donations ON donations.id = receipts.donation_id
+     WHERE ${where}`,
+    [param]
+  );
+  if (!row) {
+    return null;
+  }
+  return { receipt: row, recurring: Boolean(row.recurring_donation_id) };
+}
+
+function findReceiptByDonationId(donationId) {
+  return loadReceipt('donations.id = ?', donationId);
+}
+
+function findReceiptRowByToken(token) {
+  return loadReceipt('donations.receipt_token = ?', token);
+}
+
+// SQLite CURRENT_TIMESTAMP values are UTC without a zone designator.
+function toIsoDate(value) {
+  return value ? new Date(`${value.replace(' ', 'T')}Z`).toISOString() : null;
+}
+
+// Look up a receipt by the donation's receipt token.
+// Resolves to null for unknown tokens, otherwise to
+// { status, receipt } where receipt is null until the payment is confirmed.
+async function findReceiptByToken(token) {
+  const donation = await dbGet(
+    `SELECT id, payment_intent_status, recurring_donation_id FROM donations WHERE receipt_token = ?`,
+    [token]
+  );
+  if (!donation) {
+    return null;
+  }
+  const receipt = await dbGet(`SELECT * FROM receipts WHERE donation_id = ?`, [donation.id]);
+  if (!receipt) {
+    return { status: donation.payment_intent_status, receipt: null };
+  }
+  return {
+    status: 'issued',
+    receipt: {
+      receiptNumber: receipt.receipt_number,
+      amount: receipt.amount,
+      currency: receipt.currency,
+      currencyDecimals: minorUnits(receipt.currency),
+      // Part of `amount` the donor added to cover the processing fee
+      feeAmount: receipt.fee_amount,
+      name: receipt.donor_name,
+      email: receipt.email,
+      recurring: Boolean(donation.recurring_donation_id),
+      issuedAt: toIsoDate(receipt.issued_at),
+    },
+    pdfUrl: signReceiptPdfLink(token),
+  };
+}
+
+module.exports = {
+  generateReceiptToken,
+  issueReceipt,
+  findReceiptByToken,
+  findReceiptByDonationId,
+  findReceiptRowByToken,
+  signReceiptPdfLink,
+  verifyReceiptPdfLink,
+};
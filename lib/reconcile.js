@@ -0,0 +1,186 @@
+// lib/reconcile.js
+//
+// Background job that keeps donations in sync with the payment provider
+// (see lib/payment-provider.js) when webhooks are late or missing. Every
+// RECONCILE_INTERVAL_MINUTES it fetches the PaymentIntent of donations that
+// have not settled yet, in batches of RECONCILE_BATCH_SIZE and at most
+// RECONCILE_REQUESTS_PER_SECOND provider calls per second. Donations
+// created in the last RECONCILE_RECENT_HOURS are checked on every run,
+// older ones once every RECONCILE_RECHECK_MINUTES. Intents still waiting
+// for a payment after RECONCILE_ABANDON_AFTER_HOURS are marked "abandoned"
+// and no longer checked.
+//
+// Set RECONCILE_INTERVAL_MINUTES=0 to turn the job off.
+
+const { dbAll, dbRun } = require('./db');
+const { getPaymentProvider } = require('./payment-provider');
+const { PENDING_STATUSES, UNSETTLED_STATUSES, transitionDonation } = require('./donation-status');
+const { afterDonationUpdate } = require('./webhooks');
+
+function numberSetting(name, fallback) {
+  const value = Number(process.env[name]);
+  return process.env[name] !== undefined && process.env[name] !== '' && !isNaN(value) ? value : fallback;
+}
+
+const RECONCILE_INTERVAL_MINUTES = numberSetting('RECONCILE_INTERVAL_MINUTES', 5);
+const RECONCILE_BATCH_SIZE = numberSetting('RECONCILE_BATCH_SIZE', 25);
+const RECONCILE_MAX_PER_RUN = numberSetting('RECONCILE_MAX_PER_RUN', 500);
+const RECONCILE_REQUESTS_PER_SECOND = numberSetting('RECONCILE_REQUESTS_PER_SECOND', 5);
+const RECONCILE_RECENT_HOURS = numberSetting('RECONCILE_RECENT_HOURS', 24);
+const RECONCILE_RECHECK_MINUTES = numberSetting('RECONCILE_RECHECK_MINUTES', 60);
+const RECONCILE_ABANDON_AFTER_HOURS = numberSetting('RECONCILE_ABANDON_AFTER_HOURS', 48);
+
+// Statuses in which nobody has paid yet, so the donation can be abandoned.
+const ABANDONABLE_STATUSES = [...PENDING_STATUSES, 'failed'];
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Donations due for a check in the run that started at `runStartedAt`.
+function findDueDonations(runStartedAt, limit) {
+  return dbAll(
+    `SELECT * FROM donations
+     WHERE payment_intent_status IN (${UNSETTLED_STATUSES.map(() => '?').join(', ')})
+       AND payment_intent_id IS NOT NULL
+       AND (last_checked_at IS NULL
+            OR last_checked_at < CASE WHEN created_at >= datetime(?, 'unixepoch', ?) THEN ? ELSE ? END)
+     ORDER BY last_checked_at IS NOT NULL, last_checked_at, id
+     LIMIT ?`,
+    [
+      ...UNSETTLED_STATUSES,
+      runStartedAt,
+      `-${RECONCILE_RECENT_HOURS} hours`,
+      runStartedAt,
+      runStartedAt - RECONCILE_RECHECK_MINUTES * 60,
+      limit,
+    ]
+  );
+}
+
+function isAbandoned(donation, runStartedAt) {
+  const createdAt = Date.parse(`${donation.created_at.replace(' ', 'T')}Z`) / 1000;
+  return runStartedAt - createdAt >= RECONCILE_ABANDON_AFTER_HOURS * 60 * 60;
+}
+
+// Bring one donation in line with its PaymentIntent.
+async function reconcileDonation(donation, runStartedAt) {
+  let status;
+  try {
+    const paymentIntent = await getPaymentProvider().retrievePaymentIntent(donation.payment_intent_id);
+    // A declined payment puts the intent back to requires_payment_method;
+    // we record that as "failed", like the payment_failed webhook does.
+    status =
+      paymentIntent.status === 'requires_payment_method' && paymentIntent.last_payment_error
+        ? 'failed'
+        : paymentIntent.status;
+  } catch (err) {
+    if (err.code !== 'resource_missing') {
+      throw err;
+    }
+    // The intent is gone (e.g. created with other API keys); only the
+    // abandonment check below can still settle the donation.
+    console.warn(`PaymentIntent ${donation.payment_intent_id} of donation ${donation.id} not found`);
+    status = donation.payment_intent_status;
+  }
+
+  await dbRun(`UPDATE donations SET last_checked_at = ? WHERE id = ?`, [
+    Math.floor(Date.now() / 1000),
+    donation.id,
+  ]);
+
+  if (ABANDONABLE_STATUSES.includes(status) && isAbandoned(donation, runStartedAt)) {
+    status = 'abandoned';
+  }
+  // The intent doesn't say when its status changed. Stamping the current
+  // time would make webhooks for earlier events (e.g. a charge.refunded sent
+  // before this run) look stale, so status_updated_at is left alone.
+  const result = await transitionDonation(donation.payment_intent_id, status, {
+    keepStatusUpdatedAt: true,
+  });
+  if (result.changed) {
+    console.log(
+      `Reconciled donation ${donation.id}: ${result.previousStatus} -> ${result.donation.payment_intent_status}`
+    );
+    await afterDonationUpdate(result.donation);
+  }
+  return result.changed;
+}
+
+let running = false;
+
+// Run one reconciliation pass. Resolves to { checked, changed, errors }, or
+// null when a pass is already running.
+async function runReconciliation() {
+  if (running) {
+    return null;
+  }
+  running = true;
+  const summary = { checked: 0, changed: 0, errors: 0 };
+  try {
+    const runStartedAt = Math.floor(Date.now() / 1000);
+    const delay = RECONCILE_REQUESTS_PER_SECOND > 0 ? 1000 / RECONCILE_REQUESTS_PER_SECOND : 0;
+    while (summary.checked < RECONCILE_MAX_PER_RUN) {
+      const batch = await findDueDonations(
+        runStartedAt,
+        Math.min(RECONCILE_BATCH_SIZE, RECONCILE_MAX_PER_RUN - summary.checked)
+      );
+      if (batch.length === 0) {
+        break;
+      }
+      for (const donation of batch) {
+        summary.checked++;
+        try {
+          if (await reconcileDonation(donation, runStartedAt)) {
+            summary.changed++;
+          }
+        } catch (err) {
+          if (err.code === 'rate_limited') {
+            // Leave the rest for the next run instead of adding to the load.
+            console.warn('Payment provider rate limit reached, stopping reconciliation until the next run.');
+            return summary;
+          }
+          summary.errors++;
+          console.error(`Error reconciling donation ${donation.id}:`, err);
+          // Count the failed attempt as a check so the row doesn't block the queue.
+          await dbRun(`UPDATE donations SET last_checked_at = ? WHERE id = ?`, [
+            Math.floor(Date.now() / 1000),
+            donation.id,
+          ]);
+        }
+        await sleep(delay);
+      }
+    }
+    return summary;
+  } finally {
+    running = false;
+  }
+}
+
+// Start running reconciliation every RECONCILE_INTERVAL_MINUTES. The timer
+// doesn't keep the process alive on its own.
+function startReconciliation() {
+  if (!(RECONCILE_INTERVAL_MINUTES > 0)) {
+    console.log('Donation reconciliation is disabled.');
+    return;
+  }
+  const schedule = () => {
+    const timer = setTimeout(() => {
+      runReconciliation()
+        .then((summary) => {
+          if (summary && summary.checked > 0) {
+            console.log(
+              `Reconciliation checked ${summary.checked} donations, ${summary.changed} changed, ${summary.errors} errors`
+            );
+          }
+        })
+        .catch((err) => console.error('Error running reconciliation:', err))
+        .finally(schedule);
+    }, RECONCILE_INTERVAL_MINUTES * 60 * 1000);
+    timer.unref();
+  };
+  schedule();
+}
+
+module.exports = {
+  runReconciliation,
+  startReconciliation,
+};
@@ -0,0 +1,240 @@
+// lib/recurring.js
+//
+// Monthly donations are subscriptions with the payment provider (see
+// lib/payment-provider.js; with Stripe, Subscriptions on a single
+// "donation" product). Every invoice the subscription produces (the first
+// one included) is recorded as a row in `donations` linked back to its
+// `recurring_donations` row. The stripe_* columns hold the provider's ids.
+
+const { dbGet, dbRun } = require('./db');
+const { getPaymentProvider } = require('./payment-provider');
+const { transitionDonation } = require('./donation-status');
+const { generateReceiptToken } = require('./receipts');
+
+// Create a customer and an incomplete monthly subscription for the donor.
+// Returns the client secret of the first invoice's PaymentIntent so the
+// browser can confirm it exactly like a one-off donation. `idempotencyKey`
+// (optional) is the prefix of the idempotency keys of the requests.
+async function createMonthlyDonation({
+  amount,
+  currency,
+  email,
+  firstName,
+  lastName,
+  cardName,
+  country,
+  postalCode,
+  campaignId = null,
+  checkoutKey = null,
+  idempotencyKey = null,
+  feeAmount = 0,
+}) {
+  const fullName = [firstName, lastName].filter(Boolean).join(' ');
+  const provider = getPaymentProvider();
+  const { customerId, subscription, invoice, paymentIntent } = await provider.createSubscription(
+    { amount, currency, email, name: fullName || cardName, country, postalCode },
+    { idempotencyKey }
+  );
+  if (!paymentIntent || !paymentIntent.client_secret) {
+    throw new Error(`Subscription ${subscription.id} has no payment to confirm.`);
+  }
+
+  const result = await dbRun(
+    `INSERT INTO recurring_donations (
+      donation_amount,
+      currency,
+      email,
+      first_name,
+      last_name,
+      card_name,
+      country,
+      postal_code,
+      stripe_customer_id,
+      stripe_subscription_id,
+      status,
+      campaign_id,
+      base_amount,
+      fee_amount
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      amount,
+      currency,
+      email,
+      firstName || null,
+      lastName || null,
+      cardName || null,
+      country || null,
+      postalCode || null,
+      customerId,
+      subscription.id,
+      subscription.status,
+      campaignId,
+      amount - feeAmount,
+      feeAmount,
+    ]
+  );
+
+  // Record the first invoice as a pending donation, same as a one-off gift.
+  const receiptToken = generateReceiptToken();
+  await dbRun(
+    `INSERT INTO donations (
+      donation_amount,
+      currency,
+      email,
+      first_name,
+      last_name,
+      card_name,
+      country,
+      postal_code,
+      payment_intent_id,
+      payment_intent_status,
+      recurring_donation_id,
+      stripe_invoice_id,
+      receipt_token,
+      campaign_id,
+      checkout_key,
+      base_amount,
+      fee_amount
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      amount,
+      currency,
+      email,
+      firstName || null,
+      lastName || null,
+      cardName || null,
+      country || null,
+      postalCode || null,
+      paymentIntent.id,
+      'pending',
+      result.lastID,
+      invoice.id,
+      receiptToken,
+      campaignId,
+      checkoutKey,
+      amount - feeAmount,
+      feeAmount,
+    ]
+  );
+
+  return {
+    clientSecret: paymentIntent.client_secret,
+    recurringDonationId: result.lastID,
+    receiptToken,
+  };
+}
+
+// Record the outcome of a subscription invoice as a donation row.
+// The first invoice already has a row from createMonthlyDonation; renewals
+// get a new pending one copied from the recurring donation. Either way the
+// status is set with transitionDonation, which queues the outbound webhook
+// event (see lib/outbound-webhooks.js).
+// Resolves to the donation row, or null if the invoice is not ours.
+async function recordInvoicePayment(invoice, status, { occurredAt } = {}) {
+  if (!invoice.subscription || !invoice.payment_intent) {
+    return null;
+  }
+  const recurring = await dbGet(
+    `SELECT * FROM recurring_donations WHERE stripe_subscription_id = ?`,
+    [invoice.subscription]
+  );
+  if (!recurring) {
+    console.warn(`No recurring donation found for subscription ${invoice.subscription}`);
+    return null;
+  }
+
+  const existing = await dbGet(
+    `SELECT id FROM donations WHERE payment_intent_id = ?`,
+    [invoice.payment_intent]
+  );
+  if (existing) {
+    await dbRun(`UPDATE donations SET stripe_invoice_id = ? WHERE id = ?`, [
+      invoice.id,
+      existing.id,
+    ]);
+  } else {
+    await insertRenewal(recurring, invoice);
+  }
+  const { donation } = await transitionDonation(invoice.payment_intent, status, { occurredAt });
+  return donation;
+}
+
+// Pending donation row for a renewal invoice of `recurring`.
+async function insertRenewal(recurring, invoice) {
+  // Renewals include the processing fee if the donor chose to cover it
+  const feeAmount = Math.min(recurring.fee_amount || 0, invoice.amount_due);
+  await dbRun(
+    `INSERT INTO donations (
+      donation_amount,
+      currency,
+      email,
+      first_name,
+      last_name,
+      card_name,
+      country,
+      postal_code,
+      payment_intent_id,
+      payment_intent_status,
+      recurring_donation_id,
+      stripe_invoice_id,
+      receipt_token,
+      campaign_id,
+      base_amount,
+      fee_amount,
+      donor_id
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      invoice.amount_due,
+      invoice.currency || recurring.currency,
+      recurring.email,
+      recurring.first_name,
+      recurring.last_name,
+      recurring.card_name,
+      recurring.country,
+      recurring.postal_code,
+      invoice.payment_intent,
+      'pending',
+      recurring.id,
+      invoice.id,
+      generateReceiptToken(),
+      recurring.campaign_id,
+      invoice.amount_due - feeAmount,
+      feeAmount,
+      recurring.donor_id,
+    ]
+  );
+}
+
+// Mirror the provider's subscription status onto the recurring donation row.
+async function syncSubscriptionStatus(subscription) {
+  await dbRun(
+    `UPDATE recurring_donations
+     SET status = ?,
+         canceled_at = CASE WHEN ? = 'canceled' THEN COALESCE(canceled_at, CURRENT_TIMESTAMP) ELSE canceled_at END
+     WHERE stripe_subscription_id = ?`,
+    [subscription.status, subscription.status, subscription.id]
+  );
+}
+
+// Cancel a recurring donation immediately. Returns the updated row, or
+// null if no recurring donation has the given id.
+async function cancelRecurringDonation(id) {
+  const recurring = await dbGet(`SELECT * FROM recurring_donations WHERE id = ?`, [id]);
+  if (!recurring) {
+    return null;
+  }
+  if (recurring.status !== 'canceled') {
+    const subscription = await getPaymentProvider().cancelSubscription(
+      recurring.stripe_subscription_id
+    );
+    await syncSubscriptionStatus(subscription);
+  }
+  return dbGet(`SELECT * FROM recurring_donations WHERE id = ?`, [id]);
+}
+
+module.exports = {
+  createMonthlyDonation,
+  recordInvoicePayment,
+  syncSubscriptionStatus,
+  cancelRecurringDonation,
+};
@@ -0,0 +1,102 @@
+// lib/refunds.js
+//
+// Full and partial refunds issued from the admin panel. The refunded total
+// is kept on the donation (`refunded_amount`, in cents); charge.refunded
+// webhooks keep it in sync with refunds made elsewhere, e.g. in the Stripe
+// dashboard.
+
+const { dbGet, dbRun } = require('./db');
+const { getPaymentProvider } = require('./payment-provider');
+const { transitionDonation } = require('./donation-status');
+const { queueDonationRefundEvent } = require('./outbound-webhooks');
+const { toMinorUnits, formatMoney } = require('./currency');
+
+// Disputed charges can't be refunded; Stripe rejects the request while the
+// dispute is open.
+const REFUNDABLE_STATUSES = ['succeeded', 'partially_refunded'];
+
+class RefundError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'RefundError';
+    this.statusCode = statusCode;
+  }
+}
+
+// Record a new refunded total (in minor units) for a donation and move it
+// to refunded / partially_refunded. Totals only ever grow, so an older
+// webhook cannot undo a newer refund.
+async function recordRefundedAmount(paymentIntentId, refundedTotal, { occurredAt, reason } = {}) {
+  const donation = await dbGet(`SELECT * FROM donations WHERE payment_intent_id = ?`, [
+    paymentIntentId,
+  ]);
+  if (!donation) {
+    return null;
+  }
+  await dbRun(
+    `UPDATE donations
+     SET refunded_amount = MAX(COALESCE(refunded_amount, 0), ?),
+         refund_reason = COALESCE(?, refund_reason)
+     WHERE id = ?`,
+    [refundedTotal, reason || null, donation.id]
+  );
+  const status = refundedTotal >= donation.donation_amount ? 'refunded' : 'partially_refunded';
+  const result = await transitionDonation(paymentIntentId, status, { occurredAt });
+  const updated = await dbGet(`SELECT * FROM donations WHERE id = ?`, [result.donation.id]);
+  // Stripe's webhook for a refund made from the admin panel repeats the
+  // total we already stored; only an increase is a new refund.
+  const refunded = (updated.refunded_amount || 0) - (donation.refunded_amount || 0);
+  if (refunded > 0) {
+    await queueDonationRefundEvent(updated, refunded);
+  }
+  return updated;
+}
+
+// Refund a donation. `amount` is in units of the donation's currency and
+// defaults to everything not refunded yet.
+// Throws RefundError for requests that cannot be honoured, and
+// PaymentProviderError when the payment provider rejects the refund.
+async function refundDonation(donationId, { amount: requested, reason } = {}) {
+  const donation = await dbGet(`SELECT * FROM donations WHERE id = ?`, [donationId]);
+  if (!donation) {
+    throw new RefundError('Donation not found.', 404);
+  }
+  if (!REFUNDABLE_STATUSES.includes(donation.payment_intent_status)) {
+    throw new RefundError(
+      `Only succeeded donations can be refunded (donation is ${donation.payment_intent_status}).`,
+      409
+    );
+  }
+
+  const remaining = donation.donation_amount - (donation.refunded_amount || 0);
+  const amount = requested == null ? remaining : toMinorUnits(requested, donation.currency);
+  if (!Number.isInteger(amount) || amount <= 0) {
+    throw new RefundError('Invalid refund amount.');
+  }
+  if (amount > remaining) {
+    const balance = formatMoney(remaining, donation.currency, 'en-US');
+    throw new RefundError(`Refund amount exceeds the refundable balance of ${balance}.`);
+  }
+
+  const refund = await getPaymentProvider().createRefund({
+    paymentIntentId: donation.payment_intent_id,
+    amount,
+    reason,
+    metadata: {
+      donation_id: String(donation.id),
+      reason: reason ? String(reason).slice(0, 500) : '',
+    },
+  });
+
+  return recordRefundedAmount(
+    donation.payment_intent_id,
+    (donation.refunded_amount || 0) + refund.amount,
+    { occurredAt: refund.created, reason }
+  );
+}
+
+module.exports = {
+  RefundError,
+  recordRefundedAmount,
+  refundDonation,
+};
@@ -0,0 +1,46 @@
+// lib/settings.js
+//
+// Panel-wide settings stored in the `settings` table as JSON values. Only
+// keys listed in SETTINGS can be read or written; each has a default that
+// applies until an owner changes it.
+
+const { dbAll, dbRun } = require('./db');
+
+const SETTINGS = {
+  // Every admin must use two-factor authentication (see lib/two-factor.js)
+  requireTwoFactor: false,
+};
+
+// All settings, with defaults filled in.
+async function getSettings() {
+  const rows = await dbAll(`SELECT key, value FROM settings`);
+  const settings = { ...SETTINGS };
+  rows.forEach((row) => {
+    if (row.key in SETTINGS) {
+      settings[row.key] = JSON.parse(row.value);
+    }
+  });
+  return settings;
+}
+
+async function getSetting(key) {
+  return (await getSettings())[key];
+}
+
+async function setSetting(key, value) {
+  if (!(key in SETTINGS)) {
+    throw new Error(`Unknown setting ${key}`);
+  }
+  await dbRun(
+    `INSERT INTO settings (key, value, updated_at) VALUES (?, ?, CURRENT_TIMESTAMP)
+     ON CONFLICT(key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at`,
+    [key, JSON.stringify(value)]
+  );
+}
+
+module.exports = {
+  SETTINGS,
+  getSettings,
+  getSetting,
+  setSetting,
+};
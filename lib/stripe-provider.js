@@ -0,0 +1,175 @@
+// lib/stripe-provider.js
+//
+// Stripe as the payment provider (see lib/payment-provider.js). Monthly
+// gifts are Subscriptions on a single "donation" product with an inline
+// price per subscriber. Webhooks are verified with STRIPE_WEBHOOK_SECRET
+// when it is set.
+
+const { stripeInstance, STRIPE_WEBHOOK_SECRET } = require('./stripe');
+const { PaymentProviderError } = require('./payment-provider');
+
+// Fixed product id so every deployment reuses the same Stripe product
+// instead of creating a new one on each restart.
+const RECURRING_PRODUCT_ID =
+  process.env.STRIPE_RECURRING_PRODUCT_ID || 'monthly_donation';
+
+// Refund reasons Stripe itself understands; anything else is only stored
+// with us.
+const STRIPE_REFUND_REASONS = ['duplicate', 'fraudulent', 'requested_by_customer'];
+
+// Stripe errors the callers handle, as PaymentProviderError
+function providerError(err) {
+  if (err.type === 'StripeInvalidRequestError') {
+    return new PaymentProviderError(
+      err.message,
+      err.code === 'resource_missing' ? 'resource_missing' : 'invalid_request'
+    );
+  }
+  if (err.type === 'StripeIdempotencyError') {
+    return new PaymentProviderError(err.message, 'idempotency_conflict', 409);
+  }
+  if (err.type === 'StripeRateLimitError') {
+    return new PaymentProviderError(err.message, 'rate_limited', 429);
+  }
+  return err;
+}
+
+// Wrap a function making Stripe requests so it throws providerError()s.
+function withProviderErrors(fn) {
+  return async (...args) => {
+    try {
+      return await fn(...args);
+    } catch (err) {
+      throw providerError(err);
+    }
+  };
+}
+
+const requestOptions = (idempotencyKey, suffix) =>
+  idempotencyKey ? { idempotencyKey: `${idempotencyKey}-${suffix}` } : undefined;
+
+let productPromise = null;
+
+// Retrieve the recurring donation product, creating it on first use.
+function ensureRecurringProduct() {
+  if (!productPromise) {
+    productPromise = stripeInstance.products
+      .retrieve(RECURRING_PRODUCT_ID)
+      .catch((err) => {
+        if (err.code !== 'resource_missing') {
+          throw err;
+        }
+        return stripeInstance.products.create({
+          id: RECURRING_PRODUCT_ID,
+          name: 'Monthly donation',
+        });
+      })
+      .catch((err) => {
+        // Allow the next request to try again.
+        productPromise = null;
+        throw err;
+      });
+  }
+  return productPromise;
+}
+
+function createPaymentIntent({ amount, currency }, { idempotencyKey } = {}) {
+  return stripeInstance.paymentIntents.create(
+    { amount, currency },
+    requestOptions(idempotencyKey, 'payment-intent')
+  );
+}
+
+function retrievePaymentIntent(id) {
+  return stripeInstance.paymentIntents.retrieve(id);
+}
+
+function updatePaymentIntent(id, { amount, currency }) {
+  return stripeInstance.paymentIntents.update(id, { amount, currency });
+}
+
+function cancelPaymentIntent(id) {
+  return stripeInstance.paymentIntents.cancel(id);
+}
+
+// A Customer and an incomplete monthly Subscription; the browser confirms
+// the PaymentIntent of its first invoice.
+async function createSubscription(
+  { amount, currency, email, name, country, postalCode },
+  { idempotencyKey } = {}
+) {
+  const product = await ensureRecurringProduct();
+  const customer = await stripeInstance.customers.create(
+    {
+      email,
+      name: name || undefined,
+      address: country ? { country, postal_code: postalCode || undefined } : undefined,
+    },
+    requestOptions(idempotencyKey, 'customer')
+  );
+
+  const subscription = await stripeInstance.subscriptions.create(
+    {
+      customer: customer.id,
+      items: [
+        {
+          price_data: {
+            currency,
+            product: product.id,
+            unit_amount: amount,
+            recurring: { interval: 'month' },
+          },
+        },
+      ],
+      payment_behavior: 'default_incomplete',
+      payment_settings: { save_default_payment_method: 'on_subscription' },
+      expand: ['latest_invoice.payment_intent'],
+    },
+    requestOptions(idempotencyKey, 'subscription')
+  );
+
+  const invoice = subscription.latest_invoice;
+  return {
+    customerId: customer.id,
+    subscription,
+    invoice,
+    paymentIntent: invoice && invoice.payment_intent,
+  };
+}
+
+function cancelSubscription(id) {
+  return stripeInstance.subscriptions.cancel(id);
+}
+
+function createRefund({ paymentIntentId, amount, reason, metadata }) {
+  return stripeInstance.refunds.create({
+    payment_intent: paymentIntentId,
+    amount,
+    reason: STRIPE_REFUND_REASONS.includes(reason) ? reason : undefined,
+    metadata,
+  });
+}
+
+function constructWebhookEvent(rawBody, headers) {
+  if (STRIPE_WEBHOOK_SECRET) {
+    return stripeInstance.webhooks.constructEvent(
+      rawBody,
+      headers['stripe-signature'],
+      STRIPE_WEBHOOK_SECRET
+    );
+  }
+  // WARNING: In production, you should verify signatures.
+  return JSON.parse(rawBody);
+}
+
+module.exports = {
+  name: 'stripe',
+  createPaymentIntent: withProviderErrors(createPaymentIntent),
+  retrievePaymentIntent: withProviderErrors(retrievePaymentIntent),
+  updatePaymentIntent: withProviderErrors(updatePaymentIntent),
+  cancelPaymentIntent: withProviderErrors(cancelPaymentIntent),
+  createSubscription: withProviderErrors(createSubscription),
+  cancelSubscription: withProviderErrors(cancelSubscription),
+  createRefund: withProviderErrors(createRefund),
+  constructWebhookEvent,
+};
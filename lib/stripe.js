@@ -0,0 +1,16 @@
+// lib/stripe.js
+
+const stripe = require('stripe');
+require('dotenv').config();
+
+const STRIPE_SECRET_KEY = process.env.STRIPE_SECRET_KEY;
+const STRIPE_WEBHOOK_SECRET = process.env.STRIPE_WEBHOOK_SECRET || null; // set this in production!
+if (!STRIPE_SECRET_KEY) {
+  throw new Error('STRIPE_SECRET_KEY is not set. Set it, or use PAYMENT_PROVIDER=mock to run without Stripe.');
+}
+const stripeInstance = stripe(STRIPE_SECRET_KEY);
+
+module.exports = {
+  stripeInstance,
+  STRIPE_WEBHOOK_SECRET,
+};
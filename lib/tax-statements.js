@@ -0,0 +1,276 @@
+// lib/tax-statements.js
+//
+// Year-end giving statements: one consolidated statement per donor (see
+// lib/donors.js) and tax year, listing every receipted gift of the year
+// with its receipt number and the totals per currency. A gift belongs to
+// the year its receipt was issued in (UTC). Refunded, disputed and failed
+// gifts are left out; a partially refunded gift counts with what was kept.
+//
+// Statements are rendered as PDF or HTML. The organization name, tax ID
+// and the legal wording come from the receipt template (templates/
+// receipt.json, see lib/receipt-pdf.js): `organization` and the
+// `yearEndStatement` section, whose texts may use {{year}}.
+//
+// Admins get a statement on demand from the donor view; `npm run
+// tax-statements -- <year>` writes the statements of every donor who gave
+// that year (see scripts/tax-statements.js).
+
+const fs = require('fs');
+const path = require('path');
+const { PassThrough } = require('stream');
+const ejs = require('ejs');
+const PDFDocument = require('pdfkit');
+const { dbAll, dbGet } = require('./db');
+const { QueryError } = require('./donation-query');
+const { loadReceiptTemplate, fillPlaceholders, formatAmount, formatDate } = require('./receipt-pdf');
+
+const STATEMENT_STATUSES = ['succeeded', 'partially_refunded'];
+const STATEMENT_HTML_TEMPLATE = path.join(__dirname, '..', 'templates', 'tax-statement.html.ejs');
+
+const placeholders = (list) => list.map(() => '?').join(', ');
+
+// The tax year of a query parameter; throws QueryError.
+function parseTaxYear(value) {
+  const year = Number(value);
+  if (!/^\d{4}$/.test(String(value)) || year < 2000 || year > new Date().getUTCFullYear()) {
+    throw new QueryError('Invalid year, expected e.g. 2024.');
+  }
+  return year;
+}
+
+function yearRange(year) {
+  return [`${year}-01-01 00:00:00`, `${year + 1}-01-01 00:00:00`];
+}
+
+// The statement of donor `donorId` for `year`: { year, donor, gifts,
+// totals }, where gifts are { receiptNumber, issuedAt, amount, currency,
+// recurring, campaign } (amounts in minor units) and totals are
+// [{ currency, amount, count }]. Resolves to null for an unknown or merged
+// donor; a donor without gifts that year gets a statement without gifts.
+async function getTaxStatement(donorId, year) {
+  const donor = await dbGet(`SELECT * FROM donors WHERE id = ?`, [donorId]);
+  if (!donor || donor.merged_into_id) {
+    return null;
+  }
+  const rows = await dbAll(
+    `SELECT receipts.receipt_number, receipts.issued_at, receipts.currency,
+            receipts.amount - COALESCE(donations.refunded_amount, 0) AS amount,
+            donations.recurring_donation_id, campaigns.title AS campaign_title
+     FROM receipts
+     JOIN donations ON donations.id = receipts.donation_id
+     LEFT JOIN campaigns ON campaigns.id = donations.campaign_id
+     WHERE donations.donor_id = ?
+       AND donations.payment_intent_status IN (${placeholders(STATEMENT_STATUSES)})
+       AND receipts.issued_at >= ? AND receipts.issued_at < ?
+     ORDER BY receipts.issued_at, receipts.sequence`,
+    [donor.id, ...STATEMENT_STATUSES, ...yearRange(year)]
+  );
+  const gifts = rows.map((row) => ({
+    receiptNumber: row.receipt_number,
+    issuedAt: row.issued_at,
+    amount: row.amount,
+    currency: row.currency,
+    recurring: Boolean(row.recurring_donation_id),
+    campaign: row.campaign_title,
+  }));
+  const totals = [];
+  gifts.forEach((gift) => {
+    let total = totals.find((entry) => entry.currency === gift.currency);
+    if (!total) {
+      total = { currency: gift.currency, amount: 0, count: 0 };
+      totals.push(total);
+    }
+    total.amount += gift.amount;
+    total.count += 1;
+  });
+  return { year, donor, gifts, totals };
+}
+
+// Ids of the donors with at least one gift on a statement for `year`.
+async function listStatementDonorIds(year) {
+  const rows = await dbAll(
+    `SELECT DISTINCT donations.donor_id
+     FROM receipts
+     JOIN donations ON donations.id = receipts.donation_id
+     WHERE donations.donor_id IS NOT NULL
+       AND donations.payment_intent_status IN (${placeholders(STATEMENT_STATUSES)})
+       AND receipts.issued_at >= ? AND receipts.issued_at < ?
+     ORDER BY donations.donor_id`,
+    [...STATEMENT_STATUSES, ...yearRange(year)]
+  );
+  return rows.map((row) => row.donor_id);
+}
+
+// Everything the PDF and the HTML show, formatted with the receipt
+// template's locale and time zone.
+function statementView(statement, template) {
+  const settings = template.yearEndStatement || {};
+  const values = { ...template, year: statement.year };
+  const { donor } = statement;
+  return {
+    organization: template.organization || {},
+    title: `${fillPlaceholders(settings.title || 'Year-End Giving Statement', values)} ${statement.year}`,
+    legalText: fillPlaceholders(settings.legalText || template.taxStatement, values),
+    footer: fillPlaceholders(settings.footer || template.footer, values),
+    colors: template.colors || {},
+    year: statement.year,
+    donorName: [donor.first_name, donor.last_name].filter(Boolean).join(' '),
+    donorEmail: donor.email,
+    donorId: donor.id,
+    issuedOn: formatDate(new Date().toISOString().replace('T', ' ').slice(0, 19), template),
+    gifts: statement.gifts.map((gift) => ({
+      ...gift,
+      date: formatDate(gift.issuedAt, template),
+      amount: formatAmount(gift.amount, gift.currency, template.locale),
+      description: [gift.recurring ? 'Monthly donation' : 'Donation', gift.campaign]
+        .filter(Boolean)
+        .join(' – '),
+    })),
+    totals: statement.totals.map((total) => ({
+      ...total,
+      amount: formatAmount(total.amount, total.currency, template.locale),
+    })),
+  };
+}
+
+// The statement as a standalone HTML page.
+function renderTaxStatementHtml(statement) {
+  const view = statementView(statement, loadReceiptTemplate());
+  return ejs.renderFile(STATEMENT_HTML_TEMPLATE, view);
+}
+
+// Write the statement as a PDF to `stream` (e.g. an Express response).
+function renderTaxStatementPdf(statement, stream) {
+  const template = loadReceiptTemplate();
+  const view = statementView(statement, template);
+  const colors = view.colors;
+  const organization = view.organization;
+  const doc = new PDFDocument({
+    size: 'LETTER',
+    margin: 56,
+    info: { Title: view.title, Author: organization.name },
+  });
+  doc.pipe(stream);
+
+  const left = doc.page.margins.left;
+  const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+
+  // Header: organization details, as on receipts
+  doc.fillColor(colors.text || '#222222').font('Helvetica-Bold').fontSize(16).text(organization.name || '');
+  doc.font('Helvetica').fontSize(10).fillColor(colors.muted || '#6b7280');
+  (organization.addressLines || []).forEach((line) => doc.text(line));
+  [organization.email, organization.website].filter(Boolean).forEach((line) => doc.text(line));
+  if (organization.taxId) {
+    doc.text(`Tax ID: ${organization.taxId}`);
+  }
+
+  doc.moveDown(2);
+  doc.fillColor(colors.accent || '#10b981').font('Helvetica-Bold').fontSize(20).text(view.title);
+  doc.moveTo(left, doc.y + 4).lineTo(left + width, doc.y + 4).strokeColor(colors.accent || '#10b981').stroke();
+  doc.moveDown(1.5);
+
+  doc.fontSize(11);
+  [
+    ['Donor', view.donorName || view.donorEmail],
+    ['Email', view.donorEmail],
+    ['Issued', view.issuedOn],
+  ].forEach(([label, value]) => {
+    const y = doc.y;
+    doc.fillColor(colors.muted || '#6b7280').font('Helvetica').text(label, left, y, { width: 140 });
+    doc.fillColor(colors.text || '#222222').font('Helvetica-Bold').text(value, left + 150, y, { width: width - 150 });
+    doc.moveDown(0.4);
+  });
+
+  // Gifts: date, receipt number, description, amount
+  const columns = [
+    { label: 'Date', x: left, width: 120 },
+    { label: 'Receipt', x: left + 125, width: 90 },
+    { label: 'Description', x: left + 220, width: width - 320 },
+    { label: 'Amount', x: left + width - 95, width: 95, align: 'right' },
+  ];
+  const row = (values, font) => {
+    if (doc.y > doc.page.height - doc.page.margins.bottom - 40) {
+      doc.addPage();
+    }
+    const y = doc.y;
+    let bottom = y;
+    columns.forEach((column, i) => {
+      doc.font(font).text(values[i], column.x, y, { width: column.width, align: column.align || 'left' });
+      bottom = Math.max(bottom, doc.y);
+    });
+    doc.y = bottom + 4;
+  };
+  doc.moveDown(1.5);
+  doc.fontSize(10).fillColor(colors.muted || '#6b7280');
+  row(columns.map((column) => column.label), 'Helvetica-Bold');
+  doc.fillColor(colors.text || '#222222');
+  if (!view.gifts.length) {
+    doc.font('Helvetica').text(`No gifts were received from you in ${view.year}.`, left);
+  }
+  view.gifts.forEach((gift) => row([gift.date, gift.receiptNumber, gift.description, gift.amount], 'Helvetica'));
+  view.totals.forEach((total) =>
+    row(['', '', `Total (${total.count} gift${total.count === 1 ? '' : 's'})`, total.amount], 'Helvetica-Bold')
+  );
+
+  // Legal wording and footer
+  doc.moveDown(2);
+  doc.fillColor(colors.text || '#222222').font('Helvetica').fontSize(10)
+    .text(view.legalText, left, doc.y, { width, align: 'justify' });
+  if (view.footer) {
+    doc.moveDown(2);
+    doc.fillColor(colors.muted || '#6b7280').text(view.footer, left, doc.y, { width, align: 'center' });
+  }
+
+  doc.end();
+}
+
+function renderTaxStatementPdfBuffer(statement) {
+  return new Promise((resolve, reject) => {
+    const stream = new PassThrough();
+    const chunks = [];
+    stream.on('data', (chunk) => chunks.push(chunk));
+    stream.on('end', () => resolve(Buffer.concat(chunks)));
+    stream.on('error', reject);
+    try {
+      renderTaxStatementPdf(statement, stream);
+    } catch (err) {
+      reject(err);
+    }
+  });
+}
+
+// File name of a statement, without the extension
+function statementFileName(statement) {
+  return `statement-${statement.year}-donor-${statement.donor.id}`;
+}
+
+// Write the PDF and HTML statements for `year` of every donor who gave that
+// year (or of `donorIds`) into `dir`. Resolves to the number written.
+async function writeTaxStatements(year, dir, { donorIds, log = console.log } = {}) {
+  await fs.promises.mkdir(dir, { recursive: true });
+  const ids = donorIds || (await listStatementDonorIds(year));
+  let written = 0;
+  for (const donorId of ids) {
+    const statement = await getTaxStatement(donorId, year);
+    if (!statement) {
+      log(`Skipped donor ${donorId}: not found or merged into another donor`);
+      continue;
+    }
+    const file = path.join(dir, statementFileName(statement));
+    await fs.promises.writeFile(`${file}.pdf`, await renderTaxStatementPdfBuffer(statement));
+    await fs.promises.writeFile(`${file}.html`, await renderTaxStatementHtml(statement));
+    written += 1;
+    log(`Wrote ${file}.pdf and .html (${statement.gifts.length} gift(s))`);
+  }
+  return written;
+}
+
+module.exports = {
+  parseTaxYear,
+  getTaxStatement,
+  listStatementDonorIds,
+  renderTaxStatementHtml,
+  renderTaxStatementPdf,
+  statementFileName,
+  writeTaxStatements,
+};
@@ -0,0 +1,234 @@
+// lib/two-factor.js
+//
+// TOTP two-factor authentication (RFC 6238, as used by Google Authenticator,
+// 1Password, Authy, ...) for admin accounts, plus single-use recovery codes.
+//
+// Secrets are encrypted with AES-256-GCM under TWO_FACTOR_KEY (falls back
+// to SESSION_SECRET). Each accepted code's time step is stored so a code
+// can't be replayed, and recovery codes are kept only as SHA-256 hashes.
+
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const { dbGet, dbRun } = require('./db');
+const { AdminUserError } = require('./admin-users');
+
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'Donations Admin';
+const TOTP_DIGITS = 6;
+const TOTP_PERIOD = 30;
+// Codes from one step before or after the current one are accepted, to
+// allow for clock drift.
+const TOTP_WINDOW = 1;
+const RECOVERY_CODE_COUNT = 10;
+
+const ENCRYPTION_KEY = crypto
+  .createHash('sha256')
+  .update(process.env.TWO_FACTOR_KEY || process.env.SESSION_SECRET || 'somesecret')
+  .digest();
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buffer) {
+  let bits = '';
+  buffer.forEach((byte) => {
+    bits += byte.toString(2).padStart(8, '0');
+  });
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+}
+
+function base32Decode(text) {
+  let bits = '';
+  text
+    .replace(/=+$/, '')
+    .toUpperCase()
+    .split('')
+    .forEach((ch) => {
+      const value = BASE32_ALPHABET.indexOf(ch);
+      if (value === -1) {
+        throw new Error('Invalid base32 character.');
+      }
+      bits += value.toString(2).padStart(5, '0');
+    });
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+}
+
+function encryptSecret(secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map((part) => part.toString('base64')).join('.');
+}
+
+function decryptSecret(stored) {
+  const [iv, tag, encrypted] = stored.split('.').map((part) => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+}
+
+// The code for a base32 secret at a given time step (RFC 4226 truncation).
+function totpCode(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const value = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(value % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+}
+
+// The time step matching `code`, or null.
+function matchingStep(secret, code) {
+  const normalized = String(code || '').replace(/\s+/g, '');
+  if (!/^\d+$/.test(normalized) || normalized.length !== TOTP_DIGITS) {
+    return null;
+  }
+  const current = Math.floor(Date.now() / 1000 / TOTP_PERIOD);
+  for (let step = current - TOTP_WINDOW; step <= current + TOTP_WINDOW; step++) {
+    const expected = totpCode(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+  return null;
+}
+
+function hashRecoveryCode(code) {
+  const normalized = String(code || '').replace(/[\s-]+/g, '').toLowerCase();
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+// Replace a user's recovery codes with a new set. Resolves to the codes,
+// which are shown once and not stored in clear.
+async function regenerateRecoveryCodes(userId) {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+  await dbRun(`DELETE FROM admin_recovery_codes WHERE user_id = ?`, [userId]);
+  for (const code of codes) {
+    await dbRun(`INSERT INTO admin_recovery_codes (user_id, code_hash) VALUES (?, ?)`, [
+      userId,
+      hashRecoveryCode(code),
+    ]);
+  }
+  return codes;
+}
+
+async function loadUser(userId) {
+  const user = await dbGet(`SELECT * FROM admin_users WHERE id = ?`, [userId]);
+  if (!user) {
+    throw new AdminUserError('User not found.', 404);
+  }
+  return user;
+}
+
+// Start enrolling: store a new secret (not yet active) and resolve to what
+// the authenticator app needs: { secret, otpauthUrl, qrCode } where qrCode
+// is a data: URL of a PNG.
+async function beginEnrollment(userId) {
+  const user = await loadUser(userId);
+  if (user.totp_enabled) {
+    throw new AdminUserError('Two-factor authentication is already enabled.', 409);
+  }
+  const secret = base32Encode(crypto.randomBytes(20));
+  await dbRun(`UPDATE admin_users SET totp_secret = ?, totp_last_step = NULL WHERE id = ?`, [
+    encryptSecret(secret),
+    user.id,
+  ]);
+  const label = encodeURIComponent(`${TOTP_ISSUER}:${user.username}`);
+  const otpauthUrl =
+    `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(TOTP_ISSUER)}` +
+    `&algorithm=SHA1&digits=${TOTP_DIGITS}&period=${TOTP_PERIOD}`;
+  const qrCode = await QRCode.toDataURL(otpauthUrl);
+  return { secret, otpauthUrl, qrCode };
+}
+
+// Finish enrolling with a code from the app. Resolves to the recovery codes.
+async function confirmEnrollment(userId, code) {
+  const user = await loadUser(userId);
+  if (user.totp_enabled) {
+    throw new AdminUserError('Two-factor authentication is already enabled.', 409);
+  }
+  if (!user.totp_secret) {
+    throw new AdminUserError('Start the two-factor setup first.', 409);
+  }
+  const step = matchingStep(decryptSecret(user.totp_secret), code);
+  if (step === null) {
+    throw new AdminUserError('Invalid authentication code.', 401);
+  }
+  await dbRun(`UPDATE admin_users SET totp_enabled = 1, totp_last_step = ? WHERE id = ?`, [
+    step,
+    user.id,
+  ]);
+  return regenerateRecoveryCodes(user.id);
+}
+
+// Check the second factor for a user with 2FA enabled: either `code` from
+// the app or one of the unused `recoveryCode`s. Resolves to true or false.
+async function verifySecondFactor(userId, { code, recoveryCode } = {}) {
+  const user = await loadUser(userId);
+  if (!user.totp_enabled || !user.totp_secret) {
+    return false;
+  }
+  if (recoveryCode) {
+    const result = await dbRun(
+      `UPDATE admin_recovery_codes SET used_at = CURRENT_TIMESTAMP
+       WHERE user_id = ? AND code_hash = ? AND used_at IS NULL`,
+      [user.id, hashRecoveryCode(recoveryCode)]
+    );
+    return result.changes === 1;
+  }
+  const step = matchingStep(decryptSecret(user.totp_secret), code);
+  if (step === null) {
+    return false;
+  }
+  // Only a step newer than the last accepted one counts, so a code that was
+  // already used (or an older one) is refused.
+  const result = await dbRun(
+    `UPDATE admin_users SET totp_last_step = ?
+     WHERE id = ? AND (totp_last_step IS NULL OR totp_last_step < ?)`,
+    [step, user.id, step]
+  );
+  return result.changes === 1;
+}
+
+// Turn 2FA off and forget the secret and recovery codes. With
+// `signOut`, the user's open sessions end too (used when another admin
+// resets it).
+async function removeTwoFactor(userId, { signOut = false } = {}) {
+  await loadUser(userId);
+  await dbRun(
+    `UPDATE admin_users
+     SET totp_secret = NULL, totp_enabled = 0, totp_last_step = NULL,
+         session_version = session_version + ?
+     WHERE id = ?`,
+    [signOut ? 1 : 0, userId]
+  );
+  await dbRun(`DELETE FROM admin_recovery_codes WHERE user_id = ?`, [userId]);
+}
+
+// { enabled, recoveryCodesLeft } for the admin panel
+async function twoFactorStatus(userId) {
+  const user = await loadUser(userId);
+  const row = await dbGet(
+    `SELECT COUNT(*) AS count FROM admin_recovery_codes WHERE user_id = ? AND used_at IS NULL`,
+    [userId]
+  );
+  return { enabled: Boolean(user.totp_enabled), recoveryCodesLeft: row.count };
+}
+
+module.exports = {
+  beginEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  removeTwoFactor,
+  twoFactorStatus,
+};
@@ -0,0 +1,212 @@
+// lib/webhooks.js
+//
+// Persisted, idempotent processing of Stripe webhook events (or the same
+// events from the mock provider, see lib/mock-provider.js). Every event is
+// stored in `webhook_events` under its id before it is handled, so a
+// redelivery of an event we already processed is acknowledged without
+// touching the donations again, and events that failed can be replayed.
+// An event still "processing" WEBHOOK_PROCESSING_TIMEOUT_SECONDS after it
+// was claimed (the server stopped while handling it) can be claimed again,
+// by a redelivery or a replay.
+
+const { dbAll, dbGet, dbRun } = require('./db');
+const { transitionDonation } = require('./donation-status');
+const { recordInvoicePayment, syncSubscriptionStatus } = require('./recurring');
+const { issueReceipt } = require('./receipts');
+const { recordRefundedAmount } = require('./refunds');
+const { sendDonationEmails } = require('./donation-emails');
+
+function numberSetting(name, fallback) {
+  const value = Number(process.env[name]);
+  return process.env[name] !== undefined && process.env[name] !== '' && !isNaN(value) ? value : fallback;
+}
+
+const WEBHOOK_PROCESSING_TIMEOUT_SECONDS = numberSetting('WEBHOOK_PROCESSING_TIMEOUT_SECONDS', 5 * 60);
+
+// A confirmed payment gets its receipt and the thank-you email. Both are
+// idempotent, so this also covers a retry after the status change was
+// already saved. Emails are sent in the background so a slow mail server
+// doesn't hold up the webhook response.
+async function afterDonationUpdate(donation) {
+  if (donation && donation.payment_intent_status === 'succeeded') {
+    await issueReceipt(donation);
+    sendDonationEmails(donation).catch((err) => {
+      console.error(`Error sending emails for donation ${donation.id}:`, err);
+    });
+  }
+}
+
+// Update the donation behind a PaymentIntent event.
+function paymentIntentStatus(status) {
+  return async (event) => {
+    const { donation } = await transitionDonation(event.data.object.id, status, {
+      occurredAt: event.created,
+    });
+    await afterDonationUpdate(donation);
+  };
+}
+
+// Record a subscription invoice (first payment or renewal) as a donation.
+function invoiceStatus(status) {
+  return async (event) => {
+    const donation = await recordInvoicePayment(event.data.object, status, {
+      occurredAt: event.created,
+    });
+    await afterDonationUpdate(donation);
+  };
+}
+
+// Stripe dispute outcomes -> donation status
+const DISPUTE_CLOSED_STATUSES = {
+  won: 'succeeded',
+  warning_closed: 'succeeded',
+  lost: 'dispute_lost',
+};
+
+// Handlers by event type. Event types missing here are stored and marked
+// "ignored".
+const EVENT_HANDLERS = {
+  'payment_intent.processing': paymentIntentStatus('processing'),
+  'payment_intent.requires_action': paymentIntentStatus('requires_action'),
+  'payment_intent.succeeded': paymentIntentStatus('succeeded'),
+  'payment_intent.payment_failed': paymentIntentStatus('failed'),
+  'payment_intent.canceled': paymentIntentStatus('canceled'),
+
+  // Refunds made from the admin panel or the Stripe dashboard
+  'charge.refunded': async (event) => {
+    const charge = event.data.object;
+    if (!charge.payment_intent) {
+      return;
+    }
+    await recordRefundedAmount(charge.payment_intent, charge.amount_refunded, {
+      occurredAt: event.created,
+    });
+  },
+
+  'charge.dispute.created': async (event) => {
+    const dispute = event.data.object;
+    await transitionDonation(dispute.payment_intent, 'disputed', { occurredAt: event.created });
+  },
+
+  'charge.dispute.closed': async (event) => {
+    const dispute = event.data.object;
+    const status = DISPUTE_CLOSED_STATUSES[dispute.status];
+    if (!status) {
+      console.warn(`Unhandled dispute status ${dispute.status} for dispute ${dispute.id}`);
+      return;
+    }
+    const { donation } = await transitionDonation(dispute.payment_intent, status, {
+      occurredAt: event.created,
+    });
+    await afterDonationUpdate(donation);
+  },
+
+  // The dispute is still open; nothing changes on the donation, but the
+  // event is kept in the log.
+  'charge.dispute.updated': async () => {},
+  'charge.dispute.funds_withdrawn': async () => {},
+  'charge.dispute.funds_reinstated': async () => {},
+
+  // Subscription invoices: the first payment and every monthly renewal
+  'invoice.paid': invoiceStatus('succeeded'),
+  'invoice.payment_failed': invoiceStatus('failed'),
+
+  'customer.subscription.updated': (event) => syncSubscriptionStatus(event.data.object),
+  'customer.subscription.deleted': (event) => syncSubscriptionStatus(event.data.object),
+};
+
+// Claim a stored event for processing. Only one caller can move an event out
+// of "received"/"failed" (or out of a stale "processing"), so concurrent
+// deliveries of the same event are not processed twice.
+async function claimEvent(id) {
+  const now = Math.floor(Date.now() / 1000);
+  const result = await dbRun(
+    `UPDATE webhook_events SET status = 'processing', attempts = attempts + 1, claimed_at = ?
+     WHERE id = ? AND (status IN ('received', 'failed')
+       OR (status = 'processing' AND COALESCE(claimed_at, 0) <= ?))`,
+    [now, id, now - WEBHOOK_PROCESSING_TIMEOUT_SECONDS]
+  );
+  return result.changes === 1;
+}
+
+// Run the handler for a claimed event and record the outcome.
+async function processEvent(event) {
+  const handler = EVENT_HANDLERS[event.type];
+  try {
+    if (handler) {
+      await handler(event);
+    }
+    await dbRun(
+      `UPDATE webhook_events SET status = ?, error = NULL, processed_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [handler ? 'processed' : 'ignored', event.id]
+    );
+    return { status: handler ? 'processed' : 'ignored' };
+  } catch (err) {
+    console.error(`Error processing webhook event ${event.id} (${event.type}):`, err);
+    await dbRun(`UPDATE webhook_events SET status = 'failed', error = ? WHERE id = ?`, [
+      err.message,
+      event.id,
+    ]);
+    return { status: 'failed', error: err.message };
+  }
+}
+
+// Store and process an incoming event.
+// Resolves to { status, duplicate } where status is the event's status after
+// this call.
+async function handleWebhookEvent(event) {
+  await dbRun(
+    `INSERT OR IGNORE INTO webhook_events (id, type, payload, status, event_created)
+     VALUES (?, ?, ?, 'received', ?)`,
+    [event.id, event.type, JSON.stringify(event), event.created || null]
+  );
+
+  if (!(await claimEvent(event.id))) {
+    const stored = await dbGet(`SELECT status FROM webhook_events WHERE id = ?`, [event.id]);
+    return { status: stored.status, duplicate: true };
+  }
+
+  const result = await processEvent(event);
+  return { ...result, duplicate: false };
+}
+
+// Process a stored event again. Only failed events, and events stuck in
+// "processing" past the timeout, can be replayed.
+// Resolves to null if there is no such event.
+async function replayWebhookEvent(id) {
+  const stored = await dbGet(`SELECT * FROM webhook_events WHERE id = ?`, [id]);
+  if (!stored) {
+    return null;
+  }
+  if (!(await claimEvent(id))) {
+    return { status: stored.status, replayed: false };
+  }
+  const result = await processEvent(JSON.parse(stored.payload));
+  return { ...result, replayed: true };
+}
+
+// List stored events, newest first. Payloads are left out.
+function listWebhookEvents({ status, limit = 100 } = {}) {
+  const params = [];
+  let where = '';
+  if (status) {
+    where = 'WHERE status = ?';
+    params.push(status);
+  }
+  params.push(limit);
+  return dbAll(
+    `SELECT id, type, status, error, attempts, event_created, received_at, processed_at
+     FROM webhook_events ${where}
+     ORDER BY received_at DESC
+     LIMIT ?`,
+    params
+  );
+}
+
+module.exports = {
+  EVENT_HANDLERS,
+  afterDonationUpdate,
+  handleWebhookEvent,
+  replayWebhookEvent,
+  listWebhookEvents,
+};
@@ -0,0 +1,162 @@
+// migrations/001_initial_schema.js
+//
+// The schema as it was before versioned migrations. Databases created by
+// earlier versions of the server already have some or all of it, so every
+// step checks first: on those databases this only adds what is missing,
+// and the data is left as it is.
+
+async function up(db) {
+  await db.run(`CREATE TABLE IF NOT EXISTS donations (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    donation_amount INTEGER,
+    email TEXT,
+    first_name TEXT,
+    last_name TEXT,
+    card_name TEXT,
+    country TEXT,
+    postal_code TEXT,
+    payment_intent_id TEXT,
+    payment_intent_status TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`);
+
+  await db.run(`CREATE TABLE IF NOT EXISTS admin_users (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    username TEXT UNIQUE,
+    password TEXT
+  )`);
+
+  await db.run(`CREATE TABLE IF NOT EXISTS recurring_donations (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    donation_amount INTEGER,
+    currency TEXT DEFAULT 'usd',
+    email TEXT,
+    first_name TEXT,
+    last_name TEXT,
+    card_name TEXT,
+    country TEXT,
+    postal_code TEXT,
+    stripe_customer_id TEXT,
+    stripe_subscription_id TEXT UNIQUE,
+    status TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    canceled_at DATETIME
+  )`);
+
+  // Stripe webhook events, keyed by event id so redeliveries are recognised.
+  // status: received | processing | processed | ignored | failed
+  await db.run(`CREATE TABLE IF NOT EXISTS webhook_events (
+    id TEXT PRIMARY KEY,
+    type TEXT,
+    payload TEXT,
+    status TEXT,
+    error TEXT,
+    attempts INTEGER DEFAULT 0,
+    event_created INTEGER,
+    received_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    processed_at DATETIME
+  )`);
+
+  // Receipts issued for succeeded donations; `sequence` is the gap-free
+  // counter behind receipt_number.
+  await db.run(`CREATE TABLE IF NOT EXISTS receipts (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    donation_id INTEGER NOT NULL UNIQUE,
+    sequence INTEGER NOT NULL UNIQUE,
+    receipt_number TEXT NOT NULL UNIQUE,
+    amount INTEGER,
+    currency TEXT,
+    donor_name TEXT,
+    email TEXT,
+    issued_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`);
+
+  // Every email the server tried to send (see lib/mailer.js)
+  await db.run(`CREATE TABLE IF NOT EXISTS sent_emails (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    template TEXT,
+    recipient TEXT,
+    subject TEXT,
+    donation_id INTEGER,
+    status TEXT,
+    error TEXT,
+    message_id TEXT,
+    transport TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`);
+
+  // Panel-wide settings changed by owners (see lib/settings.js)
+  await db.run(`CREATE TABLE IF NOT EXISTS settings (
+    key TEXT PRIMARY KEY,
+    value TEXT,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`);
+
+  // Single-use two-factor recovery codes, stored hashed (see lib/two-factor.js)
+  await db.run(`CREATE TABLE IF NOT EXISTS admin_recovery_codes (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    code_hash TEXT NOT NULL,
+    used_at DATETIME
+  )`);
+
+  // Failed admin authentication attempts per IP and username (see lib/login-throttle.js)
+  await db.run(`CREATE TABLE IF NOT EXISTS login_attempts (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    scope TEXT NOT NULL,
+    key TEXT NOT NULL,
+    failures INTEGER NOT NULL DEFAULT 0,
+    first_failure_at INTEGER,
+    last_failure_at INTEGER,
+    locked_until INTEGER,
+    UNIQUE (scope, key)
+  )`);
+
+  // Append-only log of admin actions (see lib/audit-log.js)
+  await db.run(`CREATE TABLE IF NOT EXISTS audit_log (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    actor_id INTEGER,
+    actor_username TEXT,
+    action TEXT NOT NULL,
+    target_type TEXT,
+    target_id TEXT,
+    details TEXT,
+    ip TEXT,
+    user_agent TEXT
+  )`);
+  await db.run(`CREATE TRIGGER IF NOT EXISTS audit_log_no_update BEFORE UPDATE ON audit_log
+    BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END`);
+  await db.run(`CREATE TRIGGER IF NOT EXISTS audit_log_no_delete BEFORE DELETE ON audit_log
+    BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END`);
+
+  // Renewal invoices of a recurring donation are recorded as regular donations.
+  await db.addColumnIfMissing('donations', 'recurring_donation_id', 'INTEGER');
+  await db.addColumnIfMissing('donations', 'stripe_invoice_id', 'TEXT');
+  // Unix time of the Stripe event behind the current status (see lib/donation-status.js)
+  await db.addColumnIfMissing('donations', 'status_updated_at', 'INTEGER');
+  // Refunded total in cents and the reason given for the latest refund (see lib/refunds.js)
+  await db.addColumnIfMissing('donations', 'refunded_amount', 'INTEGER DEFAULT 0');
+  await db.addColumnIfMissing('donations', 'refund_reason', 'TEXT');
+  // Secret token the donor uses to fetch their receipt (see lib/receipts.js)
+  await db.addColumnIfMissing('donations', 'receipt_token', 'TEXT');
+  await db.run(
+    `CREATE UNIQUE INDEX IF NOT EXISTS idx_donations_receipt_token ON donations (receipt_token)`
+  );
+  // Unix time the reconciliation job last fetched the PaymentIntent (see lib/reconcile.js)
+  await db.addColumnIfMissing('donations', 'last_checked_at', 'INTEGER');
+  // Admin roles (see lib/admin-users.js). Accounts created before roles
+  // existed could do everything, so they become owners.
+  await db.addColumnIfMissing('admin_users', 'role', "TEXT NOT NULL DEFAULT 'owner'");
+  await db.addColumnIfMissing('admin_users', 'disabled', 'INTEGER NOT NULL DEFAULT 0');
+  // Bumped to sign a user out of existing sessions, e.g. after a password reset
+  await db.addColumnIfMissing('admin_users', 'session_version', 'INTEGER NOT NULL DEFAULT 0');
+  await db.addColumnIfMissing('admin_users', 'created_at', 'DATETIME');
+  // TOTP two-factor authentication (see lib/two-factor.js). The secret is
+  // encrypted; totp_last_step stops a code from being used twice.
+  await db.addColumnIfMissing('admin_users', 'totp_secret', 'TEXT');
+  await db.addColumnIfMissing('admin_users', 'totp_enabled', 'INTEGER NOT NULL DEFAULT 0');
+  await db.addColumnIfMissing('admin_users', 'totp_last_step', 'INTEGER');
+}
+
+module.exports = { up };
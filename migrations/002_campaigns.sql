@@ -0,0 +1,21 @@
+-- Fundraising campaigns (see lib/campaigns.js). Amounts are in cents;
+-- suggested_amounts is a JSON array.
+CREATE TABLE campaigns (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  slug TEXT NOT NULL UNIQUE,
+  title TEXT NOT NULL,
+  description TEXT,
+  goal_amount INTEGER,
+  currency TEXT NOT NULL DEFAULT 'usd',
+  starts_at DATE,
+  ends_at DATE,
+  suggested_amounts TEXT NOT NULL DEFAULT '[]',
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Monthly gifts keep the campaign they were started from, and so do the
+-- donation rows of their renewals.
+ALTER TABLE donations ADD COLUMN campaign_id INTEGER REFERENCES campaigns (id);
+ALTER TABLE recurring_donations ADD COLUMN campaign_id INTEGER REFERENCES campaigns (id);
+CREATE INDEX idx_donations_campaign_id ON donations (campaign_id);
@@ -0,0 +1,3 @@
+-- Currency of each donation (see lib/currency.js). Every donation so far
+-- was taken in US dollars.
+ALTER TABLE donations ADD COLUMN currency TEXT NOT NULL DEFAULT 'usd';
@@ -0,0 +1,5 @@
+-- Per-campaign donation form settings (see lib/donation-form.js), in minor
+-- units of the campaign's currency. NULL means the global setting applies.
+ALTER TABLE campaigns ADD COLUMN default_amount INTEGER;
+ALTER TABLE campaigns ADD COLUMN min_amount INTEGER;
+ALTER TABLE campaigns ADD COLUMN max_amount INTEGER;
@@ -0,0 +1,5 @@
+-- Checkout key sent by the donation form (see lib/checkout.js). Attempts
+-- that were replaced are canceled; only one live donation may use a key.
+ALTER TABLE donations ADD COLUMN checkout_key TEXT;
+CREATE UNIQUE INDEX idx_donations_checkout_key ON donations (checkout_key)
+  WHERE checkout_key IS NOT NULL AND payment_intent_status != 'canceled';
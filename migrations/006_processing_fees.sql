@@ -0,0 +1,13 @@
+-- Processing fees covered by donors (see lib/processing-fees.js).
+-- donation_amount stays the amount charged; base_amount is the gift itself
+-- and fee_amount what the donor added to cover the fee. Earlier gifts had
+-- no fee added.
+ALTER TABLE donations ADD COLUMN base_amount INTEGER;
+ALTER TABLE donations ADD COLUMN fee_amount INTEGER NOT NULL DEFAULT 0;
+UPDATE donations SET base_amount = donation_amount;
+
+ALTER TABLE recurring_donations ADD COLUMN base_amount INTEGER;
+ALTER TABLE recurring_donations ADD COLUMN fee_amount INTEGER NOT NULL DEFAULT 0;
+UPDATE recurring_donations SET base_amount = donation_amount;
+
+ALTER TABLE receipts ADD COLUMN fee_amount INTEGER NOT NULL DEFAULT 0;
@@ -0,0 +1,39 @@
+-- Donor records (see lib/donors.js). Donations and monthly gifts are linked
+-- to the donor with the same normalized (trimmed, lowercase) email. A donor
+-- merged into another keeps its row and email, so later gifts from that
+-- email go to the donor it was merged into.
+CREATE TABLE donors (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  email TEXT NOT NULL UNIQUE,
+  first_name TEXT,
+  last_name TEXT,
+  country TEXT,
+  postal_code TEXT,
+  merged_into_id INTEGER REFERENCES donors (id),
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER TABLE donations ADD COLUMN donor_id INTEGER REFERENCES donors (id);
+ALTER TABLE recurring_donations ADD COLUMN donor_id INTEGER REFERENCES donors (id);
+CREATE INDEX idx_donations_donor_id ON donations (donor_id);
+
+-- One donor per email of the existing donations, with the details of the
+-- latest one
+INSERT INTO donors (email, first_name, last_name, country, postal_code, created_at)
+SELECT email, first_name, last_name, country, postal_code, first_created_at
+FROM (
+  SELECT LOWER(TRIM(email)) AS email, first_name, last_name, country, postal_code,
+         MIN(created_at) OVER (PARTITION BY LOWER(TRIM(email))) AS first_created_at,
+         ROW_NUMBER() OVER (
+           PARTITION BY LOWER(TRIM(email)) ORDER BY created_at DESC, id DESC
+         ) AS position
+  FROM donations
+  WHERE email IS NOT NULL AND TRIM(email) != ''
+)
+WHERE position = 1;
+
+UPDATE donations
+SET donor_id = (SELECT id FROM donors WHERE donors.email = LOWER(TRIM(donations.email)));
+UPDATE recurring_donations
+SET donor_id = (SELECT id FROM donors WHERE donors.email = LOWER(TRIM(recurring_donations.email)));
@@ -0,0 +1,33 @@
+-- Outbound webhooks (see lib/outbound-webhooks.js): endpoints of other
+-- systems that are told about donation events, and the queue and log of
+-- deliveries to them. event_types is a JSON array. Delivery status:
+-- pending | sending | delivered | failed (no retries left).
+CREATE TABLE webhook_endpoints (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  url TEXT NOT NULL,
+  description TEXT,
+  secret TEXT NOT NULL,
+  event_types TEXT NOT NULL DEFAULT '[]',
+  active INTEGER NOT NULL DEFAULT 1,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE webhook_deliveries (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  endpoint_id INTEGER NOT NULL REFERENCES webhook_endpoints (id),
+  event_id TEXT NOT NULL,
+  event_type TEXT NOT NULL,
+  payload TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending',
+  attempts INTEGER NOT NULL DEFAULT 0,
+  next_attempt_at INTEGER,
+  last_attempt_at INTEGER,
+  response_status INTEGER,
+  response_body TEXT,
+  error TEXT,
+  resent_from_id INTEGER REFERENCES webhook_deliveries (id),
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+CREATE INDEX idx_webhook_deliveries_due ON webhook_deliveries (status, next_attempt_at);
+CREATE INDEX idx_webhook_deliveries_endpoint ON webhook_deliveries (endpoint_id);
@@ -0,0 +1,3 @@
+-- When an event was claimed for processing (unix seconds), so an event left
+-- "processing" by a crash can be claimed again (see lib/webhooks.js).
+ALTER TABLE webhook_events ADD COLUMN claimed_at INTEGER;
@@ -7,6 +7,16 @@
   // We'll declare this variable here, and assign its value at the bottom.
   let CREATE_PAYMENT_INTENT_URL;
 
+  // Campaign the donation is for, from the page URL (index.html?campaign=<slug>)
+  const campaignSlug = new URLSearchParams(window.location.search).get('campaign');
+
+  // Identifies this checkout to the server. Every attempt sends it, so a
+  // retry (after a network error or a declined card) reuses the same
+  // PaymentIntent instead of creating another donation.
+  const checkoutKey = Array.from(window.crypto.getRandomValues(new Uint8Array(16)))
+    .map(byte => byte.toString(16).padStart(2, '0'))
+    .join('');
+
   // Ensure required elements exist
   const donateButton = document.getElementById('donate-now');
   const globalErrorDiv = document.getElementById('donation-form-error');
@@ -20,12 +30,12 @@
     return;
   }
 
-  // Listen for donation selection custom event
+  // Listen for donation selection custom event. The amount is in units of
+  // the selected currency and may have decimals ("Other amount").
   document.addEventListener('donationSelected', function(e) {
     try {
-      selectedDonation = parseInt(e.detail.amount, 10);
+      selectedDonation = Number(e.detail.amount);
       if (isNaN(selectedDonation) || selectedDonation <= 0) {
-        console.warn('Invalid donation amount selected:', e.detail.amount);
         selectedDonation = 0;
       }
     } catch (err) {
@@ -56,6 +66,40 @@
     globalErrorSpan.textContent = '';
   }
 
+  // Form field and error element for each field the server validates
+  // (see lib/donation-validation.js)
+  const FIELD_ELEMENTS = {
+    donationAmount: ['other-amount', 'other-amount-error'],
+    email: ['email-address', 'email-error'],
+    firstName: ['first-name', 'first-name-error'],
+    lastName: ['last-name', 'last-name-error'],
+    cardName: ['card-name', 'card-name-error'],
+    country: ['location-country', 'country-error'],
+    postalCode: ['location-postal-code', 'postal-code-error']
+  };
+
+  // Show the server's errors below their fields. Returns the messages of
+  // fields that have no place on the form (e.g. currency).
+  function showFieldErrors(fields) {
+    const unplaced = [];
+    Object.keys(fields).forEach(field => {
+      const ids = FIELD_ELEMENTS[field];
+      const inputEl = ids && document.getElementById(ids[0]);
+      const errorDiv = ids && document.getElementById(ids[1]);
+      if (!inputEl || !errorDiv) {
+        unplaced.push(fields[field]);
+        return;
+      }
+      errorDiv.classList.add('active');
+      errorDiv.querySelector('span').textContent = fields[field];
+      const wrapper = inputEl.closest('.hrt-text-field-wrapper, .hrt-select-field-wrapper');
+      if (wrapper) {
+        wrapper.classList.add('field-error');
+      }
+    });
+    return unplaced;
+  }
+
   // Switch donate button to spinner (loading)
   function showLoadingState() {
     donateButton.disabled = true;
@@ -71,6 +115,78 @@
     donateButton.textContent = 'Donate now';
   }
 
+  // Payment providers the server may use (see lib/payment-provider.js). It
+  // names its provider in GET /donation-config and in the response of
+  // /create-payment-intent. confirmPayment resolves to the status of the
+  // PaymentIntent, or throws with a message for the donor.
+  const paymentProviders = {
+    // Stripe Elements, mounted by index.html
+    stripe: {
+      setUp() {},
+      async confirmPayment(clientSecret, billingDetails) {
+        if (!window.stripe || !window.cardNumberElement) {
+          throw new Error('Payment processing components are not available.');
+        }
+        const { paymentIntent, error } = await window.stripe.confirmCardPayment(clientSecret, {
+          payment_method: {
+            card: window.cardNumberElement,
+            billing_details: billingDetails
+          }
+        });
+        if (error) {
+          throw new Error(error.message);
+        }
+        return paymentIntent && paymentIntent.status;
+      }
+    },
+
+    // Offline mock provider: the donor picks a test card instead of
+    // entering one, and the 3D Secure check is a confirmation dialog
+    mock: {
+      setUp() {
+        const cardFields = document.querySelector('.credit-card-form-fields_creditCardPaymentGridFields__k8JDb');
+        if (!cardFields || document.getElementById('mock-payment-method')) {
+          return;
+        }
+        cardFields.style.display = 'none';
+        const select = document.createElement('select');
+        select.id = 'mock-payment-method';
+        select.className = 'hrt-select-field-select';
+        [
+          ['pm_card_visa', 'Test card: payment succeeds'],
+          ['pm_card_chargeDeclined', 'Test card: card is declined'],
+          ['pm_card_authenticationRequired', 'Test card: 3D Secure required']
+        ].forEach(([value, label]) => select.add(new Option(label, value)));
+        cardFields.parentNode.insertBefore(select, cardFields);
+      },
+      async confirmPayment(clientSecret) {
+        const paymentMethod = document.getElementById('mock-payment-method').value;
+        let paymentIntent = await postMockPayment('confirm', { clientSecret, paymentMethod });
+        if (paymentIntent.status === 'requires_action') {
+          const approve = window.confirm('Test 3D Secure check: approve this payment?');
+          paymentIntent = await postMockPayment('authenticate', { clientSecret, approve });
+        }
+        if (paymentIntent.last_payment_error) {
+          throw new Error(paymentIntent.last_payment_error.message);
+        }
+        return paymentIntent.status;
+      }
+    }
+  };
+
+  async function postMockPayment(step, body) {
+    const response = await fetch(new URL(`mock-payments/${step}`, CREATE_PAYMENT_INTENT_URL), {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(data.error || `Server responded with status ${response.status}`);
+    }
+    return data.paymentIntent;
+  }
+
   // Create a custom CSS spinner animation if not already added
   if (!document.getElementById('spinner-style')) {
     const style = document.createElement('style');
@@ -91,7 +207,7 @@
 
       // 1) Check if donation amount is selected
       if (selectedDonation <= 0) {
-        showGlobalError('Please select a donation amount first.');
+        showGlobalError('Please select or enter a donation amount first.');
         return;
       }
 
@@ -147,12 +263,24 @@
       const cardName = cardNameEl.value.trim();
       const country = countryEl.value.trim();
       const postalCode = postalCodeEl.value.trim();
+      const currencyEl = document.getElementById('donation-currency');
+      const currency = currencyEl ? currencyEl.value : undefined;
+
+      // One-time gift unless the donor picked "Give monthly"
+      const frequencyEl = document.querySelector('input[name="donation-frequency"]:checked');
+      const frequency = frequencyEl ? frequencyEl.value : 'once';
+
+      // The fee itself is worked out on the server
+      const coverFeeEl = document.getElementById('cover-fee');
+      const coverFee = Boolean(coverFeeEl && coverFeeEl.checked);
 
       // 5) Show loading on the button
       showLoadingState();
 
       // 6) Create PaymentIntent by calling the backend
       let clientSecret;
+      let receiptToken;
+      let provider;
       try {
         const response = await fetch(CREATE_PAYMENT_INTENT_URL, {
           method: 'POST',
@@ -164,10 +292,27 @@
             lastName,
             cardName,
             country,
-            postalCode
+            postalCode,
+            frequency,
+            currency,
+            coverFee,
+            campaign: campaignSlug || undefined,
+            checkoutKey
           })
         });
 
+        // Invalid fields are shown on the form rather than as one error
+        if (response.status === 400) {
+          const data = await response.json().catch(() => ({}));
+          if (data.fields) {
+            hideLoadingState();
+            const unplaced = showFieldErrors(data.fields);
+            showGlobalError(unplaced.length ? unplaced.join(' ') : data.error);
+            return;
+          }
+          throw new Error(data.error || 'The donation could not be submitted.');
+        }
+
         if (!response.ok) {
           const errorText = await response.text();
           throw new Error(`Server responded with status ${response.status}: ${errorText}`);
@@ -178,9 +323,14 @@
           throw new Error(data.error);
         }
         clientSecret = data.clientSecret;
+        receiptToken = data.receiptToken;
+        provider = paymentProviders[data.provider || 'stripe'];
         if (!clientSecret) {
           throw new Error('No client secret returned from server.');
         }
+        if (!provider) {
+          throw new Error(`Unsupported payment provider: ${data.provider}`);
+        }
       } catch (err) {
         hideLoadingState();
         showGlobalError(`Error creating PaymentIntent: ${err.message}`);
@@ -188,45 +338,21 @@
         return;
       }
 
-      // 7) Confirm the card payment with Stripe
-      if (!window.stripe || !window.cardNumberElement) {
-        hideLoadingState();
-        const errorMsg = 'Payment processing components are not available.';
-        showGlobalError(errorMsg);
-        console.error(errorMsg);
-        return;
-      }
-
+      // 7) Confirm the card payment with the server's payment provider
       try {
-        const { paymentIntent, error } = await window.stripe.confirmCardPayment(clientSecret, {
-          payment_method: {
-            card: window.cardNumberElement,
-            billing_details: {
-              name: cardName,
-              email: email,
-              address: {
-                country: country
-              }
-            }
+        const status = await provider.confirmPayment(clientSecret, {
+          name: cardName,
+          email: email,
+          address: {
+            country: country
           }
         });
 
-        if (error) {
-          throw new Error(error.message);
-        }
-
-        if (paymentIntent && paymentIntent.status === 'succeeded') {
-          // 8) Payment successful – create a cookie with donation data
-          const receiptData = {
-            amount: selectedDonation,
-            email,
-            name: `${firstName} ${lastName}`,
-            date: new Date().toString() // Local date/time
-          };
-          document.cookie = `donationReceipt=${encodeURIComponent(JSON.stringify(receiptData))}; path=/; max-age=3600`;
-          
-          // 9) Redirect to thanks.html
-          window.location.href = 'thanks.html';
+        if (status === 'succeeded') {
+          // 8) Payment successful – the server issues the receipt once the
+          // provider's webhook confirms the payment; thanks.html fetches it
+          // with this token.
+          window.location.href = `thanks.html?receipt=${encodeURIComponent(receiptToken)}`;
         } else {
           throw new Error('Payment failed or was not completed.');
         }
@@ -243,6 +369,134 @@
     }
   });
 
+  // Suggested amounts, default amount and limits from the server, for the
+  // campaign and the selected currency. Amounts are in minor units.
+  async function loadDonationConfig() {
+    const params = new URLSearchParams();
+    if (campaignSlug) {
+      params.set('campaign', campaignSlug);
+    }
+    const currencyEl = document.getElementById('donation-currency');
+    if (currencyEl && currencyEl.value) {
+      params.set('currency', currencyEl.value);
+    }
+    try {
+      const url = new URL(`donation-config?${params}`, CREATE_PAYMENT_INTENT_URL);
+      const response = await fetch(url);
+      if (!response.ok) {
+        throw new Error(`Server responded with status ${response.status}`);
+      }
+      renderDonationConfig(await response.json());
+    } catch (err) {
+      // The amounts in the page stay as they are
+      console.error('Error loading donation settings:', err);
+    }
+  }
+
+  function renderDonationConfig(config) {
+    const provider = paymentProviders[config.paymentProvider];
+    if (provider) {
+      provider.setUp();
+    }
+
+    const list = document.querySelector('ul[data-federalid="suggested-donations-list"]');
+    const otherAmountEl = document.getElementById('other-amount');
+    const itemTemplate = list && list.querySelector('li');
+    if (!itemTemplate || !otherAmountEl) {
+      return;
+    }
+    const toUnits = amount => amount / Math.pow(10, config.currencyDecimals);
+    const format = value => new Intl.NumberFormat(undefined, {
+      style: 'currency',
+      currency: config.currency.toUpperCase(),
+      minimumFractionDigits: Number.isInteger(value) ? 0 : config.currencyDecimals,
+      maximumFractionDigits: config.currencyDecimals
+    }).format(value);
+
+    // Rebuild the buttons from the first one; the default gets the "Suggested" tag
+    const tag = list.querySelector('[aria-label="Suggested"]');
+    itemTemplate.querySelectorAll('[aria-label="Suggested"]').forEach(el => el.remove());
+    list.innerHTML = '';
+    let defaultButton = null;
+    config.suggestedAmounts.forEach(amount => {
+      const item = itemTemplate.cloneNode(true);
+      const button = item.querySelector('button');
+      const value = toUnits(amount);
+      button.value = String(value);
+      button.dataset.federalid = `suggested-donation-list-item-${value}`;
+      button.setAttribute('aria-pressed', 'false');
+      button.textContent = format(value);
+      if (amount === config.defaultAmount) {
+        defaultButton = button;
+        if (tag) {
+          button.appendChild(tag.cloneNode(true));
+        }
+      }
+      list.appendChild(item);
+    });
+
+    otherAmountEl.min = String(toUnits(config.minAmount));
+    otherAmountEl.max = String(toUnits(config.maxAmount));
+    otherAmountEl.step = String(1 / Math.pow(10, config.currencyDecimals));
+
+    // The summary estimates the processing fee from the same schedule
+    document.dispatchEvent(new CustomEvent('donationConfigLoaded', { detail: config }));
+
+    // Keep an amount the donor typed; otherwise select the default
+    if (otherAmountEl.value) {
+      otherAmountEl.dispatchEvent(new Event('input'));
+    } else if (defaultButton) {
+      defaultButton.click();
+    }
+  }
+
+  // Show the campaign and its progress towards the goal above the form
+  async function loadCampaignProgress() {
+    const container = document.getElementById('campaign-progress');
+    if (!campaignSlug || !container) {
+      return;
+    }
+    try {
+      // Resolved next to the PaymentIntent endpoint, on the same server
+      const url = new URL(`campaigns/${encodeURIComponent(campaignSlug)}`, CREATE_PAYMENT_INTENT_URL);
+      const response = await fetch(url);
+      if (!response.ok) {
+        throw new Error(`Server responded with status ${response.status}`);
+      }
+      const data = await response.json();
+      // Amounts are in minor units of the campaign's currency
+      const decimals = data.campaign.currencyDecimals;
+      const format = amount => new Intl.NumberFormat(undefined, {
+        style: 'currency',
+        currency: data.campaign.currency.toUpperCase(),
+        minimumFractionDigits: decimals,
+        maximumFractionDigits: decimals
+      }).format(amount / Math.pow(10, decimals));
+
+      // Campaigns take donations in their own currency only
+      const currencySelect = document.getElementById('donation-currency');
+      if (currencySelect) {
+        currencySelect.value = data.campaign.currency;
+        currencySelect.disabled = true;
+        currencySelect.dispatchEvent(new Event('change'));
+      }
+
+      let text = `${data.campaign.title}: ${format(data.raisedAmount)} raised`;
+      if (data.goalAmount) {
+        text += ` of ${format(data.goalAmount)}`;
+      }
+      text += ` from ${data.donorCount} ${data.donorCount === 1 ? 'donor' : 'donors'}`;
+      if (!data.campaign.open) {
+        text += ' (this campaign is not accepting donations)';
+      }
+      document.getElementById('campaign-progress-text').textContent = text;
+      document.getElementById('campaign-progress-bar').style.width = `${Math.min(data.percent || 0, 100)}%`;
+      container.hidden = false;
+    } catch (err) {
+      console.error('Error loading campaign:', err);
+    }
+  }
+
   // ---------------------------------------------
   // ** PaymentIntent creation endpoint **
   // If you want to change the endpoint that receives
@@ -250,5 +504,14 @@
   // ---------------------------------------------
   CREATE_PAYMENT_INTENT_URL = 'https://testrip-production.up.railway.app/create-payment-intent';
 
+  loadDonationConfig();
+  loadCampaignProgress();
+
+  // Amounts and limits depend on the currency (unless a campaign fixes it)
+  const currencySelectEl = document.getElementById('donation-currency');
+  if (currencySelectEl && !campaignSlug) {
+    currencySelectEl.addEventListener('change', loadDonationConfig);
+  }
+
 })();
 
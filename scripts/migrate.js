@@ -0,0 +1,44 @@
+// scripts/migrate.js
+//
+// Apply or inspect schema migrations (see lib/migrations.js). Run it from
+// the directory that holds database.sqlite, like the server.
+//
+//   npm run migrate                  apply pending migrations
+//   npm run migrate -- --dry-run     show what would be applied, change nothing
+//   npm run migrate -- status        list migrations and when they were applied
+
+const { db } = require('../lib/db');
+const { migrate, migrationStatus, migrationLabel } = require('../lib/migrations');
+
+async function main(args) {
+  const command = args.find((arg) => !arg.startsWith('--')) || 'up';
+  if (command === 'status') {
+    const migrations = await migrationStatus();
+    migrations.forEach((migration) => {
+      const state = migration.missing
+        ? `applied ${migration.appliedAt}, file missing`
+        : migration.appliedAt
+          ? `applied ${migration.appliedAt}`
+          : 'pending';
+      console.log(`${migrationLabel(migration)}  ${state}`);
+    });
+    return;
+  }
+  if (command !== 'up') {
+    throw new Error(`Unknown command "${command}" (use up or status).`);
+  }
+  const dryRun = args.includes('--dry-run');
+  const applied = await migrate({ dryRun });
+  if (!applied.length) {
+    console.log('The database is up to date.');
+  } else if (dryRun) {
+    console.log(`Dry run: ${applied.length} migration(s) would be applied. Nothing was changed.`);
+  }
+}
+
+main(process.argv.slice(2))
+  .catch((err) => {
+    console.error(err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => db.close());
@@ -0,0 +1,39 @@
+// scripts/tax-statements.js
+//
+// Write the year-end giving statements (see lib/tax-statements.js) of every
+// donor who gave in a tax year, as PDF and HTML files. Run it from the
+// directory that holds database.sqlite, like the server, once the database
+// is up to date (npm run migrate).
+//
+//   npm run tax-statements -- 2024                     last year's statements
+//   npm run tax-statements -- 2024 --out=statements    into ./statements/2024
+//   npm run tax-statements -- 2024 --donor=12,40       only these donors
+
+const path = require('path');
+const { db } = require('../lib/db');
+const { parseTaxYear, writeTaxStatements } = require('../lib/tax-statements');
+
+function option(args, name) {
+  const arg = args.find((value) => value.startsWith(`--${name}=`));
+  return arg ? arg.slice(name.length + 3) : null;
+}
+
+async function main(args) {
+  const yearArg = args.find((arg) => !arg.startsWith('--'));
+  if (!yearArg) {
+    throw new Error('Usage: npm run tax-statements -- <year> [--out=dir] [--donor=id,id]');
+  }
+  const year = parseTaxYear(yearArg);
+  const dir = path.resolve(option(args, 'out') || 'tax-statements', String(year));
+  const donorOption = option(args, 'donor');
+  const donorIds = donorOption ? donorOption.split(',').map((id) => Number(id.trim())) : undefined;
+  const written = await writeTaxStatements(year, dir, { donorIds });
+  console.log(`${written} statement(s) for ${year} written to ${dir}`);
+}
+
+main(process.argv.slice(2))
+  .catch((err) => {
+    console.error(err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => db.close());
@@ -2,23 +2,124 @@
 
 const express = require('express');
 const path = require('path');
+const crypto = require('crypto');
 const session = require('express-session');
-const sqlite3 = require('sqlite3').verbose();
-const bcrypt = require('bcrypt');
-const stripe = require('stripe');
 const morgan = require('morgan');
-const { promisify } = require('util');
 const bodyParser = require('body-parser');
 const cors = require('cors'); // <-- CORS package still used
 require('dotenv').config();
 
-const STRIPE_SECRET_KEY = process.env.STRIPE_SECRET_KEY;
-const STRIPE_WEBHOOK_SECRET = process.env.STRIPE_WEBHOOK_SECRET || null; // set this in production!
-const stripeInstance = stripe(STRIPE_SECRET_KEY);
+const { dbAll, dbGet, dbRun } = require('./lib/db');
+const { PAYMENT_PROVIDER, PaymentProviderError, getPaymentProvider } = require('./lib/payment-provider');
+const { cancelRecurringDonation } = require('./lib/recurring');
+const { CheckoutError, startCheckout } = require('./lib/checkout');
+const {
+  findReceiptByToken,
+  findReceiptByDonationId,
+  findReceiptRowByToken,
+  verifyReceiptPdfLink,
+} = require('./lib/receipts');
+const { renderReceiptPdf } = require('./lib/receipt-pdf');
+const { RefundError, refundDonation } = require('./lib/refunds');
+const {
+  QueryError,
+  buildDonationPageQuery,
+  nextCursorFor,
+} = require('./lib/donation-query');
+const { parseExportOptions, writeDonationExport } = require('./lib/donation-export');
+const { getDonationStats } = require('./lib/donation-stats');
+const {
+  handleWebhookEvent,
+  replayWebhookEvent,
+  listWebhookEvents,
+} = require('./lib/webhooks');
+const { startReconciliation } = require('./lib/reconcile');
+const {
+  ROLES,
+  AdminUserError,
+  hasRole,
+  listAdminUsers,
+  createAdminUser,
+  updateAdminUser,
+  resetAdminPassword,
+  deleteAdminUser,
+  verifyCredentials,
+  sessionUser,
+  refreshSessionUser,
+} = require('./lib/admin-users');
+const {
+  beginEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  removeTwoFactor,
+  twoFactorStatus,
+} = require('./lib/two-factor');
+const { getSettings, getSetting, setSetting } = require('./lib/settings');
+const {
+  recordLoginFailure,
+  recordLoginSuccess,
+  releaseLoginAttempt,
+  listLoginLocks,
+  clearLoginLock,
+  throttleLogin,
+} = require('./lib/login-throttle');
+const { recordAudit, listAuditLog } = require('./lib/audit-log');
+const { migrate, migrationStatus } = require('./lib/migrations');
+const { minorUnits } = require('./lib/currency');
+const {
+  CampaignError,
+  listCampaigns,
+  findCampaignBySlug,
+  createCampaign,
+  updateCampaign,
+  isCampaignOpen,
+  campaignProgress,
+} = require('./lib/campaigns');
+const {
+  DonationFormError,
+  resolveDonationCurrency,
+  donationFormConfig,
+} = require('./lib/donation-form');
+const { ValidationError, validateDonation } = require('./lib/donation-validation');
+const { DonorError, listDonors, getDonorDetail, mergeDonors } = require('./lib/donors');
+const {
+  parseTaxYear,
+  getTaxStatement,
+  renderTaxStatementHtml,
+  renderTaxStatementPdf,
+  statementFileName,
+} = require('./lib/tax-statements');
+const {
+  OUTBOUND_EVENT_TYPES,
+  WebhookEndpointError,
+  listWebhookEndpoints,
+  createWebhookEndpoint,
+  updateWebhookEndpoint,
+  deleteWebhookEndpoint,
+  sendTestEvent,
+  listWebhookDeliveries,
+  resendWebhookDelivery,
+  startOutboundWebhooks,
+} = require('./lib/outbound-webhooks');
+
+// Fails right away for an unknown PAYMENT_PROVIDER, or for Stripe without
+// STRIPE_SECRET_KEY (see lib/stripe.js)
+getPaymentProvider();
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 const SESSION_SECRET = process.env.SESSION_SECRET || 'somesecret';
+// One-time token needed to create the first admin account
+const ADMIN_SETUP_TOKEN = process.env.ADMIN_SETUP_TOKEN || null;
+
+// Behind a reverse proxy (e.g. Railway, Heroku) set TRUST_PROXY to the
+// number of proxies, so req.ip is the client's address. Login throttling
+// (lib/login-throttle.js) counts failures per IP.
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
 
 // Allow ANY domain for CORS (not secure, just temporary as requested)
 app.use(cors());
@@ -27,7 +128,14 @@ app.use(cors());
 app.use(morgan('combined'));
 
 // Configure express to parse JSON and URL-encoded data.
-app.use(express.json());
+// The Stripe webhook needs the raw body to verify its signature, so JSON
+// parsing is skipped for that route (it uses bodyParser.raw below).
+app.use((req, res, next) => {
+  if (req.originalUrl === '/webhook') {
+    return next();
+  }
+  express.json()(req, res, next);
+});
 app.use(express.urlencoded({ extended: true }));
 
 // Session middleware with 7-day expiration.
@@ -49,251 +157,521 @@ app.use(
 // Serve static files from the public directory
 app.use(express.static(path.join(__dirname, 'public')));
 
-// Set up SQLite database
-const db = new sqlite3.Database('./database.sqlite', (err) => {
-  if (err) {
-    console.error('Error opening database:', err);
-    process.exit(1); // exit if we cannot connect to the database
-  } else {
-    console.log('Connected to SQLite database.');
-  }
-});
-
-// Promisify some of the db methods for convenience
-const dbAll = promisify(db.all).bind(db);
-const dbGet = promisify(db.get).bind(db);
-const dbRun = (...args) => {
-  return new Promise((resolve, reject) => {
-    db.run(...args, function (err) {
-      if (err) {
-        return reject(err);
-      }
-      resolve(this);
-    });
-  });
-};
-
-// Create tables if they don't exist
-db.serialize(() => {
-  db.run(`CREATE TABLE IF NOT EXISTS donations (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    donation_amount INTEGER,
-    email TEXT,
-    first_name TEXT,
-    last_name TEXT,
-    card_name TEXT,
-    country TEXT,
-    postal_code TEXT,
-    payment_intent_id TEXT,
-    payment_intent_status TEXT,
-    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-  )`);
-
-  db.run(`CREATE TABLE IF NOT EXISTS admin_users (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    username TEXT UNIQUE,
-    password TEXT
-  )`);
-});
-
 // -------------------------
 // API Endpoints
 // -------------------------
 
-// Endpoint to create a PaymentIntent and record a donation
+// Endpoint to create a PaymentIntent and record a donation.
+// `campaign` (optional) is the slug of the campaign the donation is for.
+// The currency is the campaign's; otherwise `currency` if the donor picked
+// one, or else the currency of their country (see lib/donation-form.js).
+// `donationAmount` is in units of that currency and must be within the
+// limits GET /donation-config reports. Invalid fields are listed in
+// `fields` of the 400 response (see lib/donation-validation.js).
+// `checkoutKey` is generated by the form once per checkout; retries with the
+// same key get the same PaymentIntent (see lib/checkout.js).
 app.post('/create-payment-intent', async (req, res, next) => {
   try {
-    const {
-      donationAmount,
-      email,
-      firstName,
-      lastName,
-      cardName,
-      country,
-      postalCode,
-    } = req.body;
+    const { campaign: campaignSlug, checkoutKey } = req.body;
 
-    if (!donationAmount || !email) {
-      return res.status(400).json({ error: 'Donation amount and email are required.' });
+    let campaign = null;
+    if (campaignSlug) {
+      campaign = await findCampaignBySlug(campaignSlug);
+      if (!campaign) {
+        return res.status(400).json({ error: 'Unknown campaign.' });
+      }
+      if (!isCampaignOpen(campaign)) {
+        return res.status(400).json({ error: 'This campaign is not accepting donations.' });
+      }
     }
 
-    // Convert donation amount from dollars to cents
-    const amountCents = Math.round(Number(donationAmount) * 100);
-    if (isNaN(amountCents) || amountCents <= 0) {
-      return res.status(400).json({ error: 'Invalid donation amount.' });
-    }
+    // Every field is checked before anything is stored or sent to Stripe
+    const donation = validateDonation(req.body, { campaign });
 
-    // Create a PaymentIntent with Stripe
-    const paymentIntent = await stripeInstance.paymentIntents.create({
-      amount: amountCents,
-      currency: 'usd',
-      receipt_email: email,
-    });
+    // With `coverFee` the donor adds the processing fee to the gift. The fee
+    // is worked out by validateDonation (see lib/processing-fees.js); the
+    // browser only says whether to add it.
+    const { feeAmount } = donation;
 
-    // Insert a donation record with status "pending"
-    await dbRun(
-      `INSERT INTO donations (
-        donation_amount,
-        email,
-        first_name,
-        last_name,
-        card_name,
-        country,
-        postal_code,
-        payment_intent_id,
-        payment_intent_status
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-      [
-        amountCents,
-        email,
-        firstName || null,
-        lastName || null,
-        cardName || null,
-        country || null,
-        postalCode || null,
-        paymentIntent.id,
-        'pending',
-      ]
-    );
+    // Reuses the payment of an earlier attempt with the same checkout key
+    const { clientSecret, receiptToken } = await startCheckout({
+      ...donation,
+      amount: donation.amount + feeAmount,
+      checkoutKey,
+      campaignId: campaign ? campaign.id : null,
+    });
 
     // Return the client secret so we can confirm the payment on the client
-    res.json({ clientSecret: paymentIntent.client_secret });
+    // with the provider named in `provider`, and the token the thanks page
+    // uses to fetch the receipt.
+    res.json({ clientSecret, receiptToken, provider: PAYMENT_PROVIDER });
   } catch (err) {
+    if (handleValidationError(err, res)) return;
+    if (handleCheckoutError(err, res)) return;
     console.error('Error in /create-payment-intent:', err);
     next(err);
   }
 });
 
-// Stripe webhook endpoint to update donation record when payment succeeds.
-// Use bodyParser.raw to get the raw payload.
-app.post('/webhook', bodyParser.raw({ type: 'application/json' }), (req, res) => {
+// Settings of the donation form: suggested amounts, the one selected by
+// default and the limits, all in minor units of `currency`, and the
+// payment provider the form confirms payments with (`paymentProvider`).
+// Query: campaign (slug), currency, country - as for /create-payment-intent.
+app.get('/donation-config', async (req, res, next) => {
+  try {
+    let campaign = null;
+    if (req.query.campaign) {
+      campaign = await findCampaignBySlug(req.query.campaign);
+      if (!campaign) {
+        return res.status(404).json({ error: 'Campaign not found.' });
+      }
+    }
+    const currency = resolveDonationCurrency({
+      campaign,
+      currency: req.query.currency,
+      country: req.query.country,
+    });
+    res.json({ ...donationFormConfig(currency, campaign), paymentProvider: PAYMENT_PROVIDER });
+  } catch (err) {
+    if (handleDonationFormError(err, res)) return;
+    console.error('Error in /donation-config:', err);
+    next(err);
+  }
+});
+
+// Public campaign details and progress, e.g. for a progress bar on the
+// donation page. Amounts are in minor units of the campaign's currency
+// (`currencyDecimals` says how many decimals it has).
+app.get('/campaigns/:slug', async (req, res, next) => {
+  try {
+    const campaign = await findCampaignBySlug(req.params.slug);
+    if (!campaign) {
+      return res.status(404).json({ error: 'Campaign not found.' });
+    }
+    res.json({
+      campaign: {
+        slug: campaign.slug,
+        title: campaign.title,
+        description: campaign.description,
+        currency: campaign.currency,
+        currencyDecimals: minorUnits(campaign.currency),
+        startsAt: campaign.starts_at,
+        endsAt: campaign.ends_at,
+        suggestedAmounts: campaign.suggested_amounts,
+        open: isCampaignOpen(campaign),
+      },
+      ...(await campaignProgress(campaign)),
+    });
+  } catch (err) {
+    console.error('Error in /campaigns/:slug:', err);
+    next(err);
+  }
+});
+
+// Receipt lookup for the thanks page. The receipt only exists once the
+// webhook has confirmed the payment; until then the donation status is returned.
+app.get('/receipts/:token', async (req, res, next) => {
+  try {
+    const result = await findReceiptByToken(req.params.token);
+    if (!result) {
+      return res.status(404).json({ error: 'Receipt not found.' });
+    }
+    res.json(result);
+  } catch (err) {
+    console.error('Error in /receipts/:token:', err);
+    next(err);
+  }
+});
+
+// Send a receipt PDF as a download
+function sendReceiptPdf(res, { receipt, recurring }) {
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader(
+    'Content-Disposition',
+    `attachment; filename="receipt-${receipt.receipt_number}.pdf"`
+  );
+  renderReceiptPdf(receipt, { recurring }, res);
+}
+
+// Receipt PDF download for donors, through the signed link returned by
+// /receipts/:token
+app.get('/receipts/:token/pdf', async (req, res, next) => {
+  try {
+    const { expires, signature } = req.query;
+    if (!verifyReceiptPdfLink(req.params.token, expires, signature)) {
+      return res.status(403).json({ error: 'This receipt link is invalid or has expired.' });
+    }
+    const found = await findReceiptRowByToken(req.params.token);
+    if (!found) {
+      return res.status(404).json({ error: 'Receipt not found.' });
+    }
+    sendReceiptPdf(res, found);
+  } catch (err) {
+    console.error('Error in /receipts/:token/pdf:', err);
+    next(err);
+  }
+});
+
+// Webhook endpoint of the payment provider. Events are stored in
+// webhook_events and processed once; see lib/webhooks.js. Use
+// bodyParser.raw to get the raw payload for the signature check.
+app.post('/webhook', bodyParser.raw({ type: 'application/json' }), async (req, res, next) => {
   let event;
+  try {
+    event = getPaymentProvider().constructWebhookEvent(req.body, req.headers);
+  } catch (err) {
+    console.error('Webhook verification failed:', err.message);
+    return res.status(400).send(`Webhook Error: ${err.message}`);
+  }
 
-  // Verify webhook signature if STRIPE_WEBHOOK_SECRET is set
-  if (STRIPE_WEBHOOK_SECRET) {
-    const signature = req.headers['stripe-signature'];
+  if (!event || !event.id || !event.type) {
+    return res.status(400).send('Webhook Error: malformed event');
+  }
+
+  try {
+    const result = await handleWebhookEvent(event);
+    if (result.status === 'failed') {
+      // A non-2xx response makes Stripe deliver the event again later.
+      return res.status(500).json({ received: true, error: result.error });
+    }
+    // Return a 200 response to acknowledge receipt of the event
+    res.json({ received: true, duplicate: result.duplicate });
+  } catch (err) {
+    console.error('Error in /webhook:', err);
+    next(err);
+  }
+});
+
+// With the mock provider (PAYMENT_PROVIDER=mock), the donation form pays
+// here instead of with Stripe.js; see lib/mock-provider.js.
+if (PAYMENT_PROVIDER === 'mock') {
+  // Body: { clientSecret, paymentMethod } - one of the test payment methods
+  app.post('/mock-payments/confirm', async (req, res, next) => {
     try {
-      event = stripeInstance.webhooks.constructEvent(
-        req.body,
-        signature,
-        STRIPE_WEBHOOK_SECRET
-      );
+      const { clientSecret, paymentMethod } = req.body;
+      const paymentIntent = await getPaymentProvider().confirmPayment(clientSecret, paymentMethod);
+      res.json({ paymentIntent });
     } catch (err) {
-      console.error('Stripe webhook signature verification failed:', err.message);
-      return res.status(400).send(`Webhook Error: ${err.message}`);
+      if (handlePaymentProviderError(err, res)) return;
+      console.error('Error in /mock-payments/confirm:', err);
+      next(err);
     }
-  } else {
-    // WARNING: In production, you should verify signatures.
+  });
+
+  // The outcome of a 3D Secure check. Body: { clientSecret, approve }
+  app.post('/mock-payments/authenticate', async (req, res, next) => {
     try {
-      event = JSON.parse(req.body);
+      const { clientSecret, approve } = req.body;
+      const paymentIntent = await getPaymentProvider().authenticatePayment(clientSecret, approve === true);
+      res.json({ paymentIntent });
     } catch (err) {
-      console.error('Webhook parse error:', err);
-      return res.status(400).send(`Webhook Error: ${err.message}`);
-    }
-  }
-
-  // Handle the event
-  if (event.type === 'payment_intent.succeeded') {
-    const paymentIntent = event.data.object;
-    dbRun(
-      `UPDATE donations SET payment_intent_status = ? WHERE payment_intent_id = ?`,
-      ['succeeded', paymentIntent.id]
-    )
-      .then(() => {
-        console.log(`Donation record updated for PaymentIntent ${paymentIntent.id}`);
-      })
-      .catch((err) => {
-        console.error('DB Update Error in webhook:', err);
-      });
-  }
-
-  // Return a 200 response to acknowledge receipt of the event
-  res.json({ received: true });
-});
+      if (handlePaymentProviderError(err, res)) return;
+      console.error('Error in /mock-payments/authenticate:', err);
+      next(err);
+    }
+  });
+}
 
 // -------------------------
 // Admin API Endpoints
 // -------------------------
 
-// Middleware to check if admin is authenticated
-function isAuthenticated(req, res, next) {
-  if (req.session && req.session.user) {
-    return next();
-  } else {
-    return res.status(401).json({ error: 'Unauthorized' });
-  }
-}
-
-// Endpoint to check if any admin user exists
-app.get('/admin-api/check-setup', async (req, res, next) => {
+// Middleware to check if admin is authenticated. The account is reloaded on
+// every request so that role changes and disabled accounts apply at once.
+async function isAuthenticated(req, res, next) {
   try {
-    const row = await dbGet(`SELECT COUNT(*) as count FROM admin_users`);
-    res.json({ setup: row.count > 0 });
+    const user = req.session && (await refreshSessionUser(req.session.user));
+    if (!user) {
+      if (req.session) {
+        delete req.session.user;
+      }
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+    req.session.user = user;
+    next();
   } catch (err) {
-    console.error('Error in /admin-api/check-setup:', err);
     next(err);
   }
-});
+}
+
+// Middleware factory: the logged-in admin needs at least `role`
+// (viewer < finance < owner, see lib/admin-users.js). Implies isAuthenticated.
+function requireRole(role) {
+  return [
+    isAuthenticated,
+    (req, res, next) => {
+      if (!hasRole(req.session.user, role)) {
+        return res.status(403).json({ error: `This action requires the ${role} role.` });
+      }
+      next();
+    },
+  ];
+}
+
+// A login waiting for its second factor (or for 2FA to be set up, when
+// owners require it). The password step stores it in the session; it
+// expires after a few minutes and a few wrong codes.
+const PENDING_LOGIN_TTL_MS = 5 * 60 * 1000;
+const PENDING_LOGIN_MAX_ATTEMPTS = 5;
+
+function getPendingLogin(req) {
+  const pending = req.session && req.session.pendingLogin;
+  if (!pending || pending.expiresAt < Date.now() || pending.attempts >= PENDING_LOGIN_MAX_ATTEMPTS) {
+    if (req.session) {
+      delete req.session.pendingLogin;
+    }
+    return null;
+  }
+  return pending;
+}
+
+// Finish a login: the user is signed in from now on.
+async function completeLogin(req, res, user, extra = {}) {
+  await recordLoginSuccess({ ip: req.ip, username: user.username });
+  delete req.session.pendingLogin;
+  req.session.user = sessionUser(user);
+  await recordAudit(req, 'login.success', { targetType: 'admin_user', targetId: user.id });
+  res.json({
+    message: 'Login successful.',
+    user: { id: user.id, username: user.username, role: user.role },
+    ...extra,
+  });
+}
+
+// The account 2FA setup applies to: the logged-in admin, or a login that
+// must set up 2FA before it can finish.
+async function twoFactorSetupUser(req) {
+  const user = req.session && (await refreshSessionUser(req.session.user));
+  if (user) {
+    return { userId: user.id, username: user.username, pendingLogin: false };
+  }
+  const pending = getPendingLogin(req);
+  if (pending && pending.setup) {
+    return { userId: pending.userId, username: pending.username, pendingLogin: true };
+  }
+  return null;
+}
+
+// Respond with the status code of an AdminUserError.
+function handleAdminUserError(err, res) {
+  if (err instanceof AdminUserError) {
+    res.status(err.statusCode).json({ error: err.message });
+    return true;
+  }
+  return false;
+}
+
+// Respond with the status code of a CampaignError.
+function handleCampaignError(err, res) {
+  if (err instanceof CampaignError) {
+    res.status(err.statusCode).json({ error: err.message });
+    return true;
+  }
+  return false;
+}
+
+// Respond with the status code of a DonorError.
+function handleDonorError(err, res) {
+  if (err instanceof DonorError) {
+    res.status(err.statusCode).json({ error: err.message });
+    return true;
+  }
+  return false;
+}
+
+// Respond with the status code of a DonationFormError.
+function handleDonationFormError(err, res) {
+  if (err instanceof DonationFormError) {
+    res.status(err.statusCode).json({ error: err.message });
+    return true;
+  }
+  return false;
+}
+
+// Respond with the invalid fields of a ValidationError.
+function handleValidationError(err, res) {
+  if (err instanceof ValidationError) {
+    res.status(err.statusCode).json({ error: err.message, fields: err.fields });
+    return true;
+  }
+  return false;
+}
+
+// Respond with the status code of a CheckoutError.
+function handleCheckoutError(err, res) {
+  if (err instanceof CheckoutError) {
+    res.status(err.statusCode).json({ error: err.message });
+    return true;
+  }
+  return false;
+}
 
-// Admin registration endpoint
-app.post('/admin-api/register', async (req, res, next) => {
+// Respond with the status code of a PaymentProviderError.
+function handlePaymentProviderError(err, res) {
+  if (err instanceof PaymentProviderError) {
+    res.status(err.statusCode).json({ error: err.message });
+    return true;
+  }
+  return false;
+}
+
+// Respond with the status code of a WebhookEndpointError.
+function handleWebhookEndpointError(err, res) {
+  if (err instanceof WebhookEndpointError) {
+    res.status(err.statusCode).json({ error: err.message });
+    return true;
+  }
+  return false;
+}
+
+function setupTokenMatches(token) {
+  if (!ADMIN_SETUP_TOKEN || typeof token !== 'string') {
+    return false;
+  }
+  const expected = crypto.createHash('sha256').update(ADMIN_SETUP_TOKEN).digest();
+  const given = crypto.createHash('sha256').update(token).digest();
+  return crypto.timingSafeEqual(expected, given);
+}
+
+// Admin registration endpoint, for the first account only. It becomes the
+// owner; further accounts are added by an owner through /admin-api/users.
+// Body: { username, password, setupToken } where setupToken is ADMIN_SETUP_TOKEN.
+// Whether an admin exists is only revealed to callers with the right token.
+app.post('/admin-api/register', throttleLogin(), async (req, res, next) => {
   try {
-    const { username, password } = req.body;
-    if (!username || !password) {
+    const { username, password, setupToken } = req.body;
+    if (!ADMIN_SETUP_TOKEN) {
+      await releaseLoginAttempt({ ip: req.ip });
       return res
-        .status(400)
-        .json({ error: 'Username and password are required.' });
+        .status(403)
+        .json({ error: 'Setup is disabled. Set ADMIN_SETUP_TOKEN on the server to create the first admin.' });
+    }
+    if (!setupTokenMatches(setupToken)) {
+      await recordLoginFailure({ ip: req.ip });
+      await recordAudit(req, 'register.failure', {
+        details: { reason: 'invalid setup token' },
+        actor: { username },
+      });
+      return res.status(403).json({ error: 'Invalid setup token.' });
     }
+    // Only a wrong setup token counts as a failed attempt
+    await releaseLoginAttempt({ ip: req.ip });
     const row = await dbGet(`SELECT COUNT(*) as count FROM admin_users`);
-    const isFirstUser = row.count === 0;
-    if (!isFirstUser && !(req.session && req.session.user)) {
+    if (row.count > 0) {
       return res
-        .status(401)
-        .json({ error: 'Unauthorized. Please log in as admin to add new users.' });
+        .status(403)
+        .json({ error: 'Setup is already complete. Ask an owner to add your account.' });
     }
-    const hash = await bcrypt.hash(password, 10);
-    await dbRun(`INSERT INTO admin_users (username, password) VALUES (?, ?)`, [
-      username,
-      hash,
-    ]);
+    const user = await createAdminUser({ username, password, role: 'owner' });
+    await recordAudit(req, 'user.create', {
+      targetType: 'admin_user',
+      targetId: user.id,
+      details: { username: user.username, role: user.role, setup: true },
+      actor: { id: user.id, username: user.username },
+    });
     res.json({ message: 'Admin user registered successfully.' });
   } catch (err) {
+    if (handleAdminUserError(err, res)) return;
     console.error('Error in /admin-api/register:', err);
     next(err);
   }
 });
 
 // Admin login endpoint
-app.post('/admin-api/login', async (req, res, next) => {
+app.post('/admin-api/login', throttleLogin((req) => req.body.username), async (req, res, next) => {
   try {
     const { username, password } = req.body;
     if (!username || !password) {
+      await releaseLoginAttempt({ ip: req.ip, username });
       return res
         .status(400)
         .json({ error: 'Username and password are required.' });
     }
-    const user = await dbGet(
-      `SELECT * FROM admin_users WHERE username = ?`,
-      [username]
-    );
-    if (!user) {
-      return res.status(401).json({ error: 'Invalid credentials.' });
+    let user;
+    try {
+      user = await verifyCredentials(username, password);
+    } catch (err) {
+      // Only a wrong username or password is a failure; a disabled account
+      // gave the right password.
+      if (err instanceof AdminUserError && err.statusCode === 401) {
+        await recordLoginFailure({ ip: req.ip, username });
+      } else {
+        await releaseLoginAttempt({ ip: req.ip, username });
+      }
+      if (err instanceof AdminUserError) {
+        await recordAudit(req, 'login.failure', {
+          details: { reason: err.statusCode === 403 ? 'account disabled' : 'invalid credentials' },
+          actor: { username },
+        });
+      }
+      throw err;
     }
-    const isMatch = await bcrypt.compare(password, user.password);
-    if (isMatch) {
-      req.session.user = { id: user.id, username: user.username };
-      res.json({ message: 'Login successful.' });
-    } else {
-      res.status(401).json({ error: 'Invalid credentials.' });
+    delete req.session.user;
+    if (user.totp_enabled || (await getSetting('requireTwoFactor'))) {
+      // Password is right; the session is only set after the second step,
+      // which is throttled on its own.
+      await releaseLoginAttempt({ ip: req.ip, username });
+      const setup = !user.totp_enabled;
+      req.session.pendingLogin = {
+        userId: user.id,
+        username: user.username,
+        setup,
+        attempts: 0,
+        expiresAt: Date.now() + PENDING_LOGIN_TTL_MS,
+      };
+      return res.json(setup ? { twoFactorSetupRequired: true } : { twoFactorRequired: true });
     }
+    await completeLogin(req, res, user);
   } catch (err) {
+    if (handleAdminUserError(err, res)) return;
     console.error('Error in /admin-api/login:', err);
     next(err);
   }
 });
 
+// Second login step. Body: { code } from the authenticator app, or { recoveryCode }
+const pendingUsername = (req) => {
+  const pending = getPendingLogin(req);
+  return pending ? pending.username : null;
+};
+app.post('/admin-api/login/2fa', throttleLogin(pendingUsername), async (req, res, next) => {
+  try {
+    const pending = getPendingLogin(req);
+    if (!pending || pending.setup) {
+      await releaseLoginAttempt({ ip: req.ip });
+      return res.status(401).json({ error: 'Log in with your password first.' });
+    }
+    const { code, recoveryCode } = req.body;
+    if (!(await verifySecondFactor(pending.userId, { code, recoveryCode }))) {
+      pending.attempts++;
+      await recordLoginFailure({ ip: req.ip, username: pending.username });
+      await recordAudit(req, 'login.failure', {
+        targetType: 'admin_user',
+        targetId: pending.userId,
+        details: { reason: 'invalid authentication code' },
+        actor: { username: pending.username },
+      });
+      return res.status(401).json({ error: 'Invalid authentication code.' });
+    }
+    const user = await dbGet(`SELECT * FROM admin_users WHERE id = ?`, [pending.userId]);
+    if (!user || user.disabled) {
+      await releaseLoginAttempt({ ip: req.ip, username: pending.username });
+      delete req.session.pendingLogin;
+      return res.status(401).json({ error: 'Invalid credentials.' });
+    }
+    await completeLogin(req, res, user);
+  } catch (err) {
+    if (handleAdminUserError(err, res)) return;
+    console.error('Error in /admin-api/login/2fa:', err);
+    next(err);
+  }
+});
+
 // Admin logout endpoint
-app.post('/admin-api/logout', (req, res, next) => {
+app.post('/admin-api/logout', async (req, res, next) => {
+  if (req.session.user) {
+    await recordAudit(req, 'logout', { targetType: 'admin_user', targetId: req.session.user.id });
+  }
   req.session.destroy((err) => {
     if (err) {
       console.error('Error during logout:', err);
@@ -303,62 +681,760 @@ app.post('/admin-api/logout', (req, res, next) => {
   });
 });
 
+// The logged-in admin, so the panel can show what their role allows
+app.get('/admin-api/me', isAuthenticated, async (req, res, next) => {
+  try {
+    const { id, username, role } = req.session.user;
+    res.json({ user: { id, username, role }, roles: ROLES, twoFactor: await twoFactorStatus(id) });
+  } catch (err) {
+    console.error('Error in /admin-api/me:', err);
+    next(err);
+  }
+});
+
+// Start setting up 2FA for the logged-in admin (or a login that requires
+// it). Returns the secret, an otpauth:// URI and a QR code for the app.
+app.post('/admin-api/2fa/setup', async (req, res, next) => {
+  try {
+    const subject = await twoFactorSetupUser(req);
+    if (!subject) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+    res.json(await beginEnrollment(subject.userId));
+  } catch (err) {
+    if (handleAdminUserError(err, res)) return;
+    console.error('Error in /admin-api/2fa/setup:', err);
+    next(err);
+  }
+});
+
+// Turn 2FA on with a first code from the app. Body: { code }
+// Returns the recovery codes; a pending login is completed. Wrong codes are
+// throttled and count towards the pending login's limit like those of the
+// second login step.
+const setupUsername = async (req) => {
+  const subject = await twoFactorSetupUser(req);
+  return subject ? subject.username : null;
+};
+app.post('/admin-api/2fa/enable', throttleLogin(setupUsername), async (req, res, next) => {
+  try {
+    const subject = await twoFactorSetupUser(req);
+    if (!subject) {
+      await releaseLoginAttempt({ ip: req.ip });
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+    let recoveryCodes;
+    try {
+      recoveryCodes = await confirmEnrollment(subject.userId, req.body.code);
+    } catch (err) {
+      if (!(err instanceof AdminUserError && err.statusCode === 401)) {
+        await releaseLoginAttempt({ ip: req.ip, username: subject.username });
+        throw err;
+      }
+      await recordLoginFailure({ ip: req.ip, username: subject.username });
+      if (subject.pendingLogin) {
+        req.session.pendingLogin.attempts++;
+        await recordAudit(req, 'login.failure', {
+          targetType: 'admin_user',
+          targetId: subject.userId,
+          details: { reason: 'invalid authentication code' },
+          actor: { username: subject.username },
+        });
+      }
+      throw err;
+    }
+    const user = await dbGet(`SELECT * FROM admin_users WHERE id = ?`, [subject.userId]);
+    await recordAudit(req, '2fa.enable', {
+      targetType: 'admin_user',
+      targetId: user.id,
+      actor: { id: user.id, username: user.username },
+    });
+    if (subject.pendingLogin) {
+      return await completeLogin(req, res, user, { recoveryCodes });
+    }
+    await releaseLoginAttempt({ ip: req.ip, username: user.username });
+    req.session.user = sessionUser(user);
+    res.json({ message: 'Two-factor authentication enabled.', recoveryCodes });
+  } catch (err) {
+    if (handleAdminUserError(err, res)) return;
+    console.error('Error in /admin-api/2fa/enable:', err);
+    next(err);
+  }
+});
+
+// Turn 2FA off for the logged-in admin. Body: { code } or { recoveryCode }
+app.post('/admin-api/2fa/disable', isAuthenticated, async (req, res, next) => {
+  try {
+    if (await getSetting('requireTwoFactor')) {
+      return res.status(409).json({ error: 'Two-factor authentication is required for all admins.' });
+    }
+    if (!(await verifySecondFactor(req.session.user.id, req.body))) {
+      return res.status(401).json({ error: 'Invalid authentication code.' });
+    }
+    await removeTwoFactor(req.session.user.id);
+    await recordAudit(req, '2fa.disable', { targetType: 'admin_user', targetId: req.session.user.id });
+    res.json({ message: 'Two-factor authentication disabled.' });
+  } catch (err) {
+    if (handleAdminUserError(err, res)) return;
+    console.error('Error in /admin-api/2fa/disable:', err);
+    next(err);
+  }
+});
+
+// Replace the logged-in admin's recovery codes. Body: { code }
+app.post('/admin-api/2fa/recovery-codes', isAuthenticated, async (req, res, next) => {
+  try {
+    if (!(await verifySecondFactor(req.session.user.id, { code: req.body.code }))) {
+      return res.status(401).json({ error: 'Invalid authentication code.' });
+    }
+    const recoveryCodes = await regenerateRecoveryCodes(req.session.user.id);
+    await recordAudit(req, '2fa.recovery_codes', { targetType: 'admin_user', targetId: req.session.user.id });
+    res.json({ message: 'New recovery codes created.', recoveryCodes });
+  } catch (err) {
+    if (handleAdminUserError(err, res)) return;
+    console.error('Error in /admin-api/2fa/recovery-codes:', err);
+    next(err);
+  }
+});
+
+// Panel-wide settings (see lib/settings.js)
+app.get('/admin-api/settings', requireRole('owner'), async (req, res, next) => {
+  try {
+    res.json({ settings: await getSettings() });
+  } catch (err) {
+    console.error('Error in /admin-api/settings:', err);
+    next(err);
+  }
+});
+
+// Change settings. Body: { requireTwoFactor }
+app.patch('/admin-api/settings', requireRole('owner'), async (req, res, next) => {
+  try {
+    const { requireTwoFactor } = req.body;
+    if (requireTwoFactor !== undefined) {
+      // Owners set up 2FA themselves before making everyone else do it.
+      if (requireTwoFactor && !(await twoFactorStatus(req.session.user.id)).enabled) {
+        return res
+          .status(409)
+          .json({ error: 'Enable two-factor authentication on your own account first.' });
+      }
+      await setSetting('requireTwoFactor', Boolean(requireTwoFactor));
+      await recordAudit(req, 'settings.update', {
+        targetType: 'setting',
+        targetId: 'requireTwoFactor',
+        details: { value: Boolean(requireTwoFactor) },
+      });
+    }
+    res.json({ message: 'Settings saved.', settings: await getSettings() });
+  } catch (err) {
+    console.error('Error in /admin-api/settings:', err);
+    next(err);
+  }
+});
+
 // GET /admin-api/donations endpoint
-app.get('/admin-api/donations', isAuthenticated, async (req, res, next) => {
+// Filtering, sorting and pagination parameters are described in lib/donation-query.js.
+// Statuses are kept up to date by webhooks and the reconciliation job
+// (lib/reconcile.js), so this only reads from the database.
+app.get('/admin-api/donations', requireRole('viewer'), async (req, res, next) => {
   try {
-    let donations = await dbAll(
-      `SELECT * FROM donations ORDER BY created_at DESC`
-    );
-    // For each pending donation, update the status by retrieving the PaymentIntent from Stripe.
-    for (let donation of donations) {
-      if (donation.payment_intent_status === 'pending') {
-        try {
-          const paymentIntent = await stripeInstance.paymentIntents.retrieve(
-            donation.payment_intent_id
-          );
-          if (paymentIntent.status !== donation.payment_intent_status) {
-            await dbRun(
-              `UPDATE donations SET payment_intent_status = ? WHERE id = ?`,
-              [paymentIntent.status, donation.id]
-            );
-            donation.payment_intent_status = paymentIntent.status;
-          }
-        } catch (err) {
-          console.error(
-            `Error fetching PaymentIntent for donation id ${donation.id}:`,
-            err
-          );
-        }
+    let query;
+    try {
+      query = buildDonationPageQuery(
+        req.query,
+        `SELECT donations.*, receipts.receipt_number, campaigns.slug AS campaign_slug
+         FROM donations
+         LEFT JOIN receipts ON receipts.donation_id = donations.id
+         LEFT JOIN campaigns ON campaigns.id = donations.campaign_id`
+      );
+    } catch (err) {
+      if (err instanceof QueryError) {
+        return res.status(err.statusCode).json({ error: err.message });
       }
+      throw err;
     }
-    res.json({ donations });
+    const [donations, countRow] = await Promise.all([
+      dbAll(query.sql, query.params),
+      dbGet(query.countSql, query.countParams),
+    ]);
+    const { page, pageSize, cursor } = query.paging;
+    await recordAudit(req, 'donations.view', { details: { query: req.query, count: donations.length } });
+    res.json({
+      donations,
+      total: countRow.count,
+      page: cursor ? null : page,
+      pageSize,
+      totalPages: Math.ceil(countRow.count / pageSize),
+      nextCursor: nextCursorFor(donations, query.paging),
+    });
   } catch (err) {
     console.error('Error in /admin-api/donations:', err);
     next(err);
   }
 });
 
-// Endpoint to add a new admin user (requires authentication)
-app.post('/admin-api/users', isAuthenticated, async (req, res, next) => {
+// Export donations as CSV or XLSX.
+// Query: format (csv | xlsx), columns (comma-separated, see lib/donation-export.js)
+// plus the filter and sort parameters of /admin-api/donations.
+app.get('/admin-api/donations/export', requireRole('finance'), async (req, res, next) => {
+  let options;
   try {
-    const { username, password } = req.body;
-    if (!username || !password) {
-      return res
-        .status(400)
-        .json({ error: 'Username and password are required.' });
+    options = parseExportOptions(req.query);
+  } catch (err) {
+    if (err instanceof QueryError) {
+      return res.status(err.statusCode).json({ error: err.message });
     }
-    const hash = await bcrypt.hash(password, 10);
-    await dbRun(`INSERT INTO admin_users (username, password) VALUES (?, ?)`, [
-      username,
-      hash,
-    ]);
-    res.json({ message: 'New admin user added successfully.' });
+    return next(err);
+  }
+  const date = new Date().toISOString().slice(0, 10);
+  res.setHeader(
+    'Content-Type',
+    options.format === 'xlsx'
+      ? 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+      : 'text/csv; charset=utf-8'
+  );
+  res.setHeader('Content-Disposition', `attachment; filename="donations-${date}.${options.format}"`);
+  await recordAudit(req, 'donations.export', { details: { query: req.query } });
+  try {
+    await writeDonationExport(req.query, options, res);
+  } catch (err) {
+    console.error('Error in /admin-api/donations/export:', err);
+    if (!res.headersSent) {
+      res.removeHeader('Content-Disposition');
+      return next(err);
+    }
+    // Part of the file is already sent, so just cut the download short.
+    res.destroy();
+  }
+});
+
+// Dashboard figures for a date range.
+// Query: from, to (YYYY-MM-DD, optional)
+app.get('/admin-api/stats', requireRole('viewer'), async (req, res, next) => {
+  try {
+    res.json(await getDonationStats(req.query));
+  } catch (err) {
+    if (err instanceof QueryError) {
+      return res.status(err.statusCode).json({ error: err.message });
+    }
+    console.error('Error in /admin-api/stats:', err);
+    next(err);
+  }
+});
+
+// Refund a donation in full or in part.
+// Body: { amount (in units of the donation's currency, optional - defaults to
+// the remaining balance), reason }
+app.post('/admin-api/donations/:id/refund', requireRole('finance'), async (req, res, next) => {
+  try {
+    const { amount, reason } = req.body;
+    const donation = await refundDonation(req.params.id, {
+      amount: amount === '' ? undefined : amount,
+      reason,
+    });
+    await recordAudit(req, 'donation.refund', {
+      targetType: 'donation',
+      targetId: donation.id,
+      details: { amount: amount || null, reason: reason || null, refundedAmount: donation.refunded_amount },
+    });
+    res.json({ message: 'Refund issued.', donation });
+  } catch (err) {
+    if (err instanceof RefundError) {
+      return res.status(err.statusCode).json({ error: err.message });
+    }
+    if (handlePaymentProviderError(err, res)) return;
+    console.error('Error in /admin-api/donations/:id/refund:', err);
+    next(err);
+  }
+});
+
+// Receipt PDF of a donation, for admins
+app.get('/admin-api/donations/:id/receipt.pdf', requireRole('viewer'), async (req, res, next) => {
+  try {
+    const found = await findReceiptByDonationId(req.params.id);
+    if (!found) {
+      return res.status(404).json({ error: 'This donation has no receipt.' });
+    }
+    await recordAudit(req, 'receipt.view', {
+      targetType: 'donation',
+      targetId: req.params.id,
+      details: { receiptNumber: found.receipt.receipt_number },
+    });
+    sendReceiptPdf(res, found);
+  } catch (err) {
+    console.error('Error in /admin-api/donations/:id/receipt.pdf:', err);
+    next(err);
+  }
+});
+
+// Log of emails sent by the server, newest first
+app.get('/admin-api/sent-emails', requireRole('finance'), async (req, res, next) => {
+  try {
+    const emails = await dbAll(
+      `SELECT * FROM sent_emails ORDER BY created_at DESC, id DESC LIMIT 200`
+    );
+    res.json({ emails });
+  } catch (err) {
+    console.error('Error in /admin-api/sent-emails:', err);
+    next(err);
+  }
+});
+
+// List admin accounts
+app.get('/admin-api/users', requireRole('owner'), async (req, res, next) => {
+  try {
+    res.json({ users: await listAdminUsers(), roles: ROLES });
   } catch (err) {
     console.error('Error in /admin-api/users:', err);
     next(err);
   }
 });
 
+// Add an admin account. Body: { username, password, role }
+app.post('/admin-api/users', requireRole('owner'), async (req, res, next) => {
+  try {
+    const { username, password, role } = req.body;
+    const user = await createAdminUser({ username, password, role });
+    await recordAudit(req, 'user.create', {
+      targetType: 'admin_user',
+      targetId: user.id,
+      details: { username: user.username, role: user.role },
+    });
+    res.json({ message: 'New admin user added successfully.', user });
+  } catch (err) {
+    if (handleAdminUserError(err, res)) return;
+    console.error('Error in /admin-api/users:', err);
+    next(err);
+  }
+});
+
+// Change the role of an account or disable/enable it. Body: { role, disabled }
+app.patch('/admin-api/users/:id', requireRole('owner'), async (req, res, next) => {
+  try {
+    const { role, disabled } = req.body;
+    const user = await updateAdminUser(req.params.id, {
+      role,
+      disabled: disabled === undefined ? undefined : Boolean(disabled),
+    });
+    await recordAudit(req, 'user.update', {
+      targetType: 'admin_user',
+      targetId: user.id,
+      details: { username: user.username, role, disabled },
+    });
+    res.json({ message: 'User updated.', user });
+  } catch (err) {
+    if (handleAdminUserError(err, res)) return;
+    console.error('Error in /admin-api/users/:id:', err);
+    next(err);
+  }
+});
+
+// Set a new password for an account. Body: { password }
+app.post('/admin-api/users/:id/password', requireRole('owner'), async (req, res, next) => {
+  try {
+    await resetAdminPassword(req.params.id, req.body.password);
+    await recordAudit(req, 'user.password_reset', { targetType: 'admin_user', targetId: req.params.id });
+    res.json({ message: 'Password reset. The user has been signed out.' });
+  } catch (err) {
+    if (handleAdminUserError(err, res)) return;
+    console.error('Error in /admin-api/users/:id/password:', err);
+    next(err);
+  }
+});
+
+// Turn off 2FA for another account, e.g. after a lost phone. The user is
+// signed out and sets it up again on the next login if it is required.
+app.post('/admin-api/users/:id/2fa/reset', requireRole('owner'), async (req, res, next) => {
+  try {
+    await removeTwoFactor(req.params.id, { signOut: true });
+    await recordAudit(req, 'user.2fa_reset', { targetType: 'admin_user', targetId: req.params.id });
+    res.json({ message: 'Two-factor authentication reset.' });
+  } catch (err) {
+    if (handleAdminUserError(err, res)) return;
+    console.error('Error in /admin-api/users/:id/2fa/reset:', err);
+    next(err);
+  }
+});
+
+// Failed-login counters and active lockouts
+app.get('/admin-api/login-locks', requireRole('owner'), async (req, res, next) => {
+  try {
+    res.json({ locks: await listLoginLocks() });
+  } catch (err) {
+    console.error('Error in /admin-api/login-locks:', err);
+    next(err);
+  }
+});
+
+// Clear a lockout (and its failure count)
+app.delete('/admin-api/login-locks/:id', requireRole('owner'), async (req, res, next) => {
+  try {
+    if (!(await clearLoginLock(req.params.id))) {
+      return res.status(404).json({ error: 'Lock not found.' });
+    }
+    await recordAudit(req, 'login_lock.clear', { targetType: 'login_lock', targetId: req.params.id });
+    res.json({ message: 'Lock cleared.' });
+  } catch (err) {
+    console.error('Error in /admin-api/login-locks/:id:', err);
+    next(err);
+  }
+});
+
+// Delete an account
+app.delete('/admin-api/users/:id', requireRole('owner'), async (req, res, next) => {
+  try {
+    await deleteAdminUser(req.params.id);
+    await recordAudit(req, 'user.delete', { targetType: 'admin_user', targetId: req.params.id });
+    res.json({ message: 'User deleted.' });
+  } catch (err) {
+    if (handleAdminUserError(err, res)) return;
+    console.error('Error in /admin-api/users/:id:', err);
+    next(err);
+  }
+});
+
+// Campaigns with their progress, newest first
+app.get('/admin-api/campaigns', requireRole('viewer'), async (req, res, next) => {
+  try {
+    const campaigns = await listCampaigns();
+    for (const campaign of campaigns) {
+      campaign.progress = await campaignProgress(campaign);
+      campaign.open = isCampaignOpen(campaign);
+    }
+    res.json({ campaigns });
+  } catch (err) {
+    console.error('Error in /admin-api/campaigns:', err);
+    next(err);
+  }
+});
+
+// Add a campaign.
+// Body: { slug, title, description, goal (in currency units), currency,
+// startsAt, endsAt (YYYY-MM-DD), suggestedAmounts (list of amounts),
+// defaultAmount, minAmount, maxAmount (null for the global setting) }
+app.post('/admin-api/campaigns', requireRole('finance'), async (req, res, next) => {
+  try {
+    const campaign = await createCampaign(req.body);
+    await recordAudit(req, 'campaign.create', {
+      targetType: 'campaign',
+      targetId: campaign.id,
+      details: { slug: campaign.slug },
+    });
+    res.json({ message: 'Campaign created.', campaign });
+  } catch (err) {
+    if (handleCampaignError(err, res)) return;
+    console.error('Error in /admin-api/campaigns:', err);
+    next(err);
+  }
+});
+
+// Change a campaign. Body: any of the fields of POST /admin-api/campaigns
+app.patch('/admin-api/campaigns/:id', requireRole('finance'), async (req, res, next) => {
+  try {
+    const campaign = await updateCampaign(req.params.id, req.body);
+    await recordAudit(req, 'campaign.update', {
+      targetType: 'campaign',
+      targetId: campaign.id,
+      details: { changes: req.body },
+    });
+    res.json({ message: 'Campaign updated.', campaign });
+  } catch (err) {
+    if (handleCampaignError(err, res)) return;
+    console.error('Error in /admin-api/campaigns/:id:', err);
+    next(err);
+  }
+});
+
+// Donors with their lifetime giving.
+// Query: q, sort, order, page, pageSize (see lib/donors.js)
+app.get('/admin-api/donors', requireRole('viewer'), async (req, res, next) => {
+  try {
+    const result = await listDonors(req.query);
+    await recordAudit(req, 'donors.view', { details: { query: req.query, count: result.donors.length } });
+    res.json(result);
+  } catch (err) {
+    if (err instanceof QueryError) {
+      return res.status(err.statusCode).json({ error: err.message });
+    }
+    console.error('Error in /admin-api/donors:', err);
+    next(err);
+  }
+});
+
+// A donor with their lifetime giving, gift history and possible duplicates.
+// A donor that was merged responds with mergedIntoId only.
+app.get('/admin-api/donors/:id', requireRole('viewer'), async (req, res, next) => {
+  try {
+    const donor = await getDonorDetail(req.params.id);
+    if (!donor) {
+      return res.status(404).json({ error: 'Donor not found.' });
+    }
+    if (donor.merged_into_id) {
+      return res.json({ mergedIntoId: donor.merged_into_id });
+    }
+    await recordAudit(req, 'donor.view', { targetType: 'donor', targetId: donor.id });
+    res.json({ donor });
+  } catch (err) {
+    console.error('Error in /admin-api/donors/:id:', err);
+    next(err);
+  }
+});
+
+// Year-end giving statement of a donor (see lib/tax-statements.js).
+// Query: year (default: last year), format (pdf | html, default pdf)
+app.get('/admin-api/donors/:id/tax-statement', requireRole('viewer'), async (req, res, next) => {
+  try {
+    let year;
+    try {
+      year = parseTaxYear(req.query.year || new Date().getUTCFullYear() - 1);
+    } catch (err) {
+      if (err instanceof QueryError) {
+        return res.status(err.statusCode).json({ error: err.message });
+      }
+      throw err;
+    }
+    const format = req.query.format || 'pdf';
+    if (!['pdf', 'html'].includes(format)) {
+      return res.status(400).json({ error: 'Invalid format, use pdf or html.' });
+    }
+    const statement = await getTaxStatement(req.params.id, year);
+    if (!statement) {
+      return res.status(404).json({ error: 'Donor not found.' });
+    }
+    await recordAudit(req, 'tax_statement.view', {
+      targetType: 'donor',
+      targetId: statement.donor.id,
+      details: { year, format },
+    });
+    if (format === 'html') {
+      return res.type('html').send(await renderTaxStatementHtml(statement));
+    }
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${statementFileName(statement)}.pdf"`);
+    renderTaxStatementPdf(statement, res);
+  } catch (err) {
+    console.error('Error in /admin-api/donors/:id/tax-statement:', err);
+    next(err);
+  }
+});
+
+// Merge a duplicate donor into this one. Body: { duplicateId }
+app.post('/admin-api/donors/:id/merge', requireRole('finance'), async (req, res, next) => {
+  try {
+    const donor = await mergeDonors(req.params.id, req.body.duplicateId);
+    await recordAudit(req, 'donor.merge', {
+      targetType: 'donor',
+      targetId: donor.id,
+      details: { duplicateId: req.body.duplicateId },
+    });
+    res.json({ message: 'Donors merged.', donor });
+  } catch (err) {
+    if (handleDonorError(err, res)) return;
+    console.error('Error in /admin-api/donors/:id/merge:', err);
+    next(err);
+  }
+});
+
+// GET /admin-api/recurring-donations endpoint
+app.get('/admin-api/recurring-donations', requireRole('viewer'), async (req, res, next) => {
+  try {
+    const recurringDonations = await dbAll(
+      `SELECT * FROM recurring_donations ORDER BY created_at DESC`
+    );
+    res.json({ recurringDonations });
+  } catch (err) {
+    console.error('Error in /admin-api/recurring-donations:', err);
+    next(err);
+  }
+});
+
+// Cancel a recurring donation (stops future monthly charges)
+app.post('/admin-api/recurring-donations/:id/cancel', requireRole('finance'), async (req, res, next) => {
+  try {
+    const recurringDonation = await cancelRecurringDonation(req.params.id);
+    if (!recurringDonation) {
+      return res.status(404).json({ error: 'Recurring donation not found.' });
+    }
+    await recordAudit(req, 'recurring.cancel', {
+      targetType: 'recurring_donation',
+      targetId: recurringDonation.id,
+    });
+    res.json({ message: 'Recurring donation canceled.', recurringDonation });
+  } catch (err) {
+    console.error('Error in /admin-api/recurring-donations/:id/cancel:', err);
+    next(err);
+  }
+});
+
+// List stored webhook events, by default the ones that failed processing
+app.get('/admin-api/webhook-events', requireRole('finance'), async (req, res, next) => {
+  try {
+    const status = req.query.status === 'all' ? null : req.query.status || 'failed';
+    const events = await listWebhookEvents({ status });
+    res.json({ events });
+  } catch (err) {
+    console.error('Error in /admin-api/webhook-events:', err);
+    next(err);
+  }
+});
+
+// Replay a webhook event that failed processing (or is stuck in it)
+app.post('/admin-api/webhook-events/:id/replay', requireRole('finance'), async (req, res, next) => {
+  try {
+    const result = await replayWebhookEvent(req.params.id);
+    if (!result) {
+      return res.status(404).json({ error: 'Webhook event not found.' });
+    }
+    if (!result.replayed) {
+      return res
+        .status(409)
+        .json({ error: `Only failed or stuck events can be replayed (event is ${result.status}).` });
+    }
+    await recordAudit(req, 'webhook_event.replay', {
+      targetType: 'webhook_event',
+      targetId: req.params.id,
+      details: { status: result.status },
+    });
+    if (result.status === 'failed') {
+      return res.status(500).json({ error: `Replay failed: ${result.error}` });
+    }
+    res.json({ message: 'Webhook event replayed.', status: result.status });
+  } catch (err) {
+    console.error('Error in /admin-api/webhook-events/:id/replay:', err);
+    next(err);
+  }
+});
+
+// Endpoints that receive our outbound webhooks (see lib/outbound-webhooks.js),
+// with their signing secrets
+app.get('/admin-api/webhook-endpoints', requireRole('owner'), async (req, res, next) => {
+  try {
+    const endpoints = await listWebhookEndpoints();
+    res.json({ endpoints, eventTypes: OUTBOUND_EVENT_TYPES });
+  } catch (err) {
+    console.error('Error in /admin-api/webhook-endpoints:', err);
+    next(err);
+  }
+});
+
+// Register an endpoint. Body: { url, description, eventTypes, active }
+app.post('/admin-api/webhook-endpoints', requireRole('owner'), async (req, res, next) => {
+  try {
+    const endpoint = await createWebhookEndpoint(req.body);
+    await recordAudit(req, 'webhook_endpoint.create', {
+      targetType: 'webhook_endpoint',
+      targetId: endpoint.id,
+      details: { url: endpoint.url, eventTypes: endpoint.event_types },
+    });
+    res.json({ message: 'Webhook endpoint added.', endpoint });
+  } catch (err) {
+    if (handleWebhookEndpointError(err, res)) return;
+    console.error('Error in /admin-api/webhook-endpoints:', err);
+    next(err);
+  }
+});
+
+// Change an endpoint. Body: any of the fields of POST
+// /admin-api/webhook-endpoints, rotateSecret: true for a new secret
+app.patch('/admin-api/webhook-endpoints/:id', requireRole('owner'), async (req, res, next) => {
+  try {
+    const endpoint = await updateWebhookEndpoint(req.params.id, req.body);
+    await recordAudit(req, 'webhook_endpoint.update', {
+      targetType: 'webhook_endpoint',
+      targetId: endpoint.id,
+      details: { changes: req.body },
+    });
+    res.json({ message: 'Webhook endpoint updated.', endpoint });
+  } catch (err) {
+    if (handleWebhookEndpointError(err, res)) return;
+    console.error('Error in /admin-api/webhook-endpoints/:id:', err);
+    next(err);
+  }
+});
+
+// Remove an endpoint and its delivery log
+app.delete('/admin-api/webhook-endpoints/:id', requireRole('owner'), async (req, res, next) => {
+  try {
+    const endpoint = await deleteWebhookEndpoint(req.params.id);
+    await recordAudit(req, 'webhook_endpoint.delete', {
+      targetType: 'webhook_endpoint',
+      targetId: endpoint.id,
+      details: { url: endpoint.url },
+    });
+    res.json({ message: 'Webhook endpoint deleted.' });
+  } catch (err) {
+    if (handleWebhookEndpointError(err, res)) return;
+    console.error('Error in /admin-api/webhook-endpoints/:id:', err);
+    next(err);
+  }
+});
+
+// Send a "ping" event to an endpoint
+app.post('/admin-api/webhook-endpoints/:id/test', requireRole('owner'), async (req, res, next) => {
+  try {
+    const eventId = await sendTestEvent(req.params.id);
+    await recordAudit(req, 'webhook_endpoint.test', {
+      targetType: 'webhook_endpoint',
+      targetId: req.params.id,
+      details: { eventId },
+    });
+    res.json({ message: 'Test event queued, see the delivery log.', eventId });
+  } catch (err) {
+    if (handleWebhookEndpointError(err, res)) return;
+    console.error('Error in /admin-api/webhook-endpoints/:id/test:', err);
+    next(err);
+  }
+});
+
+// Delivery log of the outbound webhooks, newest first.
+// Query: endpoint (id), status (pending, sending, delivered, failed)
+app.get('/admin-api/webhook-deliveries', requireRole('finance'), async (req, res, next) => {
+  try {
+    const deliveries = await listWebhookDeliveries({
+      endpoint: req.query.endpoint,
+      status: req.query.status,
+    });
+    res.json({ deliveries });
+  } catch (err) {
+    console.error('Error in /admin-api/webhook-deliveries:', err);
+    next(err);
+  }
+});
+
+// Send a delivery again, e.g. after the receiver has been fixed
+app.post('/admin-api/webhook-deliveries/:id/resend', requireRole('finance'), async (req, res, next) => {
+  try {
+    const delivery = await resendWebhookDelivery(req.params.id);
+    if (!delivery) {
+      return res.status(404).json({ error: 'Webhook delivery not found.' });
+    }
+    await recordAudit(req, 'webhook_delivery.resend', {
+      targetType: 'webhook_delivery',
+      targetId: req.params.id,
+      details: { eventId: delivery.event_id, deliveryId: delivery.id },
+    });
+    res.json({ message: 'Delivery queued again.', delivery });
+  } catch (err) {
+    console.error('Error in /admin-api/webhook-deliveries/:id/resend:', err);
+    next(err);
+  }
+});
+
+// Audit log of admin actions, newest first.
+// Query: actor (username), action (e.g. "login.failure", or "user." for all
+// user actions), targetType, targetId, from, to (YYYY-MM-DD), page, pageSize
+app.get('/admin-api/audit-log', requireRole('owner'), async (req, res, next) => {
+  try {
+    res.json(await listAuditLog(req.query));
+  } catch (err) {
+    if (err instanceof QueryError) {
+      return res.status(err.statusCode).json({ error: err.message });
+    }
+    console.error('Error in /admin-api/audit-log:', err);
+    next(err);
+  }
+});
+
 // -------------------------
 // Error Handling Middleware
 // -------------------------
@@ -388,6 +1464,31 @@ process.on('uncaughtException', (err) => {
 // -------------------------
 // Start the Server
 // -------------------------
-app.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
-});
+// Pending schema migrations are applied first (see lib/migrations.js). With
+// AUTO_MIGRATE=false they must be applied with `npm run migrate` instead,
+// and the server refuses to start while any are pending.
+async function prepareDatabase() {
+  if (process.env.AUTO_MIGRATE !== 'false') {
+    await migrate();
+    return;
+  }
+  const pending = (await migrationStatus()).filter((migration) => !migration.appliedAt);
+  if (pending.length) {
+    throw new Error(
+      `${pending.length} migration(s) pending and AUTO_MIGRATE is false. Run npm run migrate first.`
+    );
+  }
+}
+
+prepareDatabase()
+  .then(() => {
+    app.listen(PORT, () => {
+      console.log(`Server running on port ${PORT} (payment provider: ${PAYMENT_PROVIDER})`);
+      startReconciliation();
+      startOutboundWebhooks().catch((err) => console.error('Error starting outbound webhooks:', err));
+    });
+  })
+  .catch((err) => {
+    console.error('Error migrating the database:', err);
+    process.exit(1);
+  });
@@ -0,0 +1,54 @@
+// test/admin-audit-filter.test.js
+//
+// The action filter of the audit log in the admin panel: every option of
+// its <select id="audit-action"> must find the entries server.js records
+// for it (see lib/audit-log.js).
+
+const { migrateTempDb } = require('./support/temp-db');
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { recordAudit, listAuditLog } = require('../lib/audit-log');
+
+const root = path.join(__dirname, '..');
+const adminHtml = fs.readFileSync(path.join(root, 'admin.html'), 'utf8');
+const serverJs = fs.readFileSync(path.join(root, 'server.js'), 'utf8');
+
+const filterOptions = [
+  ...adminHtml.match(/<select id="audit-action">([\s\S]*?)<\/select>/)[1].matchAll(/<option value="([^"]+)"/g),
+].map((match) => match[1]);
+const recordedActions = [...new Set([...serverJs.matchAll(/recordAudit\(req, '([^']+)'/g)].map((match) => match[1]))];
+
+const req = { ip: '127.0.0.1', session: { user: { id: 1, username: 'owner' } }, get: () => 'test' };
+
+const actions = async (action) =>
+  (await listAuditLog({ action, pageSize: 200 })).entries.map((entry) => entry.action).sort();
+
+before(async () => {
+  await migrateTempDb();
+  for (const action of recordedActions) {
+    await recordAudit(req, action);
+  }
+});
+
+test('"Outbound webhook endpoints" finds every endpoint action', async () => {
+  assert.ok(filterOptions.includes('webhook_endpoint.'));
+  assert.deepEqual(await actions('webhook_endpoint.'), [
+    'webhook_endpoint.create',
+    'webhook_endpoint.delete',
+    'webhook_endpoint.test',
+    'webhook_endpoint.update',
+  ]);
+});
+
+test('every action filter option finds entries', async () => {
+  for (const option of filterOptions) {
+    const found = await actions(option);
+    assert.ok(found.length > 0, `No entries for the "${option}" option`);
+    assert.ok(
+      found.every((action) => (option.endsWith('.') ? action.startsWith(option) : action === option)),
+      `The "${option}" option found ${found.join(', ')}`
+    );
+  }
+});
@@ -0,0 +1,47 @@
+// test/audit-log.test.js
+
+const { migrateTempDb } = require('./support/temp-db');
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { recordAudit, listAuditLog } = require('../lib/audit-log');
+
+// What recordAudit() reads from an Express request
+const req = {
+  ip: '127.0.0.1',
+  session: { user: { id: 1, username: 'owner' } },
+  get: () => 'test',
+};
+
+const actions = async (query) => (await listAuditLog(query)).entries.map((entry) => entry.action).sort();
+
+before(async () => {
+  await migrateTempDb();
+  for (const action of [
+    'user.create',
+    'user.update',
+    'users.view',
+    'webhook_event.replay',
+    'webhookXevent.replay',
+    'login.success',
+  ]) {
+    await recordAudit(req, action);
+  }
+});
+
+test('an action filter ending in "." matches every action with that prefix', async () => {
+  assert.deepEqual(await actions({ action: 'user.' }), ['user.create', 'user.update']);
+});
+
+test('an action prefix with "_" matches it literally', async () => {
+  assert.deepEqual(await actions({ action: 'webhook_event.' }), ['webhook_event.replay']);
+});
+
+test('LIKE wildcards in an action prefix match nothing but themselves', async () => {
+  assert.deepEqual(await actions({ action: '%.' }), []);
+  assert.deepEqual(await actions({ action: 'user%.' }), []);
+});
+
+test('any other action filter is an exact match', async () => {
+  assert.deepEqual(await actions({ action: 'user.create' }), ['user.create']);
+  assert.deepEqual(await actions({ action: 'user' }), []);
+});
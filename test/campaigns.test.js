@@ -0,0 +1,33 @@
+// test/campaigns.test.js
+
+const { migrateTempDb } = require('./support/temp-db');
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { createCampaign, updateCampaign } = require('../lib/campaigns');
+const { dbRun } = require('../lib/db');
+
+before(migrateTempDb);
+
+test('the currency of a campaign without donations can be changed', async () => {
+  const campaign = await createCampaign({ slug: 'no-gifts', title: 'No gifts', currency: 'usd', goal: 100 });
+  const updated = await updateCampaign(campaign.id, { currency: 'eur', goal: 100 });
+  assert.equal(updated.currency, 'eur');
+  assert.equal(updated.goal_amount, 10000);
+});
+
+test('the currency of a campaign with donations cannot be changed', async () => {
+  const campaign = await createCampaign({ slug: 'with-gifts', title: 'With gifts', currency: 'usd', goal: 100 });
+  await dbRun(
+    `INSERT INTO donations (donation_amount, currency, email, payment_intent_status, campaign_id)
+     VALUES (5000, 'usd', 'donor@example.org', 'succeeded', ?)`,
+    [campaign.id]
+  );
+  await assert.rejects(updateCampaign(campaign.id, { currency: 'eur' }), {
+    name: 'CampaignError',
+    statusCode: 409,
+  });
+  // Other changes, and the same currency again, still go through
+  const updated = await updateCampaign(campaign.id, { currency: 'USD', goal: 200 });
+  assert.equal(updated.currency, 'usd');
+  assert.equal(updated.goal_amount, 20000);
+});
@@ -0,0 +1,37 @@
+// test/checkout.test.js
+
+const { migrateTempDb } = require('./support/temp-db');
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.PAYMENT_PROVIDER = 'mock';
+const { getPaymentProvider } = require('../lib/payment-provider');
+const { startCheckout } = require('../lib/checkout');
+const { dbAll } = require('../lib/db');
+
+const donation = { amount: 5000, currency: 'usd', email: 'donor@example.org' };
+
+before(migrateTempDb);
+
+test('a key left behind by an attempt that was never stored is skipped', async () => {
+  const checkoutKey = 'lost-attempt-0000001';
+  // The provider saw the first attempt, for another amount, but it has no
+  // donation row.
+  await getPaymentProvider().createPaymentIntent(
+    { amount: 2500, currency: 'usd' },
+    { idempotencyKey: `checkout-${checkoutKey}-1` }
+  );
+
+  const { receiptToken } = await startCheckout({ ...donation, checkoutKey });
+  const rows = await dbAll('SELECT donation_amount, receipt_token FROM donations WHERE checkout_key = ?', [
+    checkoutKey,
+  ]);
+  assert.deepEqual(rows, [{ donation_amount: 5000, receipt_token: receiptToken }]);
+});
+
+test('a checkout key reused with the same amount resumes its payment', async () => {
+  const checkoutKey = 'same-attempt-0000001';
+  const first = await startCheckout({ ...donation, checkoutKey });
+  const second = await startCheckout({ ...donation, checkoutKey });
+  assert.equal(second.clientSecret, first.clientSecret);
+});
@@ -0,0 +1,59 @@
+// test/currency.test.js
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  minorUnits,
+  normalizeCurrency,
+  currencyForCountry,
+  toMinorUnits,
+  fromMinorUnits,
+  formatMoney,
+} = require('../lib/currency');
+
+test('minorUnits knows zero- and three-decimal currencies', () => {
+  assert.equal(minorUnits('usd'), 2);
+  assert.equal(minorUnits('JPY'), 0);
+  assert.equal(minorUnits('kwd'), 3);
+});
+
+test('toMinorUnits converts currency units to integer minor units', () => {
+  assert.equal(toMinorUnits('12.50', 'usd'), 1250);
+  assert.equal(toMinorUnits(0.1 + 0.2, 'usd'), 30);
+  assert.equal(toMinorUnits('500', 'jpy'), 500);
+  assert.equal(toMinorUnits('499.6', 'jpy'), 500);
+});
+
+test('toMinorUnits rounds three-decimal amounts to a multiple of 10', () => {
+  assert.equal(toMinorUnits('5.123', 'kwd'), 5120);
+  assert.equal(toMinorUnits('5.126', 'kwd'), 5130);
+});
+
+test('toMinorUnits resolves to NaN for anything that is not a number', () => {
+  for (const amount of [undefined, null, '', '  ', 'abc', '12,50']) {
+    assert.ok(Number.isNaN(toMinorUnits(amount, 'usd')), `${JSON.stringify(amount)}`);
+  }
+});
+
+test('fromMinorUnits and formatMoney use the currency decimals', () => {
+  assert.equal(fromMinorUnits(1250, 'usd'), 12.5);
+  assert.equal(fromMinorUnits(500, 'jpy'), 500);
+  assert.equal(fromMinorUnits(null, 'usd'), 0);
+  assert.equal(formatMoney(1250, 'usd', 'en-US'), '$12.50');
+  assert.equal(formatMoney(500, 'jpy', 'en-US'), '¥500');
+  // Intl puts a no-break space after the currency code
+  assert.match(formatMoney(5120, 'kwd', 'en-US'), /^KWD\s5\.120$/);
+});
+
+test('normalizeCurrency only accepts donation currencies', () => {
+  assert.equal(normalizeCurrency(' GBP '), 'gbp');
+  assert.equal(normalizeCurrency('jpy'), null);
+  assert.equal(normalizeCurrency(undefined), null);
+});
+
+test('currencyForCountry falls back to the default currency', () => {
+  assert.equal(currencyForCountry('mx'), 'mxn');
+  assert.equal(currencyForCountry('GB'), 'gbp');
+  assert.equal(currencyForCountry('FR'), 'usd');
+  assert.equal(currencyForCountry(null), 'usd');
+});
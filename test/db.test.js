@@ -0,0 +1,54 @@
+// test/db.test.js
+
+require('./support/temp-db');
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { dbAll, dbRun, dbTransaction } = require('../lib/db');
+
+before(async () => {
+  await dbRun(`CREATE TABLE items (id INTEGER PRIMARY KEY, name TEXT NOT NULL)`);
+});
+
+test('dbTransaction commits every statement and resolves to their results', async () => {
+  const results = await dbTransaction([
+    [`INSERT INTO items (name) VALUES (?)`, ['a']],
+    [`INSERT INTO items (name) VALUES (?)`, ['b']],
+    [`UPDATE items SET name = 'c' WHERE name = ?`, ['b']],
+  ]);
+  assert.deepEqual(
+    results.map((result) => result.changes),
+    [1, 1, 1]
+  );
+  const rows = await dbAll(`SELECT name FROM items ORDER BY id`);
+  assert.deepEqual(
+    rows.map((row) => row.name),
+    ['a', 'c']
+  );
+  await dbRun(`DELETE FROM items`);
+});
+
+test('dbTransaction writes nothing when a statement in the middle fails', async () => {
+  await assert.rejects(
+    dbTransaction([
+      [`INSERT INTO items (name) VALUES (?)`, ['first']],
+      [`INSERT INTO items (name) VALUES (?)`, [null]],
+      [`INSERT INTO items (name) VALUES (?)`, ['third']],
+    ]),
+    /NOT NULL/
+  );
+  assert.deepEqual(await dbAll(`SELECT * FROM items`), []);
+});
+
+test('dbTransaction runs concurrent transactions one at a time', async () => {
+  const insert = (name) => [`INSERT INTO items (name) VALUES (?)`, [name]];
+  await Promise.all([
+    dbTransaction([insert('a1'), insert('a2')]),
+    assert.rejects(dbTransaction([insert('b1'), insert(null)])),
+    dbTransaction([insert('c1')]),
+  ]);
+  const rows = await dbAll(`SELECT name FROM items ORDER BY id`);
+  assert.deepEqual(
+    rows.map((row) => row.name),
+    ['a1', 'a2', 'c1']
+  );
+});
@@ -0,0 +1,113 @@
+// test/donation-status.test.js
+
+const { migrateTempDb } = require('./support/temp-db');
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  PENDING_STATUSES,
+  DONATION_TRANSITIONS,
+  canTransition,
+  transitionDonation,
+} = require('../lib/donation-status');
+const { dbGet, dbRun } = require('../lib/db');
+
+const FINAL_STATUSES = ['canceled', 'refunded', 'dispute_lost'];
+
+let donationCount = 0;
+// Insert a donation in `status`; resolves to its PaymentIntent id.
+async function insertDonation(status, { statusUpdatedAt = null } = {}) {
+  donationCount++;
+  const paymentIntentId = `pi_test_${donationCount}`;
+  await dbRun(
+    `INSERT INTO donations (donation_amount, currency, email, payment_intent_id, payment_intent_status,
+                            status_updated_at)
+     VALUES (5000, 'usd', ?, ?, ?, ?)`,
+    [`donor${donationCount}@example.org`, paymentIntentId, status, statusUpdatedAt]
+  );
+  return paymentIntentId;
+}
+
+const statusOf = async (paymentIntentId) =>
+  (await dbGet(`SELECT payment_intent_status FROM donations WHERE payment_intent_id = ?`, [paymentIntentId]))
+    .payment_intent_status;
+
+before(migrateTempDb);
+
+test('an unpaid donation can settle either way', () => {
+  for (const status of [...PENDING_STATUSES, null]) {
+    for (const next of ['processing', 'failed', 'succeeded', 'canceled', 'abandoned']) {
+      assert.ok(canTransition(status, next), `${status} -> ${next}`);
+    }
+    assert.ok(!canTransition(status, 'refunded'), `${status} -> refunded`);
+  }
+});
+
+test('a failed or abandoned donation can still be paid', () => {
+  assert.ok(canTransition('failed', 'succeeded'));
+  assert.ok(canTransition('abandoned', 'succeeded'));
+  assert.ok(canTransition('failed', 'requires_action'));
+  assert.ok(!canTransition('processing', 'abandoned'));
+});
+
+test('a paid donation only moves on to refunds and disputes', () => {
+  assert.deepEqual(DONATION_TRANSITIONS.succeeded, ['partially_refunded', 'refunded', 'disputed']);
+  for (const next of ['pending', 'failed', 'canceled', 'abandoned', 'processing']) {
+    assert.ok(!canTransition('succeeded', next), `succeeded -> ${next}`);
+  }
+  assert.ok(canTransition('partially_refunded', 'partially_refunded'));
+  assert.ok(canTransition('disputed', 'succeeded'));
+  assert.ok(canTransition('disputed', 'dispute_lost'));
+  assert.ok(!canTransition('disputed', 'failed'));
+});
+
+test('final statuses have no way out', () => {
+  for (const status of FINAL_STATUSES) {
+    assert.equal(DONATION_TRANSITIONS[status], undefined);
+    for (const next of ['pending', 'succeeded', 'failed', 'refunded'].filter((next) => next !== status)) {
+      assert.ok(!canTransition(status, next), `${status} -> ${next}`);
+    }
+    // A repeated update is no change
+    assert.ok(canTransition(status, status));
+  }
+});
+
+test('transitionDonation applies an allowed change and links the donor', async () => {
+  const paymentIntentId = await insertDonation('pending');
+  const { donation, changed, previousStatus } = await transitionDonation(paymentIntentId, 'succeeded', {
+    occurredAt: 1000,
+  });
+  assert.equal(changed, true);
+  assert.equal(previousStatus, 'pending');
+  assert.equal(donation.payment_intent_status, 'succeeded');
+  assert.equal(donation.status_updated_at, 1000);
+  assert.ok(donation.donor_id);
+  assert.equal(await statusOf(paymentIntentId), 'succeeded');
+
+  const again = await transitionDonation(paymentIntentId, 'succeeded');
+  assert.equal(again.changed, false);
+});
+
+test('transitionDonation ignores invalid and stale changes', async () => {
+  const paid = await insertDonation('succeeded');
+  assert.equal((await transitionDonation(paid, 'failed')).changed, false);
+  assert.equal(await statusOf(paid), 'succeeded');
+
+  const pending = await insertDonation('requires_action', { statusUpdatedAt: 2000 });
+  assert.equal((await transitionDonation(pending, 'failed', { occurredAt: 1999 })).changed, false);
+  assert.equal(await statusOf(pending), 'requires_action');
+  assert.equal((await transitionDonation(pending, 'failed', { occurredAt: 2001 })).changed, true);
+});
+
+test('transitionDonation can keep status_updated_at', async () => {
+  const paymentIntentId = await insertDonation('pending', { statusUpdatedAt: 3000 });
+  const { donation } = await transitionDonation(paymentIntentId, 'abandoned', { keepStatusUpdatedAt: true });
+  assert.equal(donation.status_updated_at, 3000);
+});
+
+test('transitionDonation resolves to no donation for an unknown PaymentIntent', async () => {
+  assert.deepEqual(await transitionDonation('pi_unknown', 'succeeded'), {
+    donation: null,
+    changed: false,
+    previousStatus: null,
+  });
+});
@@ -0,0 +1,108 @@
+// test/donation-validation.test.js
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { validateDonation } = require('../lib/donation-validation');
+const { coverFeeAmount } = require('../lib/processing-fees');
+
+const campaign = {
+  currency: 'usd',
+  suggested_amounts: [],
+  default_amount: null,
+  min_amount: 100,
+  max_amount: 10000,
+};
+
+const body = (fields) => ({
+  donationAmount: '50',
+  email: 'donor@example.org',
+  firstName: 'Ada',
+  lastName: 'Lovelace',
+  country: 'US',
+  postalCode: '12345',
+  ...fields,
+});
+
+test('the covered fee is worked out with the donation', () => {
+  const donation = validateDonation(body({ coverFee: true }), { campaign });
+  assert.equal(donation.amount, 5000);
+  assert.equal(donation.feeAmount, coverFeeAmount(5000, 'usd'));
+  assert.equal(validateDonation(body(), { campaign }).feeAmount, 0);
+});
+
+test('the maximum applies to the donation with the covered fee', () => {
+  assert.equal(validateDonation(body({ donationAmount: '100' }), { campaign }).amount, 10000);
+  assert.throws(() => validateDonation(body({ donationAmount: '100', coverFee: true }), { campaign }), (err) => {
+    assert.equal(err.name, 'ValidationError');
+    assert.match(err.fields.donationAmount, /With the processing fee.*\$100\.00/);
+    return true;
+  });
+});
+
+// Assert that validateDonation() refuses `fields` and resolves to the
+// messages of the invalid fields.
+function invalidFields(fields, options) {
+  try {
+    validateDonation(body(fields), options);
+  } catch (err) {
+    assert.equal(err.name, 'ValidationError');
+    assert.equal(err.statusCode, 400);
+    return err.fields;
+  }
+  assert.fail('The donation was accepted');
+}
+
+test('a valid donation is normalized', () => {
+  const donation = validateDonation(
+    body({ email: ' donor@example.org ', firstName: '  Ada   Byron ', country: 'ca', postalCode: 'k1a0b1' })
+  );
+  assert.deepEqual(donation, {
+    frequency: 'once',
+    amount: 5000,
+    currency: 'cad',
+    coverFee: false,
+    feeAmount: 0,
+    email: 'donor@example.org',
+    firstName: 'Ada Byron',
+    lastName: 'Lovelace',
+    cardName: 'Ada Byron Lovelace',
+    country: 'CA',
+    postalCode: 'K1A 0B1',
+  });
+});
+
+test('every invalid field is reported at once', () => {
+  assert.deepEqual(
+    Object.keys(
+      invalidFields({ frequency: 'weekly', email: 'nope', firstName: '', lastName: ' ', postalCode: 'ABC' })
+    ).sort(),
+    ['email', 'firstName', 'frequency', 'lastName', 'postalCode']
+  );
+});
+
+test('fields over their maximum length are refused', () => {
+  const fields = invalidFields({ email: `${'a'.repeat(250)}@example.org`, cardName: 'x'.repeat(101) });
+  assert.equal(fields.email, 'Invalid email address.');
+  assert.match(fields.cardName, /at most 100 characters/);
+});
+
+test('countries and postal codes are checked', () => {
+  assert.match(invalidFields({ country: 'FR' }).country, /cannot accept donations from this country/);
+  assert.match(invalidFields({ country: '', postalCode: '' }).country, /select a country/);
+  assert.match(invalidFields({ country: 'US', postalCode: '1234' }).postalCode, /e\.g\. 12345/);
+  assert.equal(validateDonation(body({ country: 'GB', postalCode: 'sw1a1aa' })).postalCode, 'SW1A 1AA');
+});
+
+test('the amount is read in the donation currency and checked against the limits', () => {
+  assert.equal(validateDonation(body({ currency: 'eur', donationAmount: '12.34' })).amount, 1234);
+  assert.match(invalidFields({ donationAmount: '' }).donationAmount, /select or enter a donation amount/);
+  assert.equal(invalidFields({ donationAmount: 'lots' }).donationAmount, 'Invalid donation amount.');
+  assert.match(invalidFields({ donationAmount: '0.50' }, { campaign }).donationAmount, /smallest donation/);
+  assert.match(invalidFields({ donationAmount: '101' }, { campaign }).donationAmount, /largest donation/);
+});
+
+test('a campaign sets the currency', () => {
+  assert.equal(validateDonation(body({ country: 'GB', postalCode: 'SW1A 1AA' }), { campaign }).currency, 'usd');
+  assert.match(invalidFields({ currency: 'gbp' }, { campaign }).currency, /takes donations in USD/);
+  assert.match(invalidFields({ currency: 'jpy' }).currency, /currency are not accepted/);
+});
@@ -0,0 +1,29 @@
+// test/donors.test.js
+
+const { migrateTempDb } = require('./support/temp-db');
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { findOrCreateDonor, listDonors } = require('../lib/donors');
+
+const emails = async (q) => (await listDonors({ q, sort: 'email', order: 'asc' })).donors.map((donor) => donor.email);
+
+before(async () => {
+  await migrateTempDb();
+  for (const email of ['john_doe@example.org', 'johndoe@example.org', 'ann%lee@example.org']) {
+    await findOrCreateDonor({ email, firstName: 'Test', lastName: 'Donor' });
+  }
+});
+
+test('the donor search matches "_" literally', async () => {
+  assert.deepEqual(await emails('john_doe@'), ['john_doe@example.org']);
+});
+
+test('the donor search matches "%" literally', async () => {
+  assert.deepEqual(await emails('ann%lee'), ['ann%lee@example.org']);
+  assert.deepEqual(await emails('%'), ['ann%lee@example.org']);
+});
+
+test('the donor search matches emails and names', async () => {
+  assert.deepEqual(await emails('JOHN'), ['john_doe@example.org', 'johndoe@example.org']);
+  assert.equal((await emails('test donor')).length, 3);
+});
@@ -0,0 +1,106 @@
+// test/login-throttle.test.js
+
+const { migrateTempDb } = require('./support/temp-db');
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  countLoginAttempt,
+  recordLoginFailure,
+  recordLoginSuccess,
+  releaseLoginAttempt,
+  listLoginLocks,
+  clearLoginLock,
+} = require('../lib/login-throttle');
+const { dbGet, dbRun } = require('../lib/db');
+
+const now = () => Math.floor(Date.now() / 1000);
+
+const failures = async (scope, key) => {
+  const row = await dbGet(`SELECT failures FROM login_attempts WHERE scope = ? AND key = ?`, [scope, key]);
+  return row ? row.failures : null;
+};
+
+before(migrateTempDb);
+
+test('attempts are delayed after a few failures', async () => {
+  const attempt = { ip: '10.0.0.1', username: 'delayed' };
+  for (let i = 0; i < 3; i++) {
+    assert.equal(await countLoginAttempt(attempt), 0);
+  }
+  // A fourth failure just now: the next attempt waits 2 seconds
+  await dbRun(`UPDATE login_attempts SET failures = 4, last_failure_at = ? WHERE key = 'delayed'`, [now()]);
+  const wait = await countLoginAttempt(attempt);
+  assert.ok(wait >= 1 && wait <= 2, `${wait}`);
+  assert.equal(await failures('username', 'delayed'), 4);
+  assert.equal(await failures('ip', '10.0.0.1'), 3);
+});
+
+test('a refused attempt is not counted for any of its keys', async () => {
+  await dbRun(
+    `INSERT INTO login_attempts (scope, key, failures, first_failure_at, last_failure_at)
+     VALUES ('username', 'busy', 4, ?, ?)`,
+    [now(), now()]
+  );
+  assert.ok((await countLoginAttempt({ ip: '10.0.0.2', username: 'busy' })) > 0);
+  assert.equal(await failures('ip', '10.0.0.2'), 0);
+  assert.equal(await failures('username', 'busy'), 4);
+});
+
+test('usernames are throttled case-insensitively', async () => {
+  await countLoginAttempt({ username: ' Mixed ' });
+  await countLoginAttempt({ username: 'MIXED' });
+  assert.equal(await failures('username', 'mixed'), 2);
+});
+
+test('a success clears the username and takes the attempt back off the IP', async () => {
+  const attempt = { ip: '10.0.0.3', username: 'success' };
+  await countLoginAttempt(attempt);
+  await countLoginAttempt(attempt);
+  await recordLoginSuccess(attempt);
+  assert.equal(await failures('username', 'success'), null);
+  assert.equal(await failures('ip', '10.0.0.3'), 1);
+});
+
+test('a released attempt is taken back for every key', async () => {
+  const attempt = { ip: '10.0.0.4', username: 'released' };
+  for (let i = 0; i < 3; i++) {
+    await countLoginAttempt(attempt);
+    await releaseLoginAttempt(attempt);
+  }
+  assert.equal(await failures('username', 'released'), 0);
+  assert.equal(await failures('ip', '10.0.0.4'), 0);
+  assert.equal(await countLoginAttempt(attempt), 0);
+});
+
+test('reaching the maximum locks the username until an owner clears it', async () => {
+  // Four failures, the last a while ago, so the next attempt isn't delayed
+  await dbRun(
+    `INSERT INTO login_attempts (scope, key, failures, first_failure_at, last_failure_at)
+     VALUES ('username', 'locked', 4, ?, ?)`,
+    [now() - 120, now() - 60]
+  );
+  const attempt = { ip: '10.0.0.5', username: 'locked' };
+  assert.equal(await countLoginAttempt(attempt), 0);
+  await recordLoginFailure(attempt);
+
+  const wait = await countLoginAttempt(attempt);
+  assert.ok(wait > 14 * 60 && wait <= 15 * 60, `${wait}`);
+  const lock = (await listLoginLocks()).find((row) => row.key === 'locked');
+  assert.equal(lock.locked, 1);
+  // The IP is far from its own maximum and not locked
+  assert.equal((await listLoginLocks()).find((row) => row.key === '10.0.0.5').locked, 0);
+
+  assert.equal(await clearLoginLock(lock.id), true);
+  assert.equal(await clearLoginLock(lock.id), false);
+  assert.equal(await countLoginAttempt(attempt), 0);
+});
+
+test('counters start over after the failure window', async () => {
+  await dbRun(
+    `INSERT INTO login_attempts (scope, key, failures, first_failure_at, last_failure_at)
+     VALUES ('username', 'expired', 4, ?, ?)`,
+    [now() - 3600, now() - 3600]
+  );
+  assert.equal(await countLoginAttempt({ username: 'expired' }), 0);
+  assert.equal(await failures('username', 'expired'), 1);
+});
@@ -0,0 +1,212 @@
+// test/mock-payments.test.js
+//
+// The donation flow end to end with the mock payment provider (see
+// lib/mock-provider.js): /create-payment-intent, the payment confirmed
+// through /mock-payments, the webhook the provider sends back and the
+// receipt the thanks page fetches. The server runs in a temporary directory
+// with its own database, and mock webhooks arrive MOCK_WEBHOOK_DELAY_SECONDS
+// after each payment.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn } = require('node:child_process');
+const crypto = require('node:crypto');
+const fs = require('node:fs');
+const net = require('node:net');
+const os = require('node:os');
+const path = require('node:path');
+
+const SERVER = path.join(__dirname, '..', 'server.js');
+const WEBHOOK_DELAY_SECONDS = 1;
+
+let server;
+let workDir;
+let baseUrl;
+let output = '';
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.on('error', reject);
+    probe.listen(0, () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+async function request(method, url, body) {
+  const response = await fetch(`${baseUrl}${url}`, {
+    method,
+    headers: body ? { 'Content-Type': 'application/json' } : {},
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+async function waitForServer() {
+  const deadline = Date.now() + 15000;
+  while (Date.now() < deadline) {
+    try {
+      const response = await fetch(`${baseUrl}/donation-config`);
+      if (response.ok) {
+        return;
+      }
+    } catch (err) {
+      // Not listening yet
+    }
+    await sleep(100);
+  }
+  throw new Error(`Server did not start:\n${output}`);
+}
+
+// Start a one-off gift; resolves to { clientSecret, receiptToken }.
+async function startDonation(fields = {}) {
+  const { status, body } = await request('POST', '/create-payment-intent', {
+    donationAmount: '50',
+    email: 'donor@example.org',
+    firstName: 'Ada',
+    lastName: 'Lovelace',
+    country: 'GB',
+    postalCode: 'SW1A 1AA',
+    checkoutKey: crypto.randomBytes(16).toString('hex'),
+    ...fields,
+  });
+  assert.equal(status, 200, JSON.stringify(body));
+  assert.equal(body.provider, 'mock');
+  return body;
+}
+
+async function confirmPayment(clientSecret, paymentMethod) {
+  const { status, body } = await request('POST', '/mock-payments/confirm', {
+    clientSecret,
+    paymentMethod,
+  });
+  assert.equal(status, 200, JSON.stringify(body));
+  return body.paymentIntent;
+}
+
+async function authenticatePayment(clientSecret, approve) {
+  const { status, body } = await request('POST', '/mock-payments/authenticate', {
+    clientSecret,
+    approve,
+  });
+  assert.equal(status, 200, JSON.stringify(body));
+  return body.paymentIntent;
+}
+
+function getReceipt(receiptToken) {
+  return request('GET', `/receipts/${receiptToken}`).then(({ body }) => body);
+}
+
+// Poll the thanks page lookup until the donation reaches `status` ("issued"
+// once there is a receipt).
+async function waitForStatus(receiptToken, status) {
+  const deadline = Date.now() + (WEBHOOK_DELAY_SECONDS + 5) * 1000;
+  let result;
+  while (Date.now() < deadline) {
+    result = await getReceipt(receiptToken);
+    if (result.status === status) {
+      return result;
+    }
+    await sleep(100);
+  }
+  assert.fail(`Donation is ${result && result.status}, expected ${status}`);
+}
+
+before(async () => {
+  workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mock-payments-'));
+  const port = await freePort();
+  baseUrl = `http://localhost:${port}`;
+  server = spawn(process.execPath, [SERVER], {
+    cwd: workDir,
+    env: {
+      ...process.env,
+      PORT: String(port),
+      PAYMENT_PROVIDER: 'mock',
+      MOCK_WEBHOOK_URL: `${baseUrl}/webhook`,
+      MOCK_WEBHOOK_DELAY_SECONDS: String(WEBHOOK_DELAY_SECONDS),
+      MAIL_TRANSPORT: 'file',
+      RECONCILE_INTERVAL_MINUTES: '0',
+    },
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+  server.stdout.on('data', (chunk) => (output += chunk));
+  server.stderr.on('data', (chunk) => (output += chunk));
+  await waitForServer();
+});
+
+after(async () => {
+  if (server && server.exitCode === null) {
+    const exited = new Promise((resolve) => server.once('exit', resolve));
+    server.kill();
+    await exited;
+  }
+  if (workDir) {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+});
+
+test('a successful payment gets a receipt from its webhook', async () => {
+  const { clientSecret, receiptToken } = await startDonation();
+  const paymentIntent = await confirmPayment(clientSecret, 'pm_card_visa');
+  assert.equal(paymentIntent.status, 'succeeded');
+
+  const { receipt, pdfUrl } = await waitForStatus(receiptToken, 'issued');
+  assert.equal(receipt.amount, 5000);
+  assert.equal(receipt.currency, 'gbp');
+  assert.equal(receipt.email, 'donor@example.org');
+  assert.equal(receipt.name, 'Ada Lovelace');
+  assert.match(receipt.receiptNumber, /^R-\d+$/);
+  assert.ok(pdfUrl);
+});
+
+test('a declined card fails the donation, and another card can still pay it', async () => {
+  const { clientSecret, receiptToken } = await startDonation();
+  const declined = await confirmPayment(clientSecret, 'pm_card_chargeDeclined');
+  assert.equal(declined.status, 'requires_payment_method');
+  assert.equal(declined.last_payment_error.code, 'card_declined');
+
+  const failed = await waitForStatus(receiptToken, 'failed');
+  assert.equal(failed.receipt, null);
+
+  const paid = await confirmPayment(clientSecret, 'pm_card_visa');
+  assert.equal(paid.status, 'succeeded');
+  await waitForStatus(receiptToken, 'issued');
+});
+
+test('a payment that passes 3D Secure succeeds', async () => {
+  const { clientSecret, receiptToken } = await startDonation();
+  const paymentIntent = await confirmPayment(clientSecret, 'pm_card_authenticationRequired');
+  assert.equal(paymentIntent.status, 'requires_action');
+  await waitForStatus(receiptToken, 'requires_action');
+
+  const authenticated = await authenticatePayment(clientSecret, true);
+  assert.equal(authenticated.status, 'succeeded');
+  await waitForStatus(receiptToken, 'issued');
+});
+
+test('a payment that fails 3D Secure fails the donation', async () => {
+  const { clientSecret, receiptToken } = await startDonation();
+  await confirmPayment(clientSecret, 'pm_card_authenticationRequired');
+  const paymentIntent = await authenticatePayment(clientSecret, false);
+  assert.equal(paymentIntent.status, 'requires_payment_method');
+  assert.equal(paymentIntent.last_payment_error.code, 'payment_intent_authentication_failure');
+
+  const { receipt } = await waitForStatus(receiptToken, 'failed');
+  assert.equal(receipt, null);
+});
+
+test('the receipt waits for the delayed webhook', async () => {
+  const { clientSecret, receiptToken } = await startDonation();
+  await confirmPayment(clientSecret, 'pm_card_visa');
+
+  // The payment went through, but the webhook has not arrived yet
+  const early = await getReceipt(receiptToken);
+  assert.equal(early.status, 'pending');
+  assert.equal(early.receipt, null);
+
+  await waitForStatus(receiptToken, 'issued');
+});
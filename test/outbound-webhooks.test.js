@@ -0,0 +1,59 @@
+// test/outbound-webhooks.test.js
+
+const { migrateTempDb } = require('./support/temp-db');
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+
+process.env.OUTBOUND_WEBHOOK_TIMEOUT_SECONDS = '2';
+const {
+  createWebhookEndpoint,
+  sendTestEvent,
+  processDueDeliveries,
+  listWebhookDeliveries,
+} = require('../lib/outbound-webhooks');
+
+let receiver;
+let baseUrl;
+
+before(async () => {
+  await migrateTempDb();
+  // /endless answers 200 and then writes its body forever
+  receiver = http.createServer((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/plain' });
+    if (req.url !== '/endless') {
+      res.end('ok');
+      return;
+    }
+    const timer = setInterval(() => res.write('x'.repeat(1024)), 1);
+    res.on('close', () => clearInterval(timer));
+  });
+  await new Promise((resolve) => receiver.listen(0, resolve));
+  baseUrl = `http://localhost:${receiver.address().port}`;
+});
+
+after(() => {
+  receiver.closeAllConnections();
+  receiver.close();
+});
+
+async function deliverPing(path) {
+  const endpoint = await createWebhookEndpoint({ url: `${baseUrl}${path}`, eventTypes: ['donation.succeeded'] });
+  await sendTestEvent(endpoint.id);
+  await processDueDeliveries();
+  const [delivery] = await listWebhookDeliveries({ endpoint: endpoint.id });
+  return delivery;
+}
+
+test('a delivery records the response body', async () => {
+  const delivery = await deliverPing('/ok');
+  assert.equal(delivery.status, 'delivered');
+  assert.equal(delivery.response_body, 'ok');
+});
+
+test('an endless response body is cut off instead of read to the end', async () => {
+  const delivery = await deliverPing('/endless');
+  assert.equal(delivery.status, 'delivered');
+  assert.equal(delivery.error, null);
+  assert.equal(delivery.response_body, 'x'.repeat(1000));
+});
@@ -0,0 +1,95 @@
+// test/processing-fees.test.js
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawnSync } = require('node:child_process');
+const path = require('node:path');
+const { feeRateFor, coverFeeAmount } = require('../lib/processing-fees');
+
+const PROCESSING_FEES = path.join(__dirname, '..', 'lib', 'processing-fees.js');
+
+// Load lib/processing-fees.js in a fresh process with `env` and print
+// `expression` (with the module as `fees`) as JSON; resolves to the exit
+// status, the printed value and the error output.
+function loadWith(env, expression = 'null') {
+  const script = `const fees = require(${JSON.stringify(PROCESSING_FEES)});
+    console.log(JSON.stringify(${expression}));`;
+  const result = spawnSync(process.execPath, ['-e', script], {
+    env: { ...process.env, ...env },
+    encoding: 'utf8',
+  });
+  return {
+    status: result.status,
+    value: result.status === 0 ? JSON.parse(result.stdout) : undefined,
+    stderr: result.stderr,
+  };
+}
+
+// What is left of `total` after the processor takes its fee
+function netOf(total, currency) {
+  const { percent, fixed } = feeRateFor(currency);
+  return total - (total * percent) / 100 - fixed;
+}
+
+test('the default schedule applies to every currency, with the fixed fee in minor units', () => {
+  assert.deepEqual(feeRateFor('usd'), { percent: 2.9, fixed: 30 });
+  assert.deepEqual(feeRateFor('gbp'), { percent: 2.9, fixed: 30 });
+});
+
+test('the covered fee leaves at least the whole gift after processing', () => {
+  for (const baseAmount of [100, 999, 5000, 123457]) {
+    const fee = coverFeeAmount(baseAmount, 'usd');
+    assert.ok(netOf(baseAmount + fee, 'usd') >= baseAmount, `${baseAmount} + ${fee}`);
+    // and no more than a cent over
+    assert.ok(netOf(baseAmount + fee - 1, 'usd') < baseAmount, `${baseAmount} + ${fee}`);
+  }
+  assert.equal(coverFeeAmount(5000, 'usd'), 181);
+});
+
+test('the covered fee of a three-decimal currency is a multiple of 10', () => {
+  const fee = coverFeeAmount(5000, 'kwd');
+  assert.equal(fee % 10, 0);
+  assert.ok(netOf(5000 + fee, 'kwd') >= 5000);
+});
+
+test('per-currency entries take precedence over "*"', () => {
+  const { status, value } = loadWith(
+    { PROCESSING_FEES: '*:2.9%+0.30, GBP:1.5%+0.20, eur:1.5%' },
+    '["gbp", "eur", "usd"].map((currency) => fees.feeRateFor(currency))'
+  );
+  assert.equal(status, 0);
+  assert.deepEqual(value, [
+    { percent: 1.5, fixed: 20 },
+    { percent: 1.5, fixed: 0 },
+    { percent: 2.9, fixed: 30 },
+  ]);
+});
+
+test('without a "*" entry other currencies have no fee', () => {
+  const { value } = loadWith({ PROCESSING_FEES: 'gbp:1.5%+0.20' }, 'fees.coverFeeAmount(5000, "usd")');
+  assert.equal(value, 0);
+});
+
+test('invalid entries are refused', () => {
+  for (const schedule of ['usd:2.9', 'usd:100%', 'dollars:2%', 'usd:2.9%+x']) {
+    const { status, stderr } = loadWith({ PROCESSING_FEES: schedule });
+    assert.notEqual(status, 0, schedule);
+    assert.match(stderr, /Invalid PROCESSING_FEES entry/, schedule);
+  }
+});
+
+test('a zero-decimal currency needs its own entry when "*" has a fixed fee', () => {
+  const { status, stderr } = loadWith({ DONATION_CURRENCIES: 'usd,jpy', PROCESSING_FEES: '*:2.9%+0.30' });
+  assert.notEqual(status, 0);
+  assert.match(stderr, /PROCESSING_FEES needs a "jpy:" entry/);
+});
+
+test('a zero-decimal currency with its own entry is accepted', () => {
+  const { status, value } = loadWith(
+    { DONATION_CURRENCIES: 'usd,jpy', PROCESSING_FEES: '*:2.9%+0.30,jpy:3.6%' },
+    'fees.coverFeeAmount(5000, "jpy")'
+  );
+  assert.equal(status, 0);
+  assert.equal(value, 187);
+  assert.equal(loadWith({ DONATION_CURRENCIES: 'usd,jpy', PROCESSING_FEES: '*:2.9%' }).status, 0);
+});
@@ -0,0 +1,23 @@
+// test/support/temp-db.js
+//
+// Require this before anything that loads lib/db.js: it moves the process
+// into a new temporary directory, so lib/db.js opens a fresh
+// ./database.sqlite there. The directory is removed when the process exits.
+// migrateTempDb() creates the schema (see lib/migrations.js).
+
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'donations-test-'));
+process.chdir(dir);
+process.on('exit', () => fs.rmSync(dir, { recursive: true, force: true }));
+
+function migrateTempDb() {
+  return require('../../lib/migrations').migrate({ log: () => {} });
+}
+
+module.exports = {
+  dir,
+  migrateTempDb,
+};
@@ -0,0 +1,117 @@
+// test/two-factor.test.js
+
+const { migrateTempDb } = require('./support/temp-db');
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('node:crypto');
+const { createAdminUser } = require('../lib/admin-users');
+const {
+  beginEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  removeTwoFactor,
+  twoFactorStatus,
+} = require('../lib/two-factor');
+const { dbGet } = require('../lib/db');
+
+// RFC 6238 codes, worked out independently of lib/two-factor.js
+function base32Decode(text) {
+  let bits = '';
+  for (const char of text.replace(/=+$/, '')) {
+    bits += 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567'.indexOf(char).toString(2).padStart(5, '0');
+  }
+  return Buffer.from(bits.match(/.{8}/g).map((byte) => parseInt(byte, 2)));
+}
+
+function totp(secret, step, digits = 6) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  return String((hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** digits).padStart(digits, '0');
+}
+
+const currentStep = () => Math.floor(Date.now() / 1000 / 30);
+
+let userId = 0;
+async function newUser() {
+  userId++;
+  const user = await createAdminUser({ username: `totp${userId}`, password: 'correct horse battery' });
+  return user.id;
+}
+
+// A user with 2FA enabled; resolves to { id, secret, recoveryCodes }.
+async function enrolledUser() {
+  const id = await newUser();
+  const { secret } = await beginEnrollment(id);
+  const recoveryCodes = await confirmEnrollment(id, totp(secret, currentStep()));
+  return { id, secret, recoveryCodes };
+}
+
+before(migrateTempDb);
+
+test('the test helper matches the RFC 6238 test vector', () => {
+  // The SHA-1 secret "12345678901234567890" at T = 59s
+  assert.equal(totp('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ', 1, 8), '94287082');
+});
+
+test('enrollment gives the app a secret and stores it encrypted', async () => {
+  const id = await newUser();
+  const { secret, otpauthUrl, qrCode } = await beginEnrollment(id);
+  assert.match(secret, /^[A-Z2-7]{32}$/);
+  assert.ok(otpauthUrl.startsWith('otpauth://totp/'));
+  assert.ok(otpauthUrl.includes(`secret=${secret}`));
+  assert.ok(qrCode.startsWith('data:image/png;base64,'));
+
+  const row = await dbGet(`SELECT totp_secret, totp_enabled FROM admin_users WHERE id = ?`, [id]);
+  assert.equal(row.totp_enabled, 0);
+  assert.ok(!row.totp_secret.includes(secret));
+});
+
+test('2FA is only enabled with a valid code', async () => {
+  const id = await newUser();
+  await assert.rejects(confirmEnrollment(id, '123456'), { statusCode: 409 });
+
+  const { secret } = await beginEnrollment(id);
+  const wrong = totp(secret, currentStep() + 5);
+  await assert.rejects(confirmEnrollment(id, wrong), { name: 'AdminUserError', statusCode: 401 });
+  await assert.rejects(confirmEnrollment(id, 'abcdef'), { statusCode: 401 });
+
+  const code = totp(secret, currentStep());
+  const recoveryCodes = await confirmEnrollment(id, `${code.slice(0, 3)} ${code.slice(3)}`);
+  assert.equal(recoveryCodes.length, 10);
+  assert.deepEqual(await twoFactorStatus(id), { enabled: true, recoveryCodesLeft: 10 });
+  await assert.rejects(beginEnrollment(id), { statusCode: 409 });
+});
+
+test('a code is accepted once, and only within the time window', async () => {
+  const { id, secret } = await enrolledUser();
+  // The enrollment code's step was used already
+  assert.equal(await verifySecondFactor(id, { code: totp(secret, currentStep() - 1) }), false);
+  assert.equal(await verifySecondFactor(id, { code: totp(secret, currentStep() + 3) }), false);
+
+  const next = totp(secret, currentStep() + 1);
+  assert.equal(await verifySecondFactor(id, { code: next }), true);
+  assert.equal(await verifySecondFactor(id, { code: next }), false);
+});
+
+test('recovery codes work once each, in any case and without the dash', async () => {
+  const { id, recoveryCodes } = await enrolledUser();
+  const [first, second] = recoveryCodes;
+  assert.equal(await verifySecondFactor(id, { recoveryCode: first.toUpperCase() }), true);
+  assert.equal(await verifySecondFactor(id, { recoveryCode: first }), false);
+  assert.equal(await verifySecondFactor(id, { recoveryCode: second.replace('-', '') }), true);
+  assert.equal(await verifySecondFactor(id, { recoveryCode: 'aaaaa-bbbbb' }), false);
+  assert.equal((await twoFactorStatus(id)).recoveryCodesLeft, 8);
+});
+
+test('removing 2FA forgets the secret and the recovery codes', async () => {
+  const { id, secret, recoveryCodes } = await enrolledUser();
+  await removeTwoFactor(id, { signOut: true });
+  assert.deepEqual(await twoFactorStatus(id), { enabled: false, recoveryCodesLeft: 0 });
+  assert.equal(await verifySecondFactor(id, { code: totp(secret, currentStep() + 1) }), false);
+  assert.equal(await verifySecondFactor(id, { recoveryCode: recoveryCodes[0] }), false);
+  const row = await dbGet(`SELECT totp_secret, session_version FROM admin_users WHERE id = ?`, [id]);
+  assert.equal(row.totp_secret, null);
+  assert.equal(row.session_version, 1);
+});